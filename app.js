@@ -8,7 +8,7 @@
 // =========================================
 const ENTERPRISE_CONFIG = {
     APP_NAME: "Ferretto Edu Pro v3.0",
-    VERSION: "3.0.1",
+    VERSION: "3.14.0",
     BUILD_DATE: "2023-10-25",
     
     // Biometric Configuration
@@ -17,11 +17,124 @@ const ENTERPRISE_CONFIG = {
         VERIFICATION_STEPS: 5,
         THRESHOLD: 0.85,
         HIGH_CONFIDENCE: 0.92,
+        MATCH_FRAMES: 3,
+        SAMPLE_INTERVAL: 140,
+        VERIFY_TIMEOUT: 15000,
+        LIBRARY_PATH: 'vendor/face-api/face-api.min.js',
+        MODEL_PATH: 'vendor/face-api/models',
+        LIVENESS: {
+            CHALLENGES: ['blink', 'turnLeft', 'turnRight'],
+            STEP_TIMEOUT: 7000,
+            BLINK_EAR: 0.2,
+            OPEN_EAR: 0.26,
+            YAW_OFFSET: 0.15
+        }
+    },
+    
+    // Attendance geofencing
+    GEOFENCE: {
+        DEFAULT_RADIUS: 100,
+        DEFAULT_POLICY: 'reject',
+        MAX_ACCURACY: 250,
+        TIMEOUT: 10000
+    },
+    
+    // Class sessions and absences
+    ATTENDANCE: {
+        DEFAULT_GRACE_MINUTES: 10,
+        DEFAULT_SESSION_MINUTES: 90,
+        EARLY_CHECKIN_MINUTES: 15,
+        ABSENCE_JOB_INTERVAL: 60 * 1000,
+        ABSENCE_LOOKBACK_DAYS: 14,
+        REPORT_DAYS: 30,
+        CHRONIC_ABSENCE_RATE: 0.2,
+        CHRONIC_MIN_SESSIONS: 3
+    },
+    
+    // Playground and project previews. Student code runs in iframes without allow-same-origin,
+    // so it cannot reach the app's storage. Python runs on the Pyodide build in PYODIDE_PATH.
+    // Console runs are stopped after RUN_TIMEOUT; loading the Python runtime does not count.
+    PREVIEW: {
+        SANDBOX: 'allow-scripts allow-modals allow-forms',
+        DEBOUNCE_MS: 500,
+        MAX_CONSOLE_ENTRIES: 200,
+        RUN_TIMEOUT: 10000,
+        WINDOW_URL_LIFETIME: 60 * 1000,
+        PYODIDE_PATH: 'vendor/pyodide/'
+    },
+    
+    // Multi-file projects. The preview opens ENTRY_FILE; other files are reached through it
+    PROJECT: {
+        ENTRY_FILE: 'index.html',
+        MAX_FILES: 30,
+        MAX_ASSET_BYTES: 200 * 1024,
+        TEXT_TYPES: {
+            html: { mode: 'htmlmixed', mime: 'text/html' },
+            css: { mode: 'css', mime: 'text/css' },
+            js: { mode: 'javascript', mime: 'text/javascript' },
+            mjs: { mode: 'javascript', mime: 'text/javascript' },
+            py: { mode: 'python', mime: 'text/x-python' },
+            json: { mode: { name: 'javascript', json: true }, mime: 'application/json' },
+            svg: { mode: 'xml', mime: 'image/svg+xml' },
+            txt: { mode: 'text/plain', mime: 'text/plain' },
+            md: { mode: 'text/plain', mime: 'text/markdown' }
+        },
+        ASSET_TYPES: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'ico'],
+        DIFF_CONTEXT_LINES: 3,
+        DIFF_MAX_CELLS: 4000000
+    },
+    
+    // Automated assignment grading
+    GRADING: {
+        TEST_TIMEOUT: 3000,
+        RUN_TIMEOUT: 20000
+    },
+    
+    // Gradebook: category weights are percentages; sources pull scores from elsewhere in appData
+    GRADES: {
+        DEFAULT_CATEGORIES: [
+            { id: 1, name: 'Assignments', source: 'assignments', weight: 50 },
+            { id: 2, name: 'Quizzes', source: 'quizzes', weight: 30 },
+            { id: 3, name: 'Attendance', source: 'attendance', weight: 20 }
+        ],
+        SCALE: [
+            { min: 93, letter: 'A', points: 4.0 },
+            { min: 90, letter: 'A-', points: 3.7 },
+            { min: 87, letter: 'B+', points: 3.3 },
+            { min: 83, letter: 'B', points: 3.0 },
+            { min: 80, letter: 'B-', points: 2.7 },
+            { min: 77, letter: 'C+', points: 2.3 },
+            { min: 73, letter: 'C', points: 2.0 },
+            { min: 70, letter: 'C-', points: 1.7 },
+            { min: 67, letter: 'D+', points: 1.3 },
+            { min: 60, letter: 'D', points: 1.0 },
+            { min: 0, letter: 'F', points: 0 }
+        ]
+    },
+    
+    // Quizzes and exams
+    QUIZ: {
+        TYPES: {
+            multiple: 'Multiple choice',
+            multiselect: 'Multi-select',
+            short: 'Short answer',
+            codeOutput: 'Code output'
+        },
+        DEFAULT_TIME_LIMIT: 20,
+        TIMER_INTERVAL: 1000,
+        WARNING_SECONDS: 60
     },
     
     // Security
     SESSION_TIMEOUT: 30 * 60 * 1000,
     MAX_LOGIN_ATTEMPTS: 5,
+    LOCKOUT_DURATION: 15 * 60 * 1000,
+    PASSWORD_HASH: {
+        ALGORITHM: 'PBKDF2-SHA256',
+        ITERATIONS: 150000,
+        SALT_BYTES: 16,
+        KEY_BITS: 256
+    },
     
     // Storage
     MAX_STORAGE_MB: 100,
@@ -33,6 +146,79 @@ const ENTERPRISE_CONFIG = {
     ENABLE_BACKUP: true
 };
 
+// Capabilities a role can be granted. Scoped variants use a ":scope" suffix:
+// ":any" applies everywhere, ":ownCourse" only to courses the user is assigned to.
+const PERMISSIONS = {
+    'users.manage': 'Create, edit, unlock and delete users; register faces',
+    'roles.manage': 'Define custom roles and their permissions',
+    'courses.manage': 'Create, edit and delete courses',
+    'materials.read:all': 'View study materials from every course',
+    'materials.write:any': 'Add, edit and delete materials in any course',
+    'materials.write:ownCourse': 'Add, edit and delete materials in assigned courses',
+    'groups.create': 'Create collaboration groups',
+    'groups.moderate': 'Read and post in every group',
+    'projects.moderate': 'View and delete any project',
+    'attendance.manage:any': 'Review and correct attendance in any course',
+    'attendance.manage:ownCourse': 'Review and correct attendance in assigned courses',
+    'assignments.manage:any': 'Create assignments and review submissions in any course',
+    'assignments.manage:ownCourse': 'Create assignments and review submissions in assigned courses',
+    'grades.manage:any': 'Manage gradebooks in any course',
+    'grades.manage:ownCourse': 'Manage gradebooks in assigned courses',
+    'quizzes.manage:any': 'Build quizzes and review attempts in any course',
+    'quizzes.manage:ownCourse': 'Build quizzes and review attempts in assigned courses',
+    'admin.dashboard': 'View system statistics, activity logs and reports'
+};
+
+const DEFAULT_ROLES = [
+    {
+        id: 'admin',
+        name: 'Administrator',
+        permissions: Object.keys(PERMISSIONS).filter(p => !p.endsWith(':ownCourse')),
+        system: true
+    },
+    {
+        id: 'lecturer',
+        name: 'Lecturer',
+        permissions: ['materials.write:ownCourse', 'attendance.manage:ownCourse', 'assignments.manage:ownCourse',
+            'grades.manage:ownCourse', 'quizzes.manage:ownCourse'],
+        system: true
+    },
+    {
+        id: 'student',
+        name: 'Student',
+        permissions: [],
+        system: true
+    }
+];
+
+// Per-course roles held through enrollments. Staff roles grant their listed actions in that
+// course on top of the user's system role, and ":ownCourse" grants apply where the user is staff.
+const COURSE_ROLES = {
+    student: { name: 'Student', staff: false, permissions: [] },
+    ta: {
+        name: 'Teaching Assistant',
+        staff: true,
+        permissions: ['materials.write', 'attendance.manage', 'assignments.manage']
+    },
+    lecturer: {
+        name: 'Lecturer',
+        staff: true,
+        permissions: ['materials.write', 'attendance.manage', 'assignments.manage', 'grades.manage', 'quizzes.manage']
+    }
+};
+
+// Sections that require a capability before they are shown in the sidebar
+const SECTION_PERMISSIONS = {
+    adminUsers: 'users.manage',
+    adminCourses: 'courses.manage',
+    adminMaterials: 'materials.write',
+    attendanceConsole: 'attendance.manage',
+    attendanceReports: 'attendance.manage',
+    gradebook: 'grades.manage',
+    adminRoles: 'roles.manage',
+    adminDashboard: 'admin.dashboard'
+};
+
 // =========================================
 // 2. GLOBAL VARIABLES
 // =========================================
@@ -43,22 +229,50 @@ let materialEditor = null;
 let viewProjectEditor = null;
 let currentUpload = null;
 let currentViewProject = null;
+let materialPreviewEditor = null;
+let materialPreviewId = null;
+let materialPreviewUrl = null;
 let activeSessions = new Set();
 let currentGroupId = null;
 let groupFilter = '';
 let registrationInterval = null;
 let registrationSamples = 0;
+let registrationDescriptors = [];
 let registrationUserId = null;
 let attendanceScanInterval = null;
+let attendanceScanCancel = null;
+let registrationCancel = null;
+let registrationStream = null;
+let attendanceStream = null;
+let faceMatcher = null;
+let quizTimer = null;
+let activeQuizAttemptId = null;
+let previewRenderTimer = null;
+let codeRuns = {};
+let playgroundRunner = 'html';
+let codeRunnerMaterialId = null;
+let workspaceFiles = [];
+let activeFileName = null;
+let openFileTabs = [];
+let viewProjectFileName = null;
+let currentProjectId = null;
+let workspaceDirty = false;
+let workspaceUserId = null;
+let draftPending = false;
+let autosaveInterval = null;
+let sessionMonitorInterval = null;
 
 // =========================================
 // 3. INITIALIZATION
 // =========================================
-function initializeApp() {
-    loadAppData();
+async function initializeApp() {
+    await loadAppData();
     checkAuth();
     setupEventListeners();
     initGeolocation();
+    showDataRecovery();
+    generateAbsenceRecords();
+    setInterval(generateAbsenceRecords, ENTERPRISE_CONFIG.ATTENDANCE.ABSENCE_JOB_INTERVAL);
     
     console.log(`
 ╔══════════════════════════════════════════════════════════════╗
@@ -68,38 +282,655 @@ function initializeApp() {
     `);
 }
 
-function loadAppData() {
+// Legacy single-blob localStorage keys, read once for the IndexedDB import
+const DATA_STORAGE_KEY = 'ferretto_edu_pro_data';
+const DATA_BACKUP_KEY = 'ferretto_edu_pro_data_backup';
+
+// IndexedDB repository: one object store per collection, keyed by record id.
+// Everything else on appData (roles, analytics, metadata...) lives in META_STORE
+// under its property name. Add a collection here and bump DB_VERSION together.
+// Uploaded material files are kept as blobs in FILE_STORE, outside appData.
+const DB_NAME = 'ferretto_edu_pro';
+const DB_VERSION = 9;
+const DATA_COLLECTIONS = ['users', 'courses', 'materials', 'attendance', 'projects', 'groups', 'groupMessages', 'systemLogs',
+    'assignments', 'submissions', 'grades', 'questions', 'quizzes', 'quizAttempts', 'enrollments', 'projectVersions', 'drafts',
+    'checkInFailures'];
+const META_STORE = 'meta';
+const BACKUP_STORE = 'backups';
+const FILE_STORE = 'materialFiles';
+
+let db = null;
+// Last persisted JSON per record, used to write only what changed
+let persistedState = null;
+let flushTimer = null;
+let flushInFlight = null;
+let flushQueued = false;
+// Collections and top-level keys changed since the last flush; null means any of them may have
+let dirtyKeys = new Set();
+
+// Set when stored data could not be loaded; blocks saves so the original data survives
+let dataLoadError = null;
+let unreadableData = null;
+
+// Adds a permission to built-in roles that lack it; grants maps role id to permission
+function grantRolePermissions(data, grants) {
+    data.roles.forEach(role => {
+        if (grants[role.id] && !role.permissions.includes(grants[role.id])) {
+            role.permissions.push(grants[role.id]);
+        }
+    });
+}
+
+// Ordered schema migrations keyed on metadata.version. Each one receives the
+// parsed store and must leave it valid for its own version. Append new entries
+// at the end and bump ENTERPRISE_CONFIG.VERSION to match the last one.
+const DATA_MIGRATIONS = [
+    {
+        version: '3.1.0',
+        description: 'Backfill updatedAt, language, tags and roles',
+        migrate(data) {
+            ['users', 'courses', 'materials', 'attendance', 'projects', 'groups', 'groupMessages', 'systemLogs']
+                .forEach(key => { data[key] = Array.isArray(data[key]) ? data[key] : []; });
+
+            data.users.forEach(user => {
+                user.updatedAt = user.updatedAt || user.createdAt || null;
+                user.likedProjects = Array.isArray(user.likedProjects) ? user.likedProjects : [];
+                user.preferences = user.preferences || {};
+                user.failedLoginAttempts = user.failedLoginAttempts || 0;
+                user.lockedUntil = user.lockedUntil || null;
+            });
+            data.courses.forEach(course => {
+                course.updatedAt = course.updatedAt || course.createdAt || null;
+                course.students = Array.isArray(course.students) ? course.students : [];
+                course.materials = Array.isArray(course.materials) ? course.materials : [];
+            });
+            data.materials.forEach(material => {
+                material.createdAt = material.createdAt || material.date || null;
+                material.updatedAt = material.updatedAt || material.createdAt;
+                material.tags = Array.isArray(material.tags) ? material.tags : [];
+                material.language = material.type === 'code' ? (material.language || 'htmlmixed') : (material.language || null);
+            });
+            data.projects.forEach(project => {
+                project.updatedAt = project.updatedAt || project.createdAt;
+                project.tags = Array.isArray(project.tags) ? project.tags : [];
+                project.likes = project.likes || 0;
+                project.views = project.views || 0;
+                project.forks = project.forks || 0;
+            });
+            data.roles = Array.isArray(data.roles) ? data.roles : getDefaultRoles();
+        }
+    },
+    {
+        version: '3.2.0',
+        description: 'Drop placeholder face descriptors that cannot be verified',
+        migrate(data) {
+            data.users.forEach(user => {
+                if (user.faceDescriptor && !Array.isArray(user.faceDescriptor.values)) {
+                    user.faceDescriptor = null;
+                }
+            });
+        }
+    },
+    {
+        version: '3.3.0',
+        description: 'Add classroom geofences to courses',
+        migrate(data) {
+            data.courses.forEach(course => {
+                course.geofences = Array.isArray(course.geofences) ? course.geofences : [];
+                course.geofencePolicy = course.geofencePolicy || ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_POLICY;
+            });
+        }
+    },
+    {
+        version: '3.4.0',
+        description: 'Convert free-text course schedules into structured sessions',
+        migrate(data) {
+            data.courses.forEach(course => {
+                course.sessions = Array.isArray(course.sessions) ? course.sessions : parseLegacySchedule(course.schedule);
+            });
+        }
+    },
+    {
+        version: '3.5.0',
+        description: 'Grant attendance management to the built-in admin and lecturer roles',
+        migrate(data) {
+            grantRolePermissions(data, { admin: 'attendance.manage:any', lecturer: 'attendance.manage:ownCourse' });
+        }
+    },
+    {
+        version: '3.6.0',
+        description: 'Add assignments and submissions',
+        migrate(data) {
+            data.assignments = Array.isArray(data.assignments) ? data.assignments : [];
+            data.submissions = Array.isArray(data.submissions) ? data.submissions : [];
+            grantRolePermissions(data, { admin: 'assignments.manage:any', lecturer: 'assignments.manage:ownCourse' });
+        }
+    },
+    {
+        version: '3.7.0',
+        description: 'Add hidden test scripts to assignments',
+        migrate(data) {
+            data.assignments.forEach(assignment => {
+                if (!Array.isArray(assignment.tests)) assignment.tests = [];
+            });
+        }
+    },
+    {
+        version: '3.8.0',
+        description: 'Add gradebook categories and scores',
+        migrate(data) {
+            data.grades = Array.isArray(data.grades) ? data.grades : [];
+            data.courses.forEach(course => {
+                if (!Array.isArray(course.gradeCategories)) {
+                    course.gradeCategories = ENTERPRISE_CONFIG.GRADES.DEFAULT_CATEGORIES.map(category => ({ ...category }));
+                }
+            });
+            grantRolePermissions(data, { admin: 'grades.manage:any', lecturer: 'grades.manage:ownCourse' });
+        }
+    },
+    {
+        version: '3.9.0',
+        description: 'Add question banks, quizzes and quiz attempts',
+        migrate(data) {
+            data.questions = Array.isArray(data.questions) ? data.questions : [];
+            data.quizzes = Array.isArray(data.quizzes) ? data.quizzes : [];
+            data.quizAttempts = Array.isArray(data.quizAttempts) ? data.quizAttempts : [];
+            // The default Quizzes category held manual scores until quizzes existed
+            data.courses.forEach(course => {
+                (course.gradeCategories || []).forEach(category => {
+                    if (category.name === 'Quizzes' && category.source === 'manual') category.source = 'quizzes';
+                });
+            });
+            grantRolePermissions(data, { admin: 'quizzes.manage:any', lecturer: 'quizzes.manage:ownCourse' });
+        }
+    },
+    {
+        version: '3.10.0',
+        description: 'Replace user.courseId and course.students with many-to-many enrollments',
+        migrate(data) {
+            data.enrollments = Array.isArray(data.enrollments) ? data.enrollments : [];
+            let nextId = data.enrollments.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+            const enroll = (userId, courseId, role) => {
+                if (!data.users.some(u => u.id === userId) || !data.courses.some(c => c.id === courseId)) return;
+                if (data.enrollments.some(e => e.userId === userId && e.courseId === courseId)) return;
+                data.enrollments.push({ id: nextId++, userId, courseId, role, createdAt: new Date().toISOString() });
+            };
+            // Users whose system role had course-scoped grants were staff of their assigned course
+            const isStaffRole = (roleId) => {
+                const role = data.roles.find(r => r.id === roleId);
+                return Boolean(role && role.permissions.some(p => p.endsWith(':ownCourse')));
+            };
+            
+            data.users.forEach(user => {
+                if (user.courseId !== null && user.courseId !== undefined && user.courseId !== '') {
+                    enroll(user.id, Number(user.courseId), isStaffRole(user.role) ? 'lecturer' : 'student');
+                }
+                delete user.courseId;
+            });
+            data.courses.forEach(course => {
+                (course.students || []).forEach(userId => enroll(userId, course.id, 'student'));
+                // Lecturers used to be matched to courses by display name
+                data.users
+                    .filter(user => user.name === course.lecturer && isStaffRole(user.role))
+                    .forEach(user => enroll(user.id, course.id, 'lecturer'));
+                delete course.students;
+            });
+        }
+    },
+    {
+        version: '3.11.0',
+        description: 'Store projects as lists of files; single-string code becomes index.html',
+        migrate(data) {
+            data.projects.forEach(project => {
+                if (!Array.isArray(project.files)) {
+                    project.files = [{ name: 'index.html', type: 'text', content: project.code || '' }];
+                }
+                delete project.code;
+            });
+        }
+    },
+    {
+        version: '3.12.0',
+        description: 'Add project version history, starting each project at version 1',
+        migrate(data) {
+            data.projectVersions = Array.isArray(data.projectVersions) ? data.projectVersions : [];
+            let nextId = data.projectVersions.reduce((max, v) => Math.max(max, v.id), 0) + 1;
+            data.projects.forEach(project => {
+                if (data.projectVersions.some(v => v.projectId === project.id)) return;
+                data.projectVersions.push({
+                    id: nextId++,
+                    projectId: project.id,
+                    number: 1,
+                    message: 'Initial version',
+                    files: (project.files || []).map(file => ({ ...file })),
+                    userId: project.userId,
+                    createdAt: project.updatedAt || project.createdAt || new Date().toISOString()
+                });
+                project.currentVersion = 1;
+            });
+        }
+    },
+    {
+        version: '3.13.0',
+        description: 'Add per-user, per-project playground drafts',
+        migrate(data) {
+            data.drafts = Array.isArray(data.drafts) ? data.drafts : [];
+        }
+    },
+    {
+        version: '3.14.0',
+        description: 'Move failed face check-ins out of the trimmed system log',
+        migrate(data) {
+            data.checkInFailures = Array.isArray(data.checkInFailures) ? data.checkInFailures : [];
+            let nextId = data.checkInFailures.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+            data.systemLogs.forEach(log => {
+                if (!log.attempt) return;
+                data.checkInFailures.push({ id: nextId++, userId: log.userId, ...log.attempt, createdAt: log.timestamp });
+                delete log.attempt;
+            });
+        }
+    }
+];
+
+async function loadAppData() {
+    let rawData = null;
     try {
-        const stored = localStorage.getItem('ferretto_edu_pro_data');
-        if (!stored) {
-            // Create default data
-            appData = getDefaultData();
-            localStorage.setItem('ferretto_edu_pro_data', JSON.stringify(appData));
-            console.log("Initialized with default data");
+        await openDatabase();
+        let data = await readStoredData();
+        let importedLegacy = false;
+        
+        if (!data) {
+            rawData = localStorage.getItem(DATA_STORAGE_KEY);
+            if (!rawData) {
+                // Create default data
+                appData = getDefaultData();
+                await hashPlaintextPasswords(appData);
+                await writeAllData(appData);
+                console.log("Initialized with default data");
+                return;
+            }
+            data = JSON.parse(rawData);
+            await putBackup(rawData, data.metadata?.version || '0');
+            importedLegacy = true;
+        } else {
+            rawData = JSON.stringify(data);
+        }
+        
+        const migrated = await runDataMigrations(data, rawData);
+        appData = data;
+        ensureDataIntegrity();
+        const rehashed = await hashPlaintextPasswords(appData);
+        
+        if (importedLegacy || migrated || rehashed) {
+            await writeAllData(appData);
+        } else {
+            takePersistedSnapshot();
+        }
+        
+        if (importedLegacy) {
+            localStorage.removeItem(DATA_STORAGE_KEY);
+            localStorage.removeItem(DATA_BACKUP_KEY);
+            logSystem('DATA_IMPORT', 'Imported legacy localStorage data into IndexedDB');
+            console.log("Imported legacy localStorage data");
         } else {
-            appData = JSON.parse(stored);
-            ensureDataIntegrity();
             console.log("Loaded existing data");
         }
     } catch (error) {
         console.error("Failed to load app data:", error);
+        // Keep the app usable in memory, but never overwrite what is stored
+        dataLoadError = error;
+        unreadableData = rawData;
         appData = getDefaultData();
     }
 }
 
-function saveAppData() {
+function compareVersions(a, b) {
+    const pa = String(a || '0').split('.').map(Number);
+    const pb = String(b || '0').split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Returns true when at least one migration ran
+async function runDataMigrations(data, rawData) {
+    data.metadata = data.metadata || {};
+    const fromVersion = data.metadata.version || '0';
+    const pending = DATA_MIGRATIONS.filter(m => compareVersions(m.version, fromVersion) > 0);
+    if (!pending.length) return false;
+    
     try {
-        localStorage.setItem('ferretto_edu_pro_data', JSON.stringify(appData));
-        return true;
+        await putBackup(rawData, fromVersion);
     } catch (error) {
-        console.error("Failed to save app data:", error);
-        showToast("Failed to save data", "error");
+        // Without a backup the migration must not touch the only copy
+        throw new Error(`Could not back up data before migrating: ${error.message}`);
+    }
+    
+    pending.forEach(migration => {
+        try {
+            migration.migrate(data);
+        } catch (error) {
+            throw new Error(`Migration to ${migration.version} (${migration.description}) failed: ${error.message}`);
+        }
+        data.metadata.version = migration.version;
+        console.log(`Migrated data to schema ${migration.version}`);
+    });
+    
+    data.metadata.lastMigration = {
+        from: fromVersion,
+        to: data.metadata.version,
+        at: new Date().toISOString()
+    };
+    data.metadata.lastBackup = new Date().toISOString();
+    return true;
+}
+
+// Callers name the collections (or other top-level keys of appData) they changed, so only those
+// are compared with what was last written. Without names every collection is compared.
+function saveAppData(...keys) {
+    if (dataLoadError || !db) {
+        console.warn("Save skipped: stored data could not be loaded");
         return false;
     }
+    if (!keys.length) dirtyKeys = null;
+    else if (dirtyKeys) keys.forEach(key => dirtyKeys.add(key));
+    // Coalesce every save made in the same tick into one incremental write
+    if (!flushTimer) {
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flushChanges();
+        }, 0);
+    }
+    return true;
+}
+
+function flushChanges() {
+    if (flushInFlight) {
+        flushQueued = true;
+        return flushInFlight;
+    }
+    const changes = collectChanges();
+    if (!changes.length) return Promise.resolve();
+    
+    flushInFlight = writeChanges(changes)
+        .catch(error => {
+            console.error("Failed to save app data:", error);
+            showToast("Failed to save data", "error");
+            // Forget what we assumed was written so the next flush retries it
+            changes.forEach(change => {
+                persistedState[change.store]?.delete(change.key);
+                dirtyKeys?.add(change.store === META_STORE ? change.key : change.store);
+            });
+        })
+        .finally(() => {
+            flushInFlight = null;
+            if (flushQueued) {
+                flushQueued = false;
+                flushChanges();
+            }
+        });
+    return flushInFlight;
+}
+
+// Writes a single record immediately without diffing the whole store
+function persistRecord(store, record, removedKeys = []) {
+    if (dataLoadError || !db || !persistedState) return;
+    const changes = [{ store, type: 'put', key: record.id, value: record }];
+    removedKeys.forEach(key => changes.push({ store, type: 'delete', key }));
+    
+    persistedState[store].set(record.id, JSON.stringify(record));
+    removedKeys.forEach(key => persistedState[store].delete(key));
+    
+    writeChanges(changes).catch(error => {
+        console.error(`Failed to save ${store} record:`, error);
+        persistedState[store].delete(record.id);
+    });
+}
+
+function getMetaKeys(data) {
+    return Object.keys(data).filter(key => !DATA_COLLECTIONS.includes(key));
+}
+
+function takePersistedSnapshot() {
+    persistedState = { [META_STORE]: new Map() };
+    DATA_COLLECTIONS.forEach(name => {
+        persistedState[name] = new Map((appData[name] || []).map(record => [record.id, JSON.stringify(record)]));
+    });
+    getMetaKeys(appData).forEach(key => {
+        persistedState[META_STORE].set(key, JSON.stringify(appData[key]));
+    });
+}
+
+function collectChanges() {
+    if (!persistedState) takePersistedSnapshot();
+    const changes = [];
+    const dirty = dirtyKeys;
+    dirtyKeys = new Set();
+    
+    DATA_COLLECTIONS.filter(name => !dirty || dirty.has(name)).forEach(name => {
+        const previous = persistedState[name];
+        const next = new Map();
+        (appData[name] || []).forEach(record => {
+            const json = JSON.stringify(record);
+            next.set(record.id, json);
+            if (previous.get(record.id) !== json) {
+                changes.push({ store: name, type: 'put', key: record.id, value: record });
+            }
+        });
+        previous.forEach((_, id) => {
+            if (!next.has(id)) changes.push({ store: name, type: 'delete', key: id });
+        });
+        persistedState[name] = next;
+    });
+    
+    const metaState = persistedState[META_STORE];
+    getMetaKeys(appData).filter(key => !dirty || dirty.has(key)).forEach(key => {
+        const json = JSON.stringify(appData[key]);
+        if (metaState.get(key) !== json) {
+            changes.push({ store: META_STORE, type: 'put', key, value: appData[key] });
+            metaState.set(key, json);
+        }
+    });
+    
+    return changes;
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            DATA_COLLECTIONS.forEach(name => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name, { keyPath: 'id' });
+                }
+            });
+            [META_STORE, BACKUP_STORE].forEach(name => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name);
+                }
+            });
+            if (!database.objectStoreNames.contains(FILE_STORE)) {
+                database.createObjectStore(FILE_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => {
+            db = request.result;
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// Resolves to null when nothing has been stored yet
+async function readStoredData() {
+    const tx = db.transaction([...DATA_COLLECTIONS, META_STORE], 'readonly');
+    const metaStore = tx.objectStore(META_STORE);
+    const [metaKeys, metaValues, ...collections] = await Promise.all([
+        idbRequest(metaStore.getAllKeys()),
+        idbRequest(metaStore.getAll()),
+        ...DATA_COLLECTIONS.map(name => idbRequest(tx.objectStore(name).getAll()))
+    ]);
+    if (!metaKeys.length) return null;
+    
+    const data = {};
+    metaKeys.forEach((key, index) => { data[key] = metaValues[index]; });
+    DATA_COLLECTIONS.forEach((name, index) => { data[name] = collections[index]; });
+    // Logs are kept newest first in memory
+    data.systemLogs.sort((a, b) => b.id - a.id);
+    return data;
+}
+
+function writeChanges(changes) {
+    const stores = Array.from(new Set(changes.map(change => change.store)));
+    const tx = db.transaction(stores, 'readwrite');
+    changes.forEach(change => {
+        const store = tx.objectStore(change.store);
+        if (change.type === 'delete') {
+            store.delete(change.key);
+        } else if (change.store === META_STORE) {
+            store.put(change.value, change.key);
+        } else {
+            store.put(change.value);
+        }
+    });
+    return idbTransactionDone(tx);
+}
+
+// Replaces everything stored with the given data
+async function writeAllData(data) {
+    const tx = db.transaction([...DATA_COLLECTIONS, META_STORE], 'readwrite');
+    DATA_COLLECTIONS.forEach(name => {
+        const store = tx.objectStore(name);
+        store.clear();
+        (data[name] || []).forEach(record => store.put(record));
+    });
+    const metaStore = tx.objectStore(META_STORE);
+    metaStore.clear();
+    getMetaKeys(data).forEach(key => metaStore.put(data[key], key));
+    await idbTransactionDone(tx);
+    if (data === appData) takePersistedSnapshot();
+}
+
+function putBackup(rawData, version) {
+    const tx = db.transaction(BACKUP_STORE, 'readwrite');
+    tx.objectStore(BACKUP_STORE).put({
+        version,
+        createdAt: new Date().toISOString(),
+        data: rawData
+    }, 'latest');
+    return idbTransactionDone(tx);
+}
+
+function getBackup() {
+    if (!db) return Promise.resolve(null);
+    const tx = db.transaction(BACKUP_STORE, 'readonly');
+    return idbRequest(tx.objectStore(BACKUP_STORE).get('latest')).then(backup => backup || null);
+}
+
+function putMaterialFile(materialId, file) {
+    if (!db) return Promise.reject(new Error('Storage is unavailable'));
+    const tx = db.transaction(FILE_STORE, 'readwrite');
+    tx.objectStore(FILE_STORE).put({
+        id: materialId,
+        blob: file,
+        name: file.name,
+        type: file.type || 'application/octet-stream',
+        size: file.size,
+        storedAt: new Date().toISOString()
+    });
+    return idbTransactionDone(tx);
+}
+
+// Resolves to null when no file has been stored for the material
+function getMaterialFile(materialId) {
+    if (!db) return Promise.resolve(null);
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    return idbRequest(tx.objectStore(FILE_STORE).get(materialId)).then(file => file || null);
+}
+
+function deleteMaterialFile(materialId) {
+    if (!db) return Promise.resolve();
+    const tx = db.transaction(FILE_STORE, 'readwrite');
+    tx.objectStore(FILE_STORE).delete(materialId);
+    return idbTransactionDone(tx);
+}
+
+async function showDataRecovery() {
+    if (!dataLoadError) return;
+    const message = document.getElementById('dataRecoveryMessage');
+    if (message) message.textContent = dataLoadError.message;
+    const restoreBtn = document.getElementById('restoreBackupBtn');
+    if (restoreBtn) restoreBtn.disabled = !(await getBackup().catch(() => null));
+    openModal('dataRecoveryModal');
+}
+
+function downloadUnreadableData() {
+    if (!unreadableData) return;
+    const blob = new Blob([unreadableData], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ferretto_data_unreadable_${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+async function restoreDataBackup() {
+    const backup = await getBackup().catch(() => null);
+    if (!backup) {
+        showToast('No backup available', 'warning');
+        return;
+    }
+    if (!confirm(`Replace the stored data with the backup from ${new Date(backup.createdAt).toLocaleString()}?`)) return;
+    try {
+        await writeAllData(JSON.parse(backup.data));
+        window.location.reload();
+    } catch (error) {
+        console.error("Backup could not be restored:", error);
+        showToast('The backup could not be restored', 'error');
+    }
+}
+
+async function resetAppData() {
+    if (!confirm('Reset all data to defaults? Download the unreadable data first if you may need it.')) return;
+    try {
+        const data = getDefaultData();
+        await hashPlaintextPasswords(data);
+        await writeAllData(data);
+        window.location.reload();
+    } catch (error) {
+        console.error("Reset failed:", error);
+        showToast('Storage is unavailable; data could not be reset', 'error');
+    }
 }
 
 function getDefaultData() {
-    return {
+    const data = {
         users: [
             { 
                 id: 1, 
@@ -108,9 +939,9 @@ function getDefaultData() {
                 email: 'admin@ferretto.edu',
                 name: 'System Administrator', 
                 role: 'admin', 
-                courseId: null, 
                 faceDescriptor: null,
                 createdAt: '2023-01-01',
+                updatedAt: '2023-01-01',
                 lastLogin: null,
                 status: 'active',
                 preferences: {},
@@ -124,9 +955,9 @@ function getDefaultData() {
                 email: 'student@ferretto.edu',
                 name: 'John Student', 
                 role: 'student', 
-                courseId: 101, 
                 faceDescriptor: null,
                 createdAt: '2023-01-01',
+                updatedAt: '2023-01-01',
                 lastLogin: null,
                 status: 'active',
                 preferences: {},
@@ -140,9 +971,9 @@ function getDefaultData() {
                 email: 'lecturer@ferretto.edu',
                 name: 'Dr. Sarah Connor', 
                 role: 'lecturer', 
-                courseId: 101, 
                 faceDescriptor: null,
                 createdAt: '2023-01-01',
+                updatedAt: '2023-01-01',
                 lastLogin: null,
                 status: 'active',
                 preferences: {},
@@ -157,11 +988,18 @@ function getDefaultData() {
                 name: 'Introduction to Web Development', 
                 lecturer: 'Dr. Sarah Connor', 
                 schedule: 'Mon, Wed 09:00 AM',
+                sessions: [
+                    { id: 1, weekday: 1, start: '09:00', end: '10:30', graceMinutes: 10 },
+                    { id: 2, weekday: 3, start: '09:00', end: '10:30', graceMinutes: 10 }
+                ],
                 credits: 3,
                 description: 'Comprehensive introduction to HTML, CSS, and JavaScript. Learn to build modern responsive websites.',
-                students: [2],
+                geofences: [],
+                geofencePolicy: 'reject',
+                gradeCategories: ENTERPRISE_CONFIG.GRADES.DEFAULT_CATEGORIES.map(category => ({ ...category })),
                 materials: [1, 2],
-                createdAt: '2023-09-01'
+                createdAt: '2023-09-01',
+                updatedAt: '2023-09-01'
             },
             { 
                 id: 102, 
@@ -169,11 +1007,18 @@ function getDefaultData() {
                 name: 'Data Structures & Algorithms', 
                 lecturer: 'Prof. Alan Turing', 
                 schedule: 'Tue, Thu 11:00 AM',
+                sessions: [
+                    { id: 1, weekday: 2, start: '11:00', end: '12:30', graceMinutes: 10 },
+                    { id: 2, weekday: 4, start: '11:00', end: '12:30', graceMinutes: 10 }
+                ],
                 credits: 4,
                 description: 'Advanced study of data structures, algorithms, and computational complexity.',
-                students: [],
+                geofences: [],
+                geofencePolicy: 'reject',
+                gradeCategories: ENTERPRISE_CONFIG.GRADES.DEFAULT_CATEGORIES.map(category => ({ ...category })),
                 materials: [],
-                createdAt: '2023-09-01'
+                createdAt: '2023-09-01',
+                updatedAt: '2023-09-01'
             }
         ],
         materials: [
@@ -187,8 +1032,11 @@ function getDefaultData() {
                 fileSize: '2.4 MB',
                 downloads: 0,
                 tags: ['html', 'web', 'beginners'],
+                language: null,
                 date: '2023-10-01',
-                author: 'Dr. Sarah Connor'
+                author: 'Dr. Sarah Connor',
+                createdAt: '2023-10-01',
+                updatedAt: '2023-10-01'
             },
             { 
                 id: 2, 
@@ -202,7 +1050,9 @@ function getDefaultData() {
                 tags: ['css', 'layout', 'flexbox'],
                 language: 'css',
                 date: '2023-10-05',
-                author: 'Dr. Sarah Connor'
+                author: 'Dr. Sarah Connor',
+                createdAt: '2023-10-05',
+                updatedAt: '2023-10-05'
             },
             { 
                 id: 3, 
@@ -214,8 +1064,11 @@ function getDefaultData() {
                 fileSize: 'N/A',
                 downloads: 0,
                 tags: ['javascript', 'tutorial', 'mdn'],
+                language: null,
                 date: '2023-10-10',
-                author: 'Dr. Sarah Connor'
+                author: 'Dr. Sarah Connor',
+                createdAt: '2023-10-10',
+                updatedAt: '2023-10-10'
             }
         ],
         attendance: [
@@ -239,46 +1092,15 @@ function getDefaultData() {
                 id: 1, 
                 userId: 2, 
                 name: 'My First Website', 
-                code: `<!DOCTYPE html>
+                files: [
+                    {
+                        name: 'index.html',
+                        type: 'text',
+                        content: `<!DOCTYPE html>
 <html>
 <head>
   <title>My Website</title>
-  <style>
-    body { 
-      font-family: Arial, sans-serif;
-      margin: 0;
-      padding: 20px;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-    }
-    .container {
-      max-width: 800px;
-      margin: 0 auto;
-      text-align: center;
-      padding: 40px;
-      background: rgba(255, 255, 255, 0.1);
-      border-radius: 20px;
-      backdrop-filter: blur(10px);
-    }
-    h1 {
-      font-size: 3rem;
-      margin-bottom: 20px;
-    }
-    button {
-      background: #4f46e5;
-      color: white;
-      border: none;
-      padding: 12px 24px;
-      border-radius: 8px;
-      font-size: 1rem;
-      cursor: pointer;
-      transition: all 0.3s;
-    }
-    button:hover {
-      background: #4338ca;
-      transform: translateY(-2px);
-    }
-  </style>
+  <link rel="stylesheet" href="style.css">
 </head>
 <body>
   <div class="container">
@@ -287,7 +1109,48 @@ function getDefaultData() {
     <button onclick="alert('Hello from Ferretto Edu Pro!')">Click Me!</button>
   </div>
 </body>
-</html>`, 
+</html>`
+                    },
+                    {
+                        name: 'style.css',
+                        type: 'text',
+                        content: `body { 
+  font-family: Arial, sans-serif;
+  margin: 0;
+  padding: 20px;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+}
+.container {
+  max-width: 800px;
+  margin: 0 auto;
+  text-align: center;
+  padding: 40px;
+  background: rgba(255, 255, 255, 0.1);
+  border-radius: 20px;
+  backdrop-filter: blur(10px);
+}
+h1 {
+  font-size: 3rem;
+  margin-bottom: 20px;
+}
+button {
+  background: #4f46e5;
+  color: white;
+  border: none;
+  padding: 12px 24px;
+  border-radius: 8px;
+  font-size: 1rem;
+  cursor: pointer;
+  transition: all 0.3s;
+}
+button:hover {
+  background: #4338ca;
+  transform: translateY(-2px);
+}
+`
+                    }
+                ],
                 visibility: 'public',
                 category: 'web',
                 tags: ['html', 'css', 'javascript', 'beginners'],
@@ -295,6 +1158,7 @@ function getDefaultData() {
                 likes: 5,
                 views: 42,
                 forks: 3,
+                currentVersion: 1,
                 createdAt: '2023-10-20T10:00:00',
                 updatedAt: '2023-10-20T10:00:00'
             }
@@ -319,6 +1183,115 @@ function getDefaultData() {
                 createdAt: '2023-10-18T09:10:00'
             }
         ],
+        assignments: [
+            {
+                id: 7001,
+                courseId: 101,
+                title: 'Personal Landing Page',
+                description: 'Build a one-page site with a heading, a short bio and a button that reveals your contact details.',
+                starterCode: '<!DOCTYPE html>\n<html>\n<head>\n    <title>About Me</title>\n</head>\n<body>\n    <!-- Your page here -->\n</body>\n</html>',
+                dueAt: new Date(Date.now() + 7 * 86400000).toISOString(),
+                points: 100,
+                tests: [
+                    {
+                        id: 1,
+                        name: 'Page has a heading',
+                        weight: 1,
+                        script: "assert(document.querySelector('h1'), 'Add an <h1> heading');"
+                    },
+                    {
+                        id: 2,
+                        name: 'Button reveals contact details',
+                        weight: 2,
+                        script: "const button = document.querySelector('button');\nassert(button, 'Add a button');\nconst before = document.body.innerText;\nbutton.click();\nawait wait(50);\nassert(document.body.innerText !== before, 'Clicking the button should change the page');"
+                    }
+                ],
+                createdBy: 1,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }
+        ],
+        submissions: [],
+        grades: [],
+        questions: [
+            {
+                id: 8001,
+                courseId: 101,
+                type: 'multiple',
+                prompt: 'Which element holds the visible content of an HTML page?',
+                code: '',
+                options: ['<head>', '<body>', '<meta>', '<title>'],
+                correct: [1],
+                acceptedAnswers: [],
+                points: 1,
+                createdBy: 1,
+                createdAt: new Date().toISOString()
+            },
+            {
+                id: 8002,
+                courseId: 101,
+                type: 'multiselect',
+                prompt: 'Which of these are CSS selectors?',
+                code: '',
+                options: ['.card', '#main', '<div>', 'h1 > p'],
+                correct: [0, 1, 3],
+                acceptedAnswers: [],
+                points: 2,
+                createdBy: 1,
+                createdAt: new Date().toISOString()
+            },
+            {
+                id: 8003,
+                courseId: 101,
+                type: 'short',
+                prompt: 'Which HTML attribute gives an image its alternative text?',
+                code: '',
+                options: [],
+                correct: [],
+                acceptedAnswers: ['alt'],
+                points: 1,
+                createdBy: 1,
+                createdAt: new Date().toISOString()
+            },
+            {
+                id: 8004,
+                courseId: 101,
+                type: 'codeOutput',
+                prompt: 'What does this code print to the console?',
+                code: 'const items = [1, 2, 3];\nconsole.log(items.map(n => n * 2).join("-"));',
+                options: [],
+                correct: [],
+                acceptedAnswers: ['2-4-6'],
+                points: 2,
+                createdBy: 1,
+                createdAt: new Date().toISOString()
+            }
+        ],
+        quizzes: [
+            {
+                id: 8101,
+                courseId: 101,
+                title: 'HTML & CSS Basics',
+                description: 'A short check on the first two weeks of the course.',
+                questionIds: [8001, 8002, 8003, 8004],
+                timeLimitMinutes: 10,
+                maxAttempts: 2,
+                shuffleOptions: true,
+                dueAt: null,
+                published: true,
+                createdBy: 1,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }
+        ],
+        quizAttempts: [],
+        enrollments: [
+            { id: 1, userId: 2, courseId: 101, role: 'student', createdAt: '2023-09-01' },
+            { id: 2, userId: 3, courseId: 101, role: 'lecturer', createdAt: '2023-09-01' }
+        ],
+        drafts: [],
+        checkInFailures: [],
+        roles: getDefaultRoles(),
         systemLogs: [],
         analytics: {
             dailyActiveUsers: {},
@@ -334,6 +1307,16 @@ function getDefaultData() {
             totalAttendance: 1
         }
     };
+    data.projectVersions = data.projects.map((project, index) => ({
+        id: index + 1,
+        projectId: project.id,
+        number: 1,
+        message: 'Initial version',
+        files: project.files.map(file => ({ ...file })),
+        userId: project.userId,
+        createdAt: project.createdAt
+    }));
+    return data;
 }
 
 function ensureDataIntegrity() {
@@ -345,6 +1328,17 @@ function ensureDataIntegrity() {
     appData.groups = appData.groups || [];
     appData.groupMessages = appData.groupMessages || [];
     appData.systemLogs = appData.systemLogs || [];
+    appData.assignments = appData.assignments || [];
+    appData.submissions = appData.submissions || [];
+    appData.grades = appData.grades || [];
+    appData.questions = appData.questions || [];
+    appData.quizzes = appData.quizzes || [];
+    appData.quizAttempts = appData.quizAttempts || [];
+    appData.enrollments = appData.enrollments || [];
+    appData.projectVersions = appData.projectVersions || [];
+    appData.drafts = appData.drafts || [];
+    appData.checkInFailures = appData.checkInFailures || [];
+    appData.roles = appData.roles || getDefaultRoles();
     appData.analytics = appData.analytics || {
         dailyActiveUsers: {},
         attendanceStats: {},
@@ -360,7 +1354,8 @@ function ensureDataIntegrity() {
 function checkAuth() {
     const storedUser = sessionStorage.getItem('currentUser');
     if (storedUser) {
-        currentUser = JSON.parse(storedUser);
+        currentUser = toSessionUser(JSON.parse(storedUser));
+        sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
         activeSessions.add(currentUser.id);
         showDashboard();
     } else {
@@ -368,7 +1363,7 @@ function checkAuth() {
     }
 }
 
-function handleLogin(e) {
+async function handleLogin(e) {
     e.preventDefault();
     
     const username = document.getElementById('username').value.trim();
@@ -380,37 +1375,95 @@ function handleLogin(e) {
     }
     
     const user = appData.users.find(u => 
-        u.username === username && u.password === password && u.status === 'active'
+        u.username === username && u.status === 'active'
     );
     
-    if (user) {
-        currentUser = user;
-        activeSessions.add(user.id);
-        
+    if (user && isAccountLocked(user)) {
+        const minutes = Math.ceil((new Date(user.lockedUntil) - Date.now()) / 60000);
+        logSystem('LOGIN_BLOCKED', `Login attempt on locked account: ${username}`, user.id);
+        showToast(`Account locked. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or contact an administrator.`, 'error');
+        return;
+    }
+    
+    let valid = false;
+    try {
+        valid = user ? await verifyPassword(user, password) : false;
+    } catch (error) {
+        console.error("Password verification failed:", error);
+        showToast('Secure login is unavailable in this browser', 'error');
+        return;
+    }
+    
+    if (valid) {
         // Update last login
-        const userIndex = appData.users.findIndex(u => u.id === user.id);
-        if (userIndex > -1) {
-            appData.users[userIndex].lastLogin = new Date().toISOString();
-            saveAppData();
-        }
+        user.lastLogin = new Date().toISOString();
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = null;
+        persistRecord('users', user);
         
-        sessionStorage.setItem('currentUser', JSON.stringify(user));
+        currentUser = toSessionUser(user);
+        activeSessions.add(user.id);
+        
+        sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
         logSystem('LOGIN', `User ${username} logged in`, user.id);
         
         showToast(`Welcome back, ${user.name}!`, 'success');
         showDashboard();
     } else {
         logSystem('LOGIN_FAILED', `Failed login attempt for username: ${username}`);
-        showToast('Invalid username or password', 'error');
+        if (user && recordFailedLogin(user)) {
+            showToast('Too many failed attempts. This account has been locked.', 'error');
+        } else {
+            showToast('Invalid username or password', 'error');
+        }
+    }
+}
+
+function isAccountLocked(user) {
+    return Boolean(user.lockedUntil) && new Date(user.lockedUntil).getTime() > Date.now();
+}
+
+// Returns true when this failure locks the account
+function recordFailedLogin(user) {
+    // A lock that has already expired starts a fresh count
+    if (user.lockedUntil && !isAccountLocked(user)) {
+        user.lockedUntil = null;
+        user.failedLoginAttempts = 0;
+    }
+
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    user.lastFailedLogin = new Date().toISOString();
+
+    const locked = user.failedLoginAttempts >= ENTERPRISE_CONFIG.MAX_LOGIN_ATTEMPTS;
+    if (locked) {
+        user.lockedUntil = new Date(Date.now() + ENTERPRISE_CONFIG.LOCKOUT_DURATION).toISOString();
+        logSystem('ACCOUNT_LOCKED', `Locked ${user.username} after ${user.failedLoginAttempts} failed attempts`, user.id);
     }
+
+    persistRecord('users', user);
+    return locked;
 }
 
-function handleLogout() {
+// Automatic sign-outs pass force, since nobody is there to answer the prompt
+function handleLogout(force = false) {
+    if (!force && workspaceDirty &&
+        !confirm('You have unsaved changes in the playground. Log out anyway? They are kept as a draft you can recover when you sign in again.')) {
+        return;
+    }
+    saveWorkspaceDraft();
+    clearWorkspace();
+    
     if (currentUser) {
         logSystem('LOGOUT', `User ${currentUser.username} logged out`, currentUser.id);
         activeSessions.delete(currentUser.id);
     }
     
+    if (attendanceStream || attendanceScanInterval) {
+        stopAttendanceScanner();
+    }
+    if (activeQuizAttemptId) {
+        closeModal('quizAttemptModal');
+    }
     currentUser = null;
     sessionStorage.removeItem('currentUser');
     showLogin();
@@ -433,29 +1486,24 @@ function showDashboard() {
     
     // Update user info
     document.getElementById('userName').textContent = currentUser.name;
-    document.getElementById('userRole').textContent = currentUser.role.toUpperCase();
+    document.getElementById('userRole').textContent = getRoleName(currentUser.role).toUpperCase();
     document.getElementById('userAvatar').textContent = currentUser.name.charAt(0).toUpperCase();
     document.getElementById('dropdownUserName').textContent = currentUser.name;
     document.getElementById('welcomeName').textContent = currentUser.name;
     
     // Show/hide admin sections
-    if (currentUser.role === 'admin') {
-        document.getElementById('adminCategory').style.display = 'block';
-        document.getElementById('adminUsersLink').style.display = 'flex';
-        document.getElementById('adminCoursesLink').style.display = 'flex';
-        document.getElementById('adminMaterialsLink').style.display = 'flex';
-        document.getElementById('adminDashboardLink').style.display = 'flex';
-    } else {
-        document.getElementById('adminCategory').style.display = 'none';
-        document.getElementById('adminUsersLink').style.display = 'none';
-        document.getElementById('adminCoursesLink').style.display = 'none';
-        document.getElementById('adminMaterialsLink').style.display = 'none';
-        document.getElementById('adminDashboardLink').style.display = 'none';
-    }
+    let hasAdminLinks = false;
+    Object.entries(SECTION_PERMISSIONS).forEach(([sectionId, permission]) => {
+        const link = document.querySelector(`.menu-item[data-section="${sectionId}"]`);
+        const allowed = can(permission);
+        if (link) link.style.display = allowed ? 'flex' : 'none';
+        hasAdminLinks = hasAdminLinks || allowed;
+    });
+    document.getElementById('adminCategory').style.display = hasAdminLinks ? 'block' : 'none';
 
     const createGroupBtn = document.getElementById('createGroupBtn');
     if (createGroupBtn) {
-        createGroupBtn.style.display = currentUser.role === 'admin' ? 'inline-flex' : 'none';
+        createGroupBtn.style.display = can('groups.create') ? 'inline-flex' : 'none';
     }
     
     // Initialize sidebar
@@ -473,12 +1521,16 @@ function showDashboard() {
     startSessionMonitor();
 }
 
+// Started on every sign-in, but only one timer ever runs
 function startSessionMonitor() {
-    setInterval(() => {
+    updateActivity();
+    if (sessionMonitorInterval) return;
+    sessionMonitorInterval = setInterval(() => {
+        if (!currentUser) return;
         const lastActivity = sessionStorage.getItem('lastActivity');
         if (lastActivity && (Date.now() - parseInt(lastActivity) > ENTERPRISE_CONFIG.SESSION_TIMEOUT)) {
             showToast('Session timeout due to inactivity', 'warning');
-            handleLogout();
+            handleLogout(true);
         }
     }, 60000);
 }
@@ -487,6 +1539,182 @@ function updateActivity() {
     sessionStorage.setItem('lastActivity', Date.now().toString());
 }
 
+// Password hashing: PBKDF2 through Web Crypto with a per-user salt
+function bufferToHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function generateSalt() {
+    const salt = new Uint8Array(ENTERPRISE_CONFIG.PASSWORD_HASH.SALT_BYTES);
+    crypto.getRandomValues(salt);
+    return bufferToHex(salt);
+}
+
+async function hashPassword(password, salt, iterations = ENTERPRISE_CONFIG.PASSWORD_HASH.ITERATIONS) {
+    if (!window.crypto || !crypto.subtle) {
+        throw new Error('Web Crypto is not available');
+    }
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: hexToBytes(salt), iterations, hash: 'SHA-256' },
+        keyMaterial,
+        ENTERPRISE_CONFIG.PASSWORD_HASH.KEY_BITS
+    );
+    return bufferToHex(bits);
+}
+
+// Returns the credential fields to merge into a user record
+async function createPasswordRecord(password) {
+    const salt = generateSalt();
+    return {
+        passwordHash: await hashPassword(password, salt),
+        passwordSalt: salt,
+        passwordAlgo: ENTERPRISE_CONFIG.PASSWORD_HASH.ALGORITHM,
+        passwordIterations: ENTERPRISE_CONFIG.PASSWORD_HASH.ITERATIONS
+    };
+}
+
+function constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+async function verifyPassword(user, password) {
+    if (user.passwordHash && user.passwordSalt) {
+        const iterations = user.passwordIterations || ENTERPRISE_CONFIG.PASSWORD_HASH.ITERATIONS;
+        const hash = await hashPassword(password, user.passwordSalt, iterations);
+        const valid = constantTimeEquals(hash, user.passwordHash);
+        // Re-hash with the current work factor once it has been raised
+        if (valid && iterations !== ENTERPRISE_CONFIG.PASSWORD_HASH.ITERATIONS) {
+            Object.assign(user, await createPasswordRecord(password));
+            persistRecord('users', user);
+        }
+        return valid;
+    }
+
+    // Legacy plaintext record: upgrade it in place on the first successful login
+    if (typeof user.password === 'string' && constantTimeEquals(user.password, password)) {
+        Object.assign(user, await createPasswordRecord(password));
+        delete user.password;
+        persistRecord('users', user);
+        logSystem('PASSWORD_UPGRADE', `Upgraded stored password for ${user.username}`, user.id);
+        return true;
+    }
+
+    return false;
+}
+
+// Seeds and data from older versions carry plaintext passwords; hash them before anything is
+// written. Returns the number of accounts upgraded.
+async function hashPlaintextPasswords(data) {
+    const pending = (data.users || []).filter(u => typeof u.password === 'string' && !u.passwordHash);
+    try {
+        for (const user of pending) {
+            Object.assign(user, await createPasswordRecord(user.password));
+            delete user.password;
+        }
+    } catch (error) {
+        // Without Web Crypto the records stay as they are and upgrade on login instead
+        console.error('Failed to hash stored passwords:', error);
+        return 0;
+    }
+    return pending.length;
+}
+
+// Strip every credential field before a user object leaves appData
+function toSessionUser(user) {
+    const { password, passwordHash, passwordSalt, passwordAlgo, passwordIterations, ...safeUser } = user;
+    return safeUser;
+}
+
+// Role & permission checks. Every access decision goes through can().
+function getDefaultRoles() {
+    return DEFAULT_ROLES.map(role => ({ ...role, permissions: [...role.permissions] }));
+}
+
+function getRole(roleId) {
+    return (appData.roles || []).find(role => role.id === roleId) || null;
+}
+
+function getRoleName(roleId) {
+    const role = getRole(roleId);
+    return role ? role.name : roleId;
+}
+
+function hasPermission(permission, user = currentUser) {
+    if (!user) return false;
+    const role = getRole(user.role);
+    return Boolean(role && role.permissions.includes(permission));
+}
+
+function getUserEnrollments(userId, roles = null) {
+    return appData.enrollments.filter(e => e.userId === userId && (!roles || roles.includes(e.role)));
+}
+
+function getCourseEnrollments(courseId, roles = null) {
+    return appData.enrollments.filter(e => e.courseId == courseId && (!roles || roles.includes(e.role)));
+}
+
+function getEnrollment(userId, courseId) {
+    return appData.enrollments.find(e => e.userId === userId && e.courseId == courseId) || null;
+}
+
+function isEnrolledInCourse(user, courseId) {
+    return Boolean(user && courseId !== null && courseId !== undefined && getEnrollment(user.id, courseId));
+}
+
+// Staff (lecturer or TA) of the course
+function isAssignedToCourse(user, courseId) {
+    if (!user || courseId === null || courseId === undefined) return false;
+    const enrollment = getEnrollment(user.id, courseId);
+    return Boolean(enrollment && COURSE_ROLES[enrollment.role] && COURSE_ROLES[enrollment.role].staff);
+}
+
+function courseRoleAllows(user, action, courseId) {
+    const enrollments = courseId === undefined
+        ? getUserEnrollments(user.id)
+        : [getEnrollment(user.id, courseId)].filter(Boolean);
+    return enrollments.some(e => COURSE_ROLES[e.role] && COURSE_ROLES[e.role].permissions.includes(action));
+}
+
+// Without a courseId, a ":ownCourse" grant counts as access to at least one course
+function can(action, context = {}, user = currentUser) {
+    if (!user) return false;
+    if (hasPermission(action, user) || hasPermission(`${action}:any`, user)) return true;
+    if (hasPermission(`${action}:ownCourse`, user) &&
+        (context.courseId === undefined || isAssignedToCourse(user, context.courseId))) {
+        return true;
+    }
+    return courseRoleAllows(user, action, context.courseId);
+}
+
+function requirePermission(action, context = {}) {
+    if (can(action, context)) return true;
+    showToast('You do not have permission to perform this action', 'error');
+    logSystem('ACCESS_DENIED', `Denied ${action}${context.courseId ? ` on course ${context.courseId}` : ''}`, currentUser?.id);
+    return false;
+}
+
 // =========================================
 // 5. DASHBOARD FUNCTIONS
 // =========================================
@@ -494,19 +1722,19 @@ function refreshDashboard() {
     if (!currentUser) return;
     
     // Update course info
-    if (currentUser.courseId) {
-        const course = appData.courses.find(c => c.id == currentUser.courseId);
-        if (course) {
-            document.getElementById('statCourseName').textContent = course.name;
-            document.getElementById('statCourseCode').textContent = course.code;
-        } else {
-            document.getElementById('statCourseName').textContent = 'Unassigned';
-            document.getElementById('statCourseCode').textContent = 'Contact Admin';
-        }
+    const enrollments = getUserEnrollments(currentUser.id)
+        .map(enrollment => ({ enrollment, course: appData.courses.find(c => c.id === enrollment.courseId) }))
+        .filter(entry => entry.course);
+    if (enrollments.length === 1) {
+        document.getElementById('statCourseName').textContent = enrollments[0].course.name;
+    } else if (enrollments.length > 1) {
+        document.getElementById('statCourseName').textContent = `${enrollments.length} Courses`;
     } else {
         document.getElementById('statCourseName').textContent = 'No Course';
-        document.getElementById('statCourseCode').textContent = '-';
     }
+    document.getElementById('statCourseCode').textContent = enrollments.map(({ enrollment, course }) =>
+        enrollment.role === 'student' ? course.code : `${course.code} (${COURSE_ROLES[enrollment.role].name})`
+    ).join(', ') || '-';
     
     // Update projects count
     const myProjects = appData.projects.filter(p => p.userId === currentUser.id);
@@ -518,10 +1746,25 @@ function refreshDashboard() {
     
     // Update attendance
     const myAttendance = appData.attendance.filter(a => a.userId === currentUser.id);
-    const present = myAttendance.filter(a => a.status === 'Present').length;
-    const rate = myAttendance.length > 0 ? Math.round((present / myAttendance.length) * 100) : 0;
+    const present = myAttendance.filter(isAttended).length;
+    const counted = myAttendance.filter(a => a.status !== 'Excused').length;
+    const rate = counted > 0 ? Math.round((present / counted) * 100) : 0;
     document.getElementById('statAttendance').textContent = rate + '%';
     
+    // Update running grade
+    const transcript = computeTranscript(currentUser);
+    const graded = transcript.courses.filter(c => c.grade.percent !== null);
+    if (graded.length === 1) {
+        document.getElementById('statGrade').textContent = formatGradePercent(graded[0].grade.percent);
+        document.getElementById('statGradeTrend').textContent = `${graded[0].grade.letter} • ${graded[0].course.code}`;
+    } else if (graded.length > 1) {
+        document.getElementById('statGrade').textContent = transcript.gpa.toFixed(2);
+        document.getElementById('statGradeTrend').textContent = `GPA across ${graded.length} courses`;
+    } else {
+        document.getElementById('statGrade').textContent = '-';
+        document.getElementById('statGradeTrend').textContent = 'No graded work yet';
+    }
+    
     const today = new Date().toISOString().split('T')[0];
     const todayPresent = myAttendance.filter(a => a.date === today && a.status === 'Present').length > 0;
     
@@ -600,9 +1843,9 @@ function updateRecentActivity() {
 function updateAttendanceBadge() {
     if (!currentUser) return;
     
-    const today = new Date().toISOString().split('T')[0];
+    const today = formatLocalDate(new Date());
     const todayAttendance = appData.attendance.filter(a => 
-        a.userId === currentUser.id && a.date === today
+        a.userId === currentUser.id && a.date === today && isAttended(a)
     ).length;
     
     const badge = document.getElementById('attendanceBadge');
@@ -615,22 +1858,18 @@ function updateAttendanceBadge() {
 // =========================================
 // 6. STUDY MATERIALS - COMPLETE WORKING SYSTEM
 // =========================================
+function getVisibleMaterials(user = currentUser) {
+    if (can('materials.read:all', {}, user)) {
+        return appData.materials;
+    }
+    return appData.materials.filter(m => isEnrolledInCourse(user, m.courseId));
+}
+
 function loadStudentMaterials() {
     const container = document.getElementById('materialContainer');
     const user = currentUser;
     
-    let materials = [];
-    
-    if (user.role === 'admin') {
-        materials = appData.materials;
-    } else if (user.courseId) {
-        materials = appData.materials.filter(m => m.courseId == user.courseId);
-    } else if (user.role === 'lecturer') {
-        const lecturerCourses = appData.courses.filter(c => c.lecturer === user.name);
-        materials = appData.materials.filter(m => 
-            lecturerCourses.some(c => c.id == m.courseId)
-        );
-    }
+    const materials = getVisibleMaterials(user);
     
     // Show download all button if there are materials
     const downloadBtn = document.getElementById('downloadAllBtn');
@@ -646,7 +1885,7 @@ function loadStudentMaterials() {
                 <i class="fas fa-folder-open"></i>
                 <h3>No Materials Available</h3>
                 <p>There are no study materials assigned to your course yet.</p>
-                ${user.role === 'admin' || user.role === 'lecturer' ? 
+                ${can('materials.write') ? 
                     `<button class="btn btn-primary mt-4" onclick="openMaterialModal()">
                         <i class="fas fa-plus"></i> Add Materials
                     </button>` : 
@@ -682,6 +1921,10 @@ function loadStudentMaterials() {
             iconClass = 'icon-doc'; 
             faIcon = 'fa-file-video';
             typeText = 'Video';
+        } else if (material.type === 'image') { 
+            iconClass = 'icon-doc'; 
+            faIcon = 'fa-file-image';
+            typeText = 'Image';
         } else if (material.type === 'link') { 
             iconClass = 'icon-doc'; 
             faIcon = 'fa-link';
@@ -700,8 +1943,12 @@ function loadStudentMaterials() {
                         <button class="code-btn" onclick="downloadMaterial(${material.id})">
                             <i class="fas fa-download"></i> Download
                         </button>
+                        ${getCodeRunnerId(material.language) ? `
                         <button class="code-btn" onclick="runMaterialCode(${material.id})">
                             <i class="fas fa-play"></i> Run
+                        </button>` : ''}
+                        <button class="code-btn" onclick="previewMaterial(${material.id})">
+                            <i class="fas fa-eye"></i> Preview
                         </button>
                     </div>
                     <pre><code>${escapeHtml(material.content)}</code></pre>
@@ -722,7 +1969,7 @@ function loadStudentMaterials() {
                         <button class="btn btn-outline btn-sm" onclick="previewMaterial(${material.id})">
                             <i class="fas fa-eye"></i> Preview
                         </button>`}
-                        ${(currentUser.role === 'admin' || currentUser.role === 'lecturer') ? `
+                        ${can('materials.write', { courseId: material.courseId }) ? `
                         <button class="btn btn-outline btn-sm" onclick="shareMaterial(${material.id})">
                             <i class="fas fa-share"></i> Share
                         </button>
@@ -761,15 +2008,9 @@ function refreshMaterials() {
     showToast('Materials refreshed', 'success');
 }
 
-function downloadAllMaterials() {
+async function downloadAllMaterials() {
     const user = currentUser;
-    let materials = [];
-    
-    if (user.role === 'admin') {
-        materials = appData.materials;
-    } else if (user.courseId) {
-        materials = appData.materials.filter(m => m.courseId == user.courseId);
-    }
+    const materials = getVisibleMaterials(user);
     
     if (materials.length === 0) {
         showToast('No materials to download', 'warning');
@@ -778,63 +2019,98 @@ function downloadAllMaterials() {
     
     showToast(`Preparing ${materials.length} files for download...`, 'info');
     
-    // Create a ZIP file (simulated)
-    setTimeout(() => {
-        // Create a single text file with all material info
-        let content = `Ferretto Edu Pro - Study Materials\n`;
-        content += `Downloaded on: ${new Date().toLocaleDateString()}\n`;
-        content += `User: ${user.name}\n`;
-        content += `Course: ${user.courseId ? appData.courses.find(c => c.id == user.courseId)?.name : 'All Courses'}\n\n`;
-        content += '='.repeat(50) + '\n\n';
-        
-        materials.forEach((material, index) => {
-            content += `MATERIAL ${index + 1}:\n`;
-            content += `Title: ${material.title}\n`;
-            content += `Type: ${material.type}\n`;
-            content += `Description: ${material.description || 'No description'}\n`;
-            content += `Date: ${material.date || 'N/A'}\n`;
-            content += `Size: ${material.fileSize || 'N/A'}\n`;
+    const entries = [];
+    const usedPaths = new Set();
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        generatedBy: user.name,
+        application: ENTERPRISE_CONFIG.APP_NAME,
+        materials: []
+    };
+    
+    // Two materials with the same title in one course must not overwrite each other
+    const uniquePath = (folder, name) => {
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        let path = `${folder}/${name}`;
+        for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+            path = `${folder}/${base} (${n})${ext}`;
+        }
+        usedPaths.add(path.toLowerCase());
+        return path;
+    };
+    
+    try {
+        for (const material of materials) {
+            const course = appData.courses.find(c => c.id == material.courseId);
+            const folder = course ? sanitizeFileName(`${course.code} - ${course.name}`) : 'General';
+            const modified = new Date(material.updatedAt || material.createdAt || material.date || Date.now());
+            const entry = {
+                id: material.id,
+                title: material.title,
+                type: material.type,
+                course: course ? course.code : null,
+                author: material.author || null,
+                tags: material.tags || [],
+                description: material.description || '',
+                createdAt: material.createdAt || null,
+                updatedAt: material.updatedAt || null,
+                file: null
+            };
+            
+            let data = null;
+            let name = null;
             
             if (material.type === 'code') {
-                content += `\nCODE CONTENT:\n${material.content}\n`;
-            } else if (material.type === 'link') {
-                content += `\nLINK: ${material.content}\n`;
+                data = material.content || '';
+                name = `${sanitizeFileName(material.title)}.${getCodeFileExtension(material.language)}`;
+            } else {
+                const stored = material.type === 'link' ? null : await getMaterialFile(material.id);
+                if (stored) {
+                    data = new Uint8Array(await stored.blob.arrayBuffer());
+                    name = sanitizeFileName(stored.name);
+                } else if (material.content && material.content.startsWith('http')) {
+                    // Links and hosted files become Internet shortcuts
+                    data = `[InternetShortcut]\r\nURL=${material.content}\r\n`;
+                    name = `${sanitizeFileName(material.title)}.url`;
+                    entry.url = material.content;
+                }
             }
             
-            content += '\n' + '='.repeat(50) + '\n\n';
-        });
-        
-        // Create download
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `ferretto_materials_${new Date().toISOString().split('T')[0]}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+            if (data !== null) {
+                entry.file = uniquePath(folder, name);
+                entries.push({ name: entry.file, data, date: modified });
+            }
+            manifest.materials.push(entry);
+        }
         
-        showToast('All materials downloaded as text file', 'success');
-        logSystem('DOWNLOAD_ALL', `Downloaded ${materials.length} materials`, user.id);
+        entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: new Date() });
         
-    }, 1500);
+        const zip = createZipArchive(entries);
+        downloadBlob(zip, `ferretto_materials_${new Date().toISOString().split('T')[0]}.zip`);
+    } catch (error) {
+        console.error('Failed to build materials archive:', error);
+        showToast('Could not create the materials archive', 'error');
+        return;
+    }
+    
+    const missing = manifest.materials.filter(m => !m.file).length;
+    showToast(missing
+        ? `Downloaded ${materials.length - missing} materials (${missing} without a file)`
+        : `Downloaded ${materials.length} materials as ZIP`, missing ? 'warning' : 'success');
+    logSystem('DOWNLOAD_ALL', `Downloaded ${materials.length} materials as ZIP`, user.id);
 }
 
-function downloadMaterial(materialId) {
+async function downloadMaterial(materialId) {
     const material = appData.materials.find(m => m.id == materialId);
     if (!material) return;
     
-    // Increment download count
-    material.downloads = (material.downloads || 0) + 1;
-    saveAppData();
-    
-    let content, filename, mimeType;
+    let blob, filename;
     
     if (material.type === 'code') {
-        content = material.content;
-        filename = `${material.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${material.language || 'txt'}`;
-        mimeType = 'text/plain';
+        blob = new Blob([material.content], { type: 'text/plain' });
+        filename = `${material.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${getCodeFileExtension(material.language)}`;
     } else if (material.type === 'link') {
         // Open in new tab
         window.open(material.content, '_blank');
@@ -842,29 +2118,33 @@ function downloadMaterial(materialId) {
         logSystem('MATERIAL_VIEW', `Viewed link: ${material.title}`, currentUser.id);
         return;
     } else {
-        // For other types, create a download file
-        content = `Title: ${material.title}\n`;
-        content += `Type: ${material.type}\n`;
-        content += `Description: ${material.description || 'No description'}\n`;
-        content += `Date: ${material.date || 'N/A'}\n`;
-        content += `Author: ${material.author || 'Unknown'}\n\n`;
-        content += 'NOTE: This is a simulated file. In a real system, this would be the actual file.\n';
-        content += `Actual file would be: ${material.content || 'Not specified'}`;
+        let stored = null;
+        try {
+            stored = await getMaterialFile(material.id);
+        } catch (error) {
+            console.error('Failed to read material file:', error);
+        }
+        
+        if (!stored) {
+            // Seeded materials point at a hosted copy instead of an uploaded file
+            if (material.content && material.content.startsWith('http')) {
+                window.open(material.content, '_blank');
+                showToast('Opening hosted file in new tab', 'info');
+            } else {
+                showToast('The file for this material is not available', 'error');
+            }
+            return;
+        }
         
-        filename = `${material.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.txt`;
-        mimeType = 'text/plain';
+        blob = stored.blob;
+        filename = stored.name;
     }
     
-    // Create download link
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    // Increment download count
+    material.downloads = (material.downloads || 0) + 1;
+    persistRecord('materials', material);
+    
+    downloadBlob(blob, filename);
     
     showToast(`Downloaded: ${material.title}`, 'success');
     logSystem('MATERIAL_DOWNLOAD', `Downloaded material: ${material.title}`, currentUser.id);
@@ -889,30 +2169,208 @@ function copyMaterialCode(materialId) {
     }
 }
 
+// HTML opens as a page in a new window; console runners show their output in the runner modal
 function runMaterialCode(materialId) {
     const material = appData.materials.find(m => m.id == materialId);
     if (!material || material.type !== 'code') return;
+    const runnerId = getCodeRunnerId(material.language);
+    if (!runnerId) {
+        showToast('This language cannot be run in the browser', 'warning');
+        return;
+    }
     
-    const newWindow = window.open();
-    newWindow.document.write(material.content);
-    newWindow.document.close();
-    
-    showToast('Code running in new window', 'info');
+    if (CODE_RUNNERS[runnerId].console) {
+        const file = { name: `main.${getCodeFileExtension(material.language)}`, type: 'text', content: material.content };
+        codeRunnerMaterialId = material.id;
+        document.getElementById('codeRunnerTitle').textContent = material.title;
+        document.getElementById('codeRunnerMeta').textContent = CODE_RUNNERS[runnerId].label;
+        openModal('codeRunnerModal');
+        startCodeRun('codeRunnerFrame', runnerId, file, [file]);
+        renderCodeRunnerOutput();
+    } else {
+        if (!openSandboxedWindow(material.content, material.title)) return;
+        showToast('Code running in new window', 'info');
+    }
     logSystem('CODE_RUN', `Ran code from: ${material.title}`, currentUser.id);
 }
 
-function previewMaterial(materialId) {
+function renderCodeRunnerOutput() {
+    renderRunOutput(document.getElementById('codeRunnerOutput'), codeRuns.codeRunnerFrame);
+}
+
+function getCodeFileExtension(language) {
+    const extensions = {
+        htmlmixed: 'html',
+        html: 'html',
+        css: 'css',
+        javascript: 'js',
+        js: 'js',
+        python: 'py',
+        clike: 'cpp',
+        cpp: 'cpp',
+        java: 'java'
+    };
+    return extensions[language] || 'txt';
+}
+
+// CodeMirror mode for a material's `language` value
+function getCodeMirrorMode(language) {
+    const modes = {
+        htmlmixed: 'htmlmixed',
+        html: 'htmlmixed',
+        css: 'css',
+        javascript: 'javascript',
+        js: 'javascript',
+        python: 'python',
+        clike: 'text/x-c++src',
+        cpp: 'text/x-c++src',
+        java: 'text/x-java'
+    };
+    return modes[language] || 'htmlmixed';
+}
+
+// Materials in the same course, in library order, for previous/next navigation
+function getPreviewSiblings(material) {
+    return getVisibleMaterials().filter(m => m.courseId == material.courseId && m.type !== 'link');
+}
+
+async function previewMaterial(materialId) {
     const material = appData.materials.find(m => m.id == materialId);
     if (!material) return;
     
-    if (material.type === 'code') {
-        // Open in code viewer
-        alert(`Code Preview: ${material.title}\n\n${material.content.substring(0, 500)}${material.content.length > 500 ? '...' : ''}`);
-    } else if (material.type === 'link') {
+    if (material.type === 'link') {
         window.open(material.content, '_blank');
+        return;
+    }
+    
+    clearMaterialPreview();
+    materialPreviewId = material.id;
+    
+    const course = appData.courses.find(c => c.id == material.courseId);
+    document.getElementById('materialPreviewTitle').textContent = material.title;
+    document.getElementById('materialPreviewMeta').textContent = [
+        course ? course.code : 'General',
+        material.type.toUpperCase(),
+        material.fileSize,
+        material.author
+    ].filter(Boolean).join(' • ');
+    
+    const siblings = getPreviewSiblings(material);
+    const index = siblings.findIndex(m => m.id === material.id);
+    document.getElementById('materialPreviewPrev').disabled = index <= 0;
+    document.getElementById('materialPreviewNext').disabled = index === -1 || index >= siblings.length - 1;
+    document.getElementById('materialPreviewPosition').textContent = index === -1 ? '' : `${index + 1} of ${siblings.length}`;
+    
+    const body = document.getElementById('materialPreviewBody');
+    const codeWrap = document.getElementById('materialPreviewCodeWrap');
+    body.innerHTML = '';
+    codeWrap.classList.add('hidden');
+    body.classList.remove('hidden');
+    
+    openModal('materialPreviewModal');
+    
+    if (material.type === 'code') {
+        body.classList.add('hidden');
+        codeWrap.classList.remove('hidden');
+        const textarea = document.getElementById('materialPreviewEditor');
+        if (!materialPreviewEditor && textarea && typeof CodeMirror !== 'undefined') {
+            materialPreviewEditor = CodeMirror.fromTextArea(textarea, {
+                theme: 'monokai',
+                lineNumbers: true,
+                lineWrapping: true,
+                readOnly: true
+            });
+        }
+        if (materialPreviewEditor) {
+            materialPreviewEditor.setOption('mode', getCodeMirrorMode(material.language));
+            materialPreviewEditor.setValue(material.content || '');
+            setTimeout(() => materialPreviewEditor.refresh(), 50);
+        }
+        logSystem('MATERIAL_PREVIEW', `Previewed material: ${material.title}`, currentUser.id);
+        return;
+    }
+    
+    body.innerHTML = `<div class="empty-state"><div class="spinner"></div><p class="mt-4">Loading preview...</p></div>`;
+    
+    let stored = null;
+    try {
+        stored = await getMaterialFile(material.id);
+    } catch (error) {
+        console.error('Failed to read material file:', error);
+    }
+    // The user may have moved on while the file was loading
+    if (materialPreviewId !== material.id) return;
+    
+    if (!stored) {
+        body.innerHTML = renderPreviewFallback(material, material.content && material.content.startsWith('http')
+            ? 'This material is hosted externally.'
+            : 'The file for this material is not available.');
+        return;
+    }
+    
+    const mimeType = stored.type || material.mimeType || '';
+    const isPdf = mimeType === 'application/pdf' || material.type === 'pdf';
+    // A blob URL runs with the app's origin, so a PDF blob is always re-typed as a PDF: a file
+    // that is really HTML then cannot run as a page. The browser's viewer needs an unsandboxed
+    // object; the download button shows where it has no viewer.
+    materialPreviewUrl = URL.createObjectURL(isPdf ? new Blob([stored.blob], { type: 'application/pdf' }) : stored.blob);
+    
+    if (isPdf) {
+        body.innerHTML = `
+            <object class="material-preview-frame" type="application/pdf" data="${materialPreviewUrl}" title="${escapeHtml(material.title)}">
+                ${renderPreviewFallback(material, 'This browser cannot show PDFs inline.')}
+            </object>
+        `;
+    } else if (mimeType.startsWith('video/') || material.type === 'video') {
+        body.innerHTML = `<video class="material-preview-media" src="${materialPreviewUrl}" controls preload="metadata"></video>`;
+    } else if (mimeType.startsWith('image/') || material.type === 'image') {
+        body.innerHTML = `<img class="material-preview-media" src="${materialPreviewUrl}" alt="${escapeHtml(material.title)}">`;
+    } else if (mimeType.startsWith('text/') || mimeType === 'application/javascript') {
+        const text = await stored.blob.text();
+        body.innerHTML = `<div class="code-snippet-view"><pre><code>${escapeHtml(text)}</code></pre></div>`;
     } else {
-        showToast(`Preview: ${material.title}\n\nDescription: ${material.description || 'No description'}\n\nType: ${material.type}\nDate: ${material.date || 'N/A'}`, 'info');
+        body.innerHTML = renderPreviewFallback(material, 'This file type cannot be previewed in the browser.');
+    }
+    
+    logSystem('MATERIAL_PREVIEW', `Previewed material: ${material.title}`, currentUser.id);
+}
+
+function renderPreviewFallback(material, message) {
+    const isHosted = material.content && material.content.startsWith('http');
+    return `
+        <div class="empty-state">
+            <i class="fas fa-file"></i>
+            <h3>${escapeHtml(material.title)}</h3>
+            <p>${message}</p>
+            <p class="text-sm text-gray">${escapeHtml(material.description || '')}</p>
+            <button class="btn btn-primary mt-4" onclick="downloadMaterial(${material.id})">
+                <i class="fas fa-${isHosted ? 'external-link-alt' : 'download'}"></i> ${isHosted ? 'Open' : 'Download'}
+            </button>
+        </div>
+    `;
+}
+
+function navigateMaterialPreview(offset) {
+    const material = appData.materials.find(m => m.id === materialPreviewId);
+    if (!material) return;
+    const siblings = getPreviewSiblings(material);
+    const target = siblings[siblings.findIndex(m => m.id === material.id) + offset];
+    if (target) previewMaterial(target.id);
+}
+
+function downloadPreviewedMaterial() {
+    if (materialPreviewId) downloadMaterial(materialPreviewId);
+}
+
+// Stops playback and releases the object URL of the current preview
+function clearMaterialPreview() {
+    const body = document.getElementById('materialPreviewBody');
+    if (body) body.innerHTML = '';
+    if (materialPreviewUrl) {
+        URL.revokeObjectURL(materialPreviewUrl);
+        materialPreviewUrl = null;
     }
+    materialPreviewId = null;
 }
 
 function shareMaterial(materialId) {
@@ -941,6 +2399,7 @@ function shareMaterial(materialId) {
 // 7. MATERIAL UPLOAD SYSTEM - COMPLETE
 // =========================================
 function openMaterialModal() {
+    if (!requirePermission('materials.write')) return;
     const form = document.getElementById('materialForm');
     form.reset();
     document.getElementById('materialId').value = '';
@@ -950,15 +2409,19 @@ function openMaterialModal() {
     document.getElementById('filePreview').classList.add('hidden');
     clearFileUpload();
     
-    // Populate course dropdown
-    const courseSelect = document.getElementById('materialCourseId');
-    courseSelect.innerHTML = appData.courses.map(c => 
-        `<option value="${c.id}">${c.code} - ${c.name}</option>`
-    ).join('');
+    populateMaterialCourseSelect();
     
     openModal('materialModal');
 }
 
+function populateMaterialCourseSelect() {
+    const courseSelect = document.getElementById('materialCourseId');
+    courseSelect.innerHTML = appData.courses
+        .filter(c => can('materials.write', { courseId: c.id }))
+        .map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`)
+        .join('');
+}
+
 function handleFileUpload(files) {
     if (!files || files.length === 0) return;
     
@@ -970,11 +2433,13 @@ function handleFileUpload(files) {
                        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
                        'application/vnd.ms-powerpoint',
                        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-                       'video/mp4', 'text/html', 'text/css', 'text/javascript',
+                       'video/mp4', 'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+                       'text/html', 'text/css', 'text/javascript',
                        'application/javascript', 'text/x-python', 'text/x-c++src',
                        'text/plain'];
     
     const validExtensions = ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.mp4', 
+                           '.png', '.jpg', '.jpeg', '.gif', '.webp',
                            '.html', '.css', '.js', '.py', '.cpp', '.txt'];
     
     const isValidType = validTypes.includes(file.type) || 
@@ -1054,7 +2519,7 @@ function uploadMaterialFile() {
     document.getElementById('fileInput').click();
 }
 
-function handleSaveMaterial(e) {
+async function handleSaveMaterial(e) {
     e.preventDefault();
     
     const materialId = document.getElementById('materialId').value;
@@ -1069,9 +2534,16 @@ function handleSaveMaterial(e) {
         return;
     }
     
+    if (!requirePermission('materials.write', { courseId })) return;
+    
     let content = '';
     let fileSize = '';
     let language = '';
+    let fileInfo = null;
+    const existing = materialId ? appData.materials.find(m => m.id == materialId) : null;
+    if (materialId && !existing) return;
+    // Checked before the file store is touched, since the stored file belongs to the old course
+    if (existing && !requirePermission('materials.write', { courseId: existing.courseId })) return;
     
     if (type === 'code') {
         if (materialEditor) {
@@ -1090,17 +2562,41 @@ function handleSaveMaterial(e) {
             return;
         }
         fileSize = 'N/A';
-    } else {
-        // For file uploads
-        if (!currentUpload) {
-            showToast('Please upload a file', 'error');
+    } else if (currentUpload) {
+        // Count the new file against the quota, minus the one it replaces
+        const replacedMB = (existing?.fileBytes || 0) / (1024 * 1024);
+        const projectedMB = calculateStorageUsage() - replacedMB + currentUpload.size / (1024 * 1024);
+        if (projectedMB > ENTERPRISE_CONFIG.MAX_STORAGE_MB) {
+            showToast(`Storage limit of ${ENTERPRISE_CONFIG.MAX_STORAGE_MB} MB would be exceeded`, 'error');
             return;
         }
-        
-        // In a real app, upload to server
-        // For demo, simulate upload
-        content = `File: ${currentUpload.name}\nSize: ${formatFileSize(currentUpload.size)}\nType: ${currentUpload.type}`;
+        fileInfo = {
+            fileName: currentUpload.name,
+            mimeType: currentUpload.type || 'application/octet-stream',
+            fileBytes: currentUpload.size
+        };
         fileSize = formatFileSize(currentUpload.size);
+    } else if (existing && existing.fileName && existing.type !== 'code' && existing.type !== 'link') {
+        // Editing metadata only: keep the stored file
+        fileSize = existing.fileSize;
+    } else {
+        showToast('Please upload a file', 'error');
+        return;
+    }
+    
+    const targetId = existing ? existing.id : Date.now();
+    if (fileInfo) {
+        try {
+            await putMaterialFile(targetId, currentUpload);
+        } catch (error) {
+            console.error('Failed to store material file:', error);
+            showToast('Failed to store the uploaded file', 'error');
+            return;
+        }
+    } else if (existing && existing.fileName && (type === 'code' || type === 'link')) {
+        // The material no longer carries a file
+        await deleteMaterialFile(existing.id).catch(() => {});
+        fileInfo = { fileName: null, mimeType: null, fileBytes: 0 };
     }
     
     if (materialId) {
@@ -1117,6 +2613,7 @@ function handleSaveMaterial(e) {
         material.fileSize = fileSize;
         material.updatedAt = new Date().toISOString();
         if (language) material.language = language;
+        if (fileInfo) Object.assign(material, fileInfo);
         
         appData.materials[materialIndex] = material;
         showToast('Material updated successfully', 'success');
@@ -1124,7 +2621,7 @@ function handleSaveMaterial(e) {
     } else {
         // Create new material
         const newMaterial = {
-            id: Date.now(),
+            id: targetId,
             courseId,
             title,
             type,
@@ -1136,6 +2633,7 @@ function handleSaveMaterial(e) {
             tags: [],
             language: language || null,
             author: currentUser.name,
+            ...(fileInfo || {}),
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
@@ -1145,7 +2643,7 @@ function handleSaveMaterial(e) {
         logSystem('MATERIAL_CREATE', `Created material: ${title}`, currentUser.id);
     }
     
-    saveAppData();
+    saveAppData('materials');
     closeModal('materialModal');
     loadAdminMaterials();
     loadStudentMaterials();
@@ -1154,9 +2652,12 @@ function handleSaveMaterial(e) {
 function editMaterial(materialId) {
     const material = appData.materials.find(m => m.id === materialId);
     if (!material) return;
+    if (!requirePermission('materials.write', { courseId: material.courseId })) return;
     
     const form = document.getElementById('materialForm');
     form.reset();
+    clearFileUpload();
+    populateMaterialCourseSelect();
     
     document.getElementById('materialId').value = material.id;
     document.getElementById('materialTitle').value = material.title;
@@ -1175,6 +2676,21 @@ function editMaterial(materialId) {
         }
     } else if (material.type === 'link') {
         document.getElementById('materialLink').value = material.content;
+    } else if (material.fileName) {
+        const filePreview = document.getElementById('filePreview');
+        filePreview.innerHTML = `
+            <div class="file-preview">
+                <div class="file-preview-icon">
+                    <i class="fas fa-file"></i>
+                </div>
+                <div>
+                    <div class="font-bold">${escapeHtml(material.fileName)}</div>
+                    <div class="text-sm text-gray">${formatFileSize(material.fileBytes || 0)}</div>
+                    <div class="text-xs text-gray">Stored file • upload a new one to replace it</div>
+                </div>
+            </div>
+        `;
+        filePreview.classList.remove('hidden');
     }
     
     openModal('materialModal');
@@ -1183,13 +2699,15 @@ function editMaterial(materialId) {
 function deleteMaterial(materialId) {
     const material = appData.materials.find(m => m.id === materialId);
     if (!material) return;
+    if (!requirePermission('materials.write', { courseId: material.courseId })) return;
     
     if (!confirm(`Delete material "${material.title}"?`)) {
         return;
     }
     
     appData.materials = appData.materials.filter(m => m.id !== materialId);
-    saveAppData();
+    saveAppData('materials');
+    deleteMaterialFile(materialId).catch(error => console.error('Failed to delete material file:', error));
     showToast('Material deleted', 'info');
     logSystem('MATERIAL_DELETE', `Deleted material: ${material.title}`, currentUser.id);
     
@@ -1200,10 +2718,11 @@ function deleteMaterial(materialId) {
 // =========================================
 // 8. CODE EDITOR & PROJECTS
 // =========================================
+// Runs on every sign-in; the editors and the autosave timer are only created once
 function initCodeEditors() {
     // Main code editor
     const textarea = document.getElementById('codeEditor');
-    if (textarea && typeof CodeMirror !== 'undefined') {
+    if (!mainEditor && textarea && typeof CodeMirror !== 'undefined') {
         mainEditor = CodeMirror.fromTextArea(textarea, {
             mode: 'htmlmixed',
             theme: 'monokai',
@@ -1221,68 +2740,12 @@ function initCodeEditors() {
             }
         });
         
-        // Load last saved code
-        const lastCode = localStorage.getItem('ferretto_last_code');
-        if (lastCode) {
-            mainEditor.setValue(lastCode);
-        } else {
-            mainEditor.setValue(`<!DOCTYPE html>
-<html>
-<head>
-    <title>My Project</title>
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            margin: 0;
-            padding: 20px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            text-align: center;
-        }
-        h1 {
-            margin-bottom: 20px;
-        }
-        button {
-            background: #4f46e5;
-            color: white;
-            border: none;
-            padding: 12px 24px;
-            border-radius: 8px;
-            font-size: 1rem;
-            cursor: pointer;
-            transition: all 0.3s;
-        }
-        button:hover {
-            background: #4338ca;
-            transform: translateY(-2px);
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>Welcome to Ferretto Edu Pro!</h1>
-        <p>Edit this code to create your project.</p>
-        <button onclick="alert('Hello!')">Click Me</button>
-    </div>
-    
-    <script>
-        console.log('Project loaded successfully');
-    <\/script>
-</body>
-</html>`);
-        }
-        
-        mainEditor.on('change', updatePreview);
-        setTimeout(updatePreview, 100);
+        mainEditor.on('change', handleEditorChange);
     }
     
     // Material code editor
     const materialTextarea = document.getElementById('materialCodeEditor');
-    if (materialTextarea && typeof CodeMirror !== 'undefined') {
+    if (!materialEditor && materialTextarea && typeof CodeMirror !== 'undefined') {
         materialEditor = CodeMirror.fromTextArea(materialTextarea, {
             mode: 'htmlmixed',
             theme: 'monokai',
@@ -1295,363 +2758,4310 @@ function initCodeEditors() {
     }
     
     // Setup auto-save
-    setInterval(() => {
-        if (mainEditor) {
-            const code = mainEditor.getValue();
-            localStorage.setItem('ferretto_last_code', code);
-        }
-    }, ENTERPRISE_CONFIG.AUTO_SAVE_INTERVAL);
-}
-
-function updatePreview() {
-    if (!mainEditor) return;
-    
-    const code = mainEditor.getValue();
-    const iframe = document.getElementById('previewFrame');
-    const doc = iframe.contentDocument || iframe.contentWindow.document;
-    
-    try {
-        doc.open();
-        doc.write(code);
-        doc.close();
-    } catch (error) {
-        console.error('Preview error:', error);
-        doc.write(`<html><body><h1>Preview Error</h1><p>${error.message}</p></body></html>`);
+    if (!autosaveInterval) {
+        autosaveInterval = setInterval(saveWorkspaceDraft, ENTERPRISE_CONFIG.AUTO_SAVE_INTERVAL);
     }
+    // Autosaves from before drafts were per user can't be attributed to anyone
+    localStorage.removeItem('ferretto_last_code');
+    localStorage.removeItem('ferretto_last_files');
+    
+    openUserWorkspace();
 }
 
-function forceRefreshPreview() {
-    updatePreview();
-    showToast('Preview refreshed', 'success');
-}
-
-function openPreviewInNewTab() {
-    if (!mainEditor) return;
-    const code = mainEditor.getValue();
-    const newWindow = window.open();
-    newWindow.document.write(code);
-    newWindow.document.close();
-}
-
-function runCode() {
-    updatePreview();
-    showToast('Code executed successfully', 'success');
-    logSystem('CODE_RUN', 'Ran code in playground', currentUser.id);
+// Projects are lists of { name, type: 'text' | 'asset', content }; assets hold data URLs
+function createProjectFiles(code = '') {
+    return [{ name: ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE, type: 'text', content: code }];
 }
 
-function resetEditor() {
-    if (confirm('Clear the editor? Your current code will be lost.')) {
-        mainEditor.setValue(`<!DOCTYPE html>
+function getDefaultProjectFiles() {
+    return [
+        {
+            name: 'index.html',
+            type: 'text',
+            content: `<!DOCTYPE html>
 <html>
 <head>
-    <title>New Project</title>
-    <style>
-        body {
-            font-family: Arial, sans-serif;
-            padding: 20px;
-            background: #f0f0f0;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            background: white;
-            padding: 30px;
-            border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-    </style>
+    <title>My Project</title>
+    <link rel="stylesheet" href="style.css">
 </head>
 <body>
     <div class="container">
-        <h1>New Project</h1>
-        <p>Start coding here...</p>
+        <h1>Welcome to Ferretto Edu Pro!</h1>
+        <p>Edit these files to create your project.</p>
+        <button id="greetButton">Click Me</button>
     </div>
+    
+    <script src="script.js"><\/script>
 </body>
-</html>`);
-        updatePreview();
-        showToast('Editor reset', 'info');
-    }
+</html>`
+        },
+        {
+            name: 'style.css',
+            type: 'text',
+            content: `body {
+    font-family: Arial, sans-serif;
+    margin: 0;
+    padding: 20px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
 }
 
-// =========================================
-// 9. PROJECT MANAGEMENT
-// =========================================
-function openProjectModal() {
-    const form = document.getElementById('projectForm');
-    form.reset();
-    openModal('projectModal');
+.container {
+    max-width: 800px;
+    margin: 0 auto;
+    text-align: center;
 }
 
-function handleSaveProject(e) {
-    e.preventDefault();
-    
-    const name = document.getElementById('projectNameInput').value.trim();
-    const description = document.getElementById('projectDescriptionInput').value.trim();
-    const visibility = document.getElementById('projectVisibilityInput').value;
-    const category = document.getElementById('projectCategoryInput').value;
+h1 {
+    margin-bottom: 20px;
+}
+
+button {
+    background: #4f46e5;
+    color: white;
+    border: none;
+    padding: 12px 24px;
+    border-radius: 8px;
+    font-size: 1rem;
+    cursor: pointer;
+    transition: all 0.3s;
+}
+
+button:hover {
+    background: #4338ca;
+    transform: translateY(-2px);
+}
+`
+        },
+        {
+            name: 'script.js',
+            type: 'text',
+            content: `document.getElementById('greetButton').addEventListener('click', () => {
+    alert('Hello!');
+});
+
+console.log('Project loaded successfully');
+`
+        }
+    ];
+}
+
+function getProjectFileExtension(name) {
+    const match = /\.([^./]+)$/.exec(name);
+    return match ? match[1].toLowerCase() : '';
+}
+
+function getProjectFileType(name) {
+    const extension = getProjectFileExtension(name);
+    if (ENTERPRISE_CONFIG.PROJECT.TEXT_TYPES[extension]) return 'text';
+    if (ENTERPRISE_CONFIG.PROJECT.ASSET_TYPES.includes(extension)) return 'asset';
+    return null;
+}
+
+function getProjectFileIcon(file) {
+    if (file.type === 'asset') return 'fas fa-image';
+    const icons = { html: 'fab fa-html5', css: 'fab fa-css3-alt', js: 'fab fa-js', mjs: 'fab fa-js', py: 'fab fa-python' };
+    return icons[getProjectFileExtension(file.name)] || 'fas fa-file-code';
+}
+
+function getProjectSize(project) {
+    return (project.files || []).reduce((sum, file) => sum + (file.content?.length || 0), 0);
+}
+
+function normalizeProjectPath(path) {
+    const parts = [];
+    path.split('/').forEach(part => {
+        if (!part || part === '.') return;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    });
+    return parts.join('/');
+}
+
+// Resolves a reference written in fromFile to a project path, or null for external URLs
+function resolveProjectPath(fromFile, reference) {
+    const path = reference.trim().split(/[?#]/)[0];
+    if (!path || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(path)) return null;
+    if (path.startsWith('/')) return normalizeProjectPath(path);
+    const folder = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/') + 1) : '';
+    return normalizeProjectPath(folder + path);
+}
+
+function encodeBase64(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+// The file name travels as a media type parameter so preview console output can name its source
+function toProjectFileUrl(file, files, stack) {
+    const name = encodeURIComponent(file.name);
+    if (file.type === 'asset') return file.content.replace(/^data:([^;,]+)/, `data:$1;name=${name}`);
+    const type = ENTERPRISE_CONFIG.PROJECT.TEXT_TYPES[getProjectFileExtension(file.name)];
+    return `data:${type ? type.mime : 'text/plain'};name=${name};base64,${encodeBase64(rewriteProjectReferences(file, files, stack))}`;
+}
+
+// Rewrites references to other project files as data URLs. Files already being rewritten
+// are left alone, so pages that link to each other don't recurse forever.
+function rewriteProjectReferences(file, files, stack = []) {
+    const extension = getProjectFileExtension(file.name);
+    const path = [...stack, file.name];
+    const replace = (match, prefix, reference, suffix) => {
+        const target = files.find(f => f.name === resolveProjectPath(file.name, reference));
+        if (!target || path.includes(target.name)) return match;
+        return prefix + toProjectFileUrl(target, files, path) + suffix;
+    };
+    
+    let content = file.content;
+    if (extension === 'html' || extension === 'svg') {
+        content = content.replace(/(\s(?:src|href|poster)\s*=\s*["'])([^"']+)(["'])/gi, replace);
+    }
+    if (extension === 'html' || extension === 'css') {
+        content = content
+            .replace(/(url\(\s*["']?)([^"')]+?)(["']?\s*\))/gi, replace)
+            .replace(/(@import\s+["'])([^"']+)(["'])/gi, replace);
+    }
+    if (extension === 'html' || extension === 'js' || extension === 'mjs') {
+        content = content.replace(/(\bfrom\s*["']|\bimport\s*\(?\s*["'])([^"']+)(["'])/g, replace);
+    }
+    return content;
+}
+
+// The page the preview shows: the entry file with every project reference inlined. Data URLs
+// contain no line breaks, so line numbers in the entry file are unchanged.
+function buildProjectDocument(files) {
+    const entry = (files || []).find(f => f.name === ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE);
+    return entry ? rewriteProjectReferences(entry, files) : '';
+}
+
+function setWorkspaceFiles(files, activeName = ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE) {
+    workspaceFiles = files.map(file => ({ ...file }));
+    openFileTabs = [];
+    activeFileName = null;
+    playgroundRunner = detectProjectRunner(workspaceFiles);
+    stopCodeRun('previewFrame');
+    openWorkspaceFile(workspaceFiles.some(f => f.name === activeName) ? activeName : ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE);
+    updatePreview();
+}
+
+function getWorkspaceFiles() {
+    return workspaceFiles.map(file => ({ ...file }));
+}
+
+function handleEditorChange() {
+    const file = workspaceFiles.find(f => f.name === activeFileName);
+    if (!file || file.type !== 'text') return;
+    const content = mainEditor.getValue();
+    // Switching tabs loads the file into the editor without changing it
+    if (file.content === content) return;
+    file.content = content;
+    markWorkspaceDirty();
+    if (!CODE_RUNNERS[playgroundRunner].console) schedulePreviewUpdate();
+}
+
+function openWorkspaceFile(name) {
+    const file = workspaceFiles.find(f => f.name === name);
+    if (!file || !mainEditor) return;
+    if (!openFileTabs.includes(name)) openFileTabs.push(name);
+    activeFileName = name;
+    
+    const assetPreview = document.getElementById('assetPreview');
+    assetPreview.classList.toggle('hidden', file.type !== 'asset');
+    if (file.type === 'asset') {
+        assetPreview.innerHTML = `
+            <img src="${escapeHtml(file.content)}" alt="${escapeHtml(file.name)}">
+            <div>${escapeHtml(file.name)} • ${formatFileSize(Math.round(file.content.length * 0.75))}</div>
+            <code>&lt;img src="${escapeHtml(file.name)}"&gt;</code>
+        `;
+    } else {
+        const type = ENTERPRISE_CONFIG.PROJECT.TEXT_TYPES[getProjectFileExtension(name)];
+        mainEditor.setOption('mode', type ? type.mode : 'text/plain');
+        mainEditor.setValue(file.content);
+        mainEditor.clearHistory();
+    }
+    
+    renderFileTabs();
+    renderFileTree();
+    // Console runners run the open file, so their idle hint follows the tabs
+    renderPreviewConsole();
+}
+
+function closeFileTab(name) {
+    openFileTabs = openFileTabs.filter(tab => tab !== name);
+    if (activeFileName === name) {
+        openWorkspaceFile(openFileTabs[openFileTabs.length - 1] || ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE);
+    } else {
+        renderFileTabs();
+    }
+}
+
+function renderFileTabs() {
+    document.getElementById('editorFileTabs').innerHTML = openFileTabs.map(name => `
+        <div class="file-tab ${name === activeFileName ? 'active' : ''}">
+            <button type="button" onclick="openWorkspaceFile('${name}')">${escapeHtml(name.split('/').pop())}</button>
+            ${name !== ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE ? `
+            <button type="button" class="file-tab-close" onclick="closeFileTab('${name}')" title="Close">&times;</button>` : ''}
+        </div>
+    `).join('');
+}
+
+function renderFileTree() {
+    const files = [...workspaceFiles].sort((a, b) => {
+        const folderA = a.name.includes('/') ? 1 : 0;
+        const folderB = b.name.includes('/') ? 1 : 0;
+        return folderA - folderB || a.name.localeCompare(b.name);
+    });
+    let currentFolder = '';
+    document.getElementById('fileTree').innerHTML = files.map(file => {
+        const folder = file.name.includes('/') ? file.name.slice(0, file.name.lastIndexOf('/')) : '';
+        const folderRow = folder !== currentFolder
+            ? `<div class="file-tree-folder"><i class="fas fa-folder-open"></i> ${escapeHtml(folder)}</div>`
+            : '';
+        currentFolder = folder;
+        const isEntry = file.name === ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE;
+        return `${folderRow}
+            <div class="file-tree-item ${file.name === activeFileName ? 'active' : ''} ${folder ? 'nested' : ''}"
+                 onclick="openWorkspaceFile('${file.name}')" title="${escapeHtml(file.name)}">
+                <i class="${getProjectFileIcon(file)}"></i>
+                <span class="file-tree-name">${escapeHtml(file.name.split('/').pop())}</span>
+                ${isEntry ? '' : `
+                <button type="button" class="file-tree-btn" onclick="event.stopPropagation(); openProjectFileModal('${file.name}')" title="Rename">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="file-tree-btn" onclick="event.stopPropagation(); deleteWorkspaceFile('${file.name}')" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>`}
+            </div>
+        `;
+    }).join('');
+}
+
+// New files when originalName is empty, otherwise a rename
+function openProjectFileModal(originalName = '') {
+    document.getElementById('projectFileForm').reset();
+    document.getElementById('projectFileOriginalName').value = originalName;
+    document.getElementById('projectFileNameInput').value = originalName;
+    document.getElementById('projectFileModalTitle').textContent = originalName ? 'Rename File' : 'New File';
+    openModal('projectFileModal');
+}
+
+function validateProjectFileName(name, originalName = '') {
+    if (!/^[\w.-]+(\/[\w.-]+)*$/.test(name) || name.split('/').some(part => /^\.+$/.test(part))) {
+        return 'Use letters, numbers, dots, dashes and underscores, with / between folders';
+    }
+    if (workspaceFiles.some(f => f.name === name && f.name !== originalName)) {
+        return `${name} already exists`;
+    }
+    return null;
+}
+
+function handleSaveProjectFile(e) {
+    e.preventDefault();
+    const originalName = document.getElementById('projectFileOriginalName').value;
+    const name = normalizeProjectPath(document.getElementById('projectFileNameInput').value.trim());
+    const original = workspaceFiles.find(f => f.name === originalName);
+    
+    const error = validateProjectFileName(name, originalName);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    const type = getProjectFileType(name);
+    if (original ? type !== original.type : type !== 'text') {
+        const extensions = original && original.type === 'asset'
+            ? ENTERPRISE_CONFIG.PROJECT.ASSET_TYPES
+            : Object.keys(ENTERPRISE_CONFIG.PROJECT.TEXT_TYPES);
+        showToast(`The file name must end in .${extensions.join(', .')}`, 'error');
+        return;
+    }
+    
+    markWorkspaceDirty();
+    if (original) {
+        original.name = name;
+        openFileTabs = openFileTabs.map(tab => (tab === originalName ? name : tab));
+        if (activeFileName === originalName) activeFileName = name;
+        renderFileTabs();
+        renderFileTree();
+        updatePreview();
+    } else {
+        if (workspaceFiles.length >= ENTERPRISE_CONFIG.PROJECT.MAX_FILES) {
+            showToast(`Projects are limited to ${ENTERPRISE_CONFIG.PROJECT.MAX_FILES} files`, 'error');
+            return;
+        }
+        workspaceFiles.push({ name, type: 'text', content: '' });
+        openWorkspaceFile(name);
+    }
+    closeModal('projectFileModal');
+}
+
+function deleteWorkspaceFile(name) {
+    if (name === ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE) return;
+    if (!confirm(`Delete ${name} from this project?`)) return;
+    
+    workspaceFiles = workspaceFiles.filter(f => f.name !== name);
+    markWorkspaceDirty();
+    if (openFileTabs.includes(name)) {
+        closeFileTab(name);
+    }
+    renderFileTree();
+    updatePreview();
+}
+
+// Text files are added as editable files, images as assets under assets/
+async function uploadProjectFiles(fileList) {
+    const input = document.getElementById('projectAssetInput');
+    const files = Array.from(fileList || []);
+    input.value = '';
+    
+    let added = null;
+    for (const file of files) {
+        const type = getProjectFileType(file.name);
+        const baseName = sanitizeFileName(file.name).replace(/[^\w.-]/g, '_');
+        const name = type === 'asset' ? `assets/${baseName}` : baseName;
+        if (!type) {
+            showToast(`${file.name} is not a supported file type`, 'error');
+            continue;
+        }
+        if (type === 'asset' && file.size > ENTERPRISE_CONFIG.PROJECT.MAX_ASSET_BYTES) {
+            showToast(`${file.name} is larger than ${formatFileSize(ENTERPRISE_CONFIG.PROJECT.MAX_ASSET_BYTES)}`, 'error');
+            continue;
+        }
+        const error = validateProjectFileName(name);
+        if (error) {
+            showToast(error, 'error');
+            continue;
+        }
+        if (workspaceFiles.length >= ENTERPRISE_CONFIG.PROJECT.MAX_FILES) {
+            showToast(`Projects are limited to ${ENTERPRISE_CONFIG.PROJECT.MAX_FILES} files`, 'error');
+            break;
+        }
+        
+        const content = type === 'asset'
+            ? await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            })
+            : await file.text();
+        workspaceFiles.push({ name, type, content });
+        added = name;
+    }
+    
+    if (added) {
+        markWorkspaceDirty();
+        openWorkspaceFile(added);
+        updatePreview();
+        showToast('Files added to the project', 'success');
+    }
+}
+
+// Drafts hold unsaved playground files per user and project ("new" for unsaved projects).
+// They are written every AUTO_SAVE_INTERVAL while there are changes, and on sign-out.
+function getDraftId(projectId = currentProjectId) {
+    return `${currentUser.id}:${projectId || 'new'}`;
+}
+
+function markWorkspaceDirty() {
+    draftPending = true;
+    if (workspaceDirty) return;
+    workspaceDirty = true;
+    updatePlaygroundProjectLabel();
+}
+
+function markWorkspaceSaved() {
+    workspaceDirty = false;
+    draftPending = false;
+    updatePlaygroundProjectLabel();
+}
+
+function saveWorkspaceDraft() {
+    if (!currentUser || !draftPending) return;
+    const draft = {
+        id: getDraftId(),
+        userId: currentUser.id,
+        projectId: currentProjectId,
+        files: getWorkspaceFiles(),
+        activeFile: activeFileName,
+        updatedAt: new Date().toISOString()
+    };
+    const index = appData.drafts.findIndex(d => d.id === draft.id);
+    if (index >= 0) appData.drafts[index] = draft;
+    else appData.drafts.push(draft);
+    persistRecord('drafts', draft);
+    draftPending = false;
+}
+
+function discardWorkspaceDraft(projectId = currentProjectId) {
+    if (!currentUser) return;
+    const id = getDraftId(projectId);
+    if (!appData.drafts.some(d => d.id === id)) return;
+    appData.drafts = appData.drafts.filter(d => d.id !== id);
+    saveAppData('drafts');
+}
+
+// Keeps unsaved work as a draft before something else is loaded into the playground
+function stashWorkspace() {
+    if (!workspaceDirty) return;
+    draftPending = true;
+    saveWorkspaceDraft();
+    showToast('Your unsaved changes were kept as a draft', 'info');
+}
+
+// A project draft only matters while it is newer than the project's last save
+function isDraftStale(draft) {
+    if (!draft.projectId) return false;
+    const project = appData.projects.find(p => p.id === draft.projectId && p.userId === draft.userId);
+    return !project || new Date(project.updatedAt) >= new Date(draft.updatedAt);
+}
+
+function findRecoverableDraft(projectId) {
+    const draft = appData.drafts.find(d => d.id === getDraftId(projectId));
+    if (!draft) return null;
+    if (isDraftStale(draft)) {
+        discardWorkspaceDraft(projectId);
+        return null;
+    }
+    return draft;
+}
+
+// Each sign-in starts from a clean playground and offers the user's newest draft. The
+// dashboard is also rebuilt when users edit their own account; that keeps the playground.
+function openUserWorkspace() {
+    if (!mainEditor || workspaceUserId === currentUser.id) return;
+    workspaceUserId = currentUser.id;
+    currentProjectId = null;
+    setWorkspaceFiles(getDefaultProjectFiles());
+    markWorkspaceSaved();
+    
+    appData.drafts
+        .filter(d => d.userId === currentUser.id && isDraftStale(d))
+        .forEach(d => discardWorkspaceDraft(d.projectId));
+    const newest = appData.drafts
+        .filter(d => d.userId === currentUser.id)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+    if (newest) offerDraftRecovery(newest);
+}
+
+function clearWorkspace() {
+    workspaceUserId = null;
+    currentProjectId = null;
+    if (mainEditor) setWorkspaceFiles(getDefaultProjectFiles());
+    markWorkspaceSaved();
+}
+
+function offerDraftRecovery(draft) {
+    const project = draft.projectId ? appData.projects.find(p => p.id === draft.projectId) : null;
+    document.getElementById('draftRecoveryId').value = draft.id;
+    document.getElementById('draftRecoveryText').textContent = project
+        ? `You have unsaved changes to "${project.name}" from ${new Date(draft.updatedAt).toLocaleString()}, newer than its last saved version.`
+        : `You have an unsaved new project from ${new Date(draft.updatedAt).toLocaleString()}.`;
+    openModal('draftRecoveryModal');
+}
+
+function recoverDraft() {
+    const draft = appData.drafts.find(d => d.id === document.getElementById('draftRecoveryId').value);
+    closeModal('draftRecoveryModal');
+    if (!draft || draft.userId !== currentUser.id) return;
+    
+    currentProjectId = draft.projectId && appData.projects.some(p => p.id === draft.projectId) ? draft.projectId : null;
+    setWorkspaceFiles(draft.files, draft.activeFile);
+    workspaceDirty = true;
+    draftPending = false;
+    updatePlaygroundProjectLabel();
+    showSection('projects');
+    showToast('Unsaved changes recovered', 'success');
+    logSystem('DRAFT_RECOVER', `Recovered a playground draft from ${draft.updatedAt}`, currentUser.id);
+}
+
+function discardDraft() {
+    const id = document.getElementById('draftRecoveryId').value;
+    closeModal('draftRecoveryModal');
+    if (!appData.drafts.some(d => d.id === id && d.userId === currentUser.id)) return;
+    appData.drafts = appData.drafts.filter(d => d.id !== id);
+    saveAppData('drafts');
+    showToast('Draft discarded', 'info');
+}
+
+function handleBeforeUnload(e) {
+    if (!currentUser || !workspaceDirty) return;
+    saveWorkspaceDraft();
+    e.preventDefault();
+    e.returnValue = '';
+}
+
+function createFrameToken() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Code runners by language. Page runners render in the preview; console runners only report
+// console output. `aliases` maps material languages (CodeMirror mode names) onto runners.
+const CODE_RUNNERS = {
+    html: {
+        label: 'HTML page',
+        console: false,
+        extensions: ['html', 'htm'],
+        aliases: ['htmlmixed'],
+        build: (file, files, token) => buildPreviewDocument(rewriteProjectReferences(file, files), token)
+    },
+    javascript: {
+        label: 'JavaScript console',
+        console: true,
+        extensions: ['js', 'mjs'],
+        entry: 'main.js',
+        aliases: ['js'],
+        build: (file, files, token) => buildJavaScriptRunnerDocument(file.content, token)
+    },
+    python: {
+        label: 'Python',
+        console: true,
+        extensions: ['py'],
+        entry: 'main.py',
+        aliases: [],
+        build: (file, files, token) => buildPythonRunnerDocument(file, files, token)
+    }
+};
+
+// Code materials saved before languages were recorded are HTML. CSS, C++ and Java have no runner.
+function getCodeRunnerId(language) {
+    const key = language || 'html';
+    if (CODE_RUNNERS[key]) return key;
+    return Object.keys(CODE_RUNNERS).find(id => CODE_RUNNERS[id].aliases.includes(key)) || null;
+}
+
+// Projects with Python files run as Python; anything else previews as a page
+function detectProjectRunner(files) {
+    return files.some(f => getProjectFileExtension(f.name) === 'py') ? 'python' : 'html';
+}
+
+// Page runners open the entry file. Console runners run the open file when they handle it,
+// otherwise their entry file, otherwise the first file they handle.
+function getRunnerTarget(runnerId, files, activeName) {
+    const runner = CODE_RUNNERS[runnerId];
+    if (!runner.console) return files.find(f => f.name === ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE) || null;
+    const handles = file => file && file.type === 'text' && runner.extensions.includes(getProjectFileExtension(file.name));
+    return [files.find(f => f.name === activeName), files.find(f => f.name === runner.entry), ...files].find(handles) || null;
+}
+
+// Kept on one line so line numbers reported from the preview match the editor. Console calls
+// report the first page or project-file frame below the bridge's own two; project files are
+// data URLs that carry their name (see toProjectFileUrl).
+function buildPreviewBridge(token) {
+    return `<script>(function () {
+        var token = ${JSON.stringify(token)};
+        document.currentScript.remove();
+        function format(value) {
+            if (value instanceof Error) return value.name + ': ' + value.message;
+            if (typeof value === 'string') return value;
+            try { return JSON.stringify(value); } catch (e) { return String(value); }
+        }
+        function locate(url, line) {
+            var name = /^data:[^,]*?;name=([^;,]+)/.exec(url || '');
+            return { file: name ? decodeURIComponent(name[1]) : null, line: line || null };
+        }
+        function callerLocation() {
+            var frames = (new Error().stack || '').split('\\n').filter(function (frame) { return /about:srcdoc|data:/.test(frame); });
+            var match = frames[2] && /(about:srcdoc|data:[^\\s)]+):(\\d+):\\d+\\)?\\s*$/.exec(frames[2]);
+            return match ? locate(match[1], Number(match[2])) : locate(null, null);
+        }
+        function send(level, args, location) {
+            var message = Array.prototype.map.call(args, format).join(' ');
+            parent.postMessage({ source: 'ferretto-preview', token: token, level: level, message: message, file: location.file, line: location.line }, '*');
+        }
+        ['log', 'info', 'warn', 'error'].forEach(function (level) {
+            var original = console[level];
+            console[level] = function () {
+                send(level, arguments, callerLocation());
+                return original.apply(console, arguments);
+            };
+        });
+        window.addEventListener('error', function (event) {
+            send('exception', [event.message], locate(event.filename, event.lineno));
+        });
+        window.addEventListener('unhandledrejection', function (event) {
+            send('exception', ['Unhandled promise rejection: ' + format(event.reason)], locate(null, null));
+        });
+    })();<\/script>`.replace(/\s*\n\s*/g, ' ');
+}
+
+// The bridge goes inside <head> when there is one, so it runs before the page's own scripts
+// and the document keeps its doctype
+function buildPreviewDocument(code, token) {
+    const bridge = buildPreviewBridge(token);
+    const anchor = /<head[^>]*>/i.exec(code) || /<html[^>]*>/i.exec(code) || /<!doctype[^>]*>/i.exec(code);
+    if (!anchor) return bridge + code;
+    const index = anchor.index + anchor[0].length;
+    return code.slice(0, index) + bridge + code.slice(index);
+}
+
+// The script starts on the document's first line, so reported lines match the file
+function buildJavaScriptRunnerDocument(code, token) {
+    const script = (code || '').replace(/<\/(script)/gi, '<\\/$1');
+    const done = JSON.stringify({ source: 'ferretto-preview', token, level: 'status', state: 'done' });
+    return `<!DOCTYPE html><html><head><meta charset="UTF-8">${buildPreviewBridge(token)}</head><body><script>${script}
+<\/script><script>parent.postMessage(${done}, '*');<\/script></body></html>`;
+}
+
+// Runs the target with every text file of the project written to Pyodide's working directory,
+// so scripts can import each other and open data files. Without allow-same-origin the frame
+// cannot fetch the runtime itself, so its fetches under PYODIDE_PATH are answered by the app
+// (see answerRuntimeFetch). Only the Python traceback frames from the project are reported.
+function buildPythonRunnerDocument(file, files, token) {
+    const indexUrl = new URL(ENTERPRISE_CONFIG.PREVIEW.PYODIDE_PATH, location.href).href;
+    const config = JSON.stringify({
+        token,
+        indexUrl,
+        target: file.name,
+        files: files.filter(f => f.type === 'text').map(f => ({ name: f.name, content: f.content }))
+    }).replace(/</g, '\\u003c');
+    return `<!DOCTYPE html><html><head><meta charset="UTF-8">${buildPreviewBridge(token)}</head><body>
+<script src="${escapeHtml(indexUrl)}pyodide.js"><\/script>
+<script>
+(async function () {
+    var config = ${config};
+    var pending = {};
+    var nextId = 0;
+    function post(message) {
+        message.source = 'ferretto-preview';
+        message.token = config.token;
+        parent.postMessage(message, '*');
+    }
+    window.addEventListener('message', function (event) {
+        var data = event.data;
+        if (event.source !== parent || !data || data.source !== 'ferretto-runtime' || data.token !== config.token || !pending[data.id]) return;
+        var request = pending[data.id];
+        delete pending[data.id];
+        if (!data.buffer) return request.reject(new TypeError('Python runtime file not found: ' + data.name));
+        var type = /\\.wasm$/.test(data.name) ? 'application/wasm' : data.type;
+        request.resolve(new Response(data.buffer, { headers: { 'Content-Type': type } }));
+    });
+    var nativeFetch = window.fetch;
+    window.fetch = function (input, init) {
+        var url = String(input && input.url || input);
+        if (url.indexOf(config.indexUrl) !== 0) return nativeFetch.call(window, input, init);
+        return new Promise(function (resolve, reject) {
+            var id = ++nextId;
+            pending[id] = { resolve: resolve, reject: reject };
+            post({ level: 'fetch', id: id, name: url.slice(config.indexUrl.length).split(/[?#]/)[0] });
+        });
+    };
+    if (typeof loadPyodide !== 'function') return post({ level: 'status', state: 'unavailable' });
+    
+    post({ level: 'status', state: 'loading' });
+    var pyodide;
+    try {
+        pyodide = await loadPyodide({
+            indexURL: config.indexUrl,
+            stdout: function (line) { post({ level: 'log', message: line }); },
+            stderr: function (line) { post({ level: 'error', message: line }); }
+        });
+    } catch (error) {
+        post({ level: 'exception', message: String(error && error.message || error) });
+        return post({ level: 'status', state: 'unavailable' });
+    }
+    
+    var started = Date.now();
+    post({ level: 'status', state: 'running' });
+    var code = config.files.filter(function (f) { return f.name === config.target; })[0].content;
+    try {
+        config.files.forEach(function (f) {
+            var folder = f.name.split('/').slice(0, -1).join('/');
+            if (folder) pyodide.FS.mkdirTree(folder);
+            pyodide.FS.writeFile(f.name, f.content);
+        });
+        pyodide.runPython("import sys\\nif '' not in sys.path: sys.path.insert(0, '')");
+        await pyodide.loadPackagesFromImports(code, { messageCallback: function () {} });
+        await pyodide.runPythonAsync(code);
+    } catch (error) {
+        var lines = String(error && error.message || error).split('\\n');
+        var first = lines.findIndex(function (line) { return line.indexOf('File "<exec>"') !== -1; });
+        var trace = first === -1 ? lines : [lines[0]].concat(lines.slice(first));
+        var match, line = null, pattern = /File "<exec>", line (\\d+)/g, message = trace.join('\\n');
+        while ((match = pattern.exec(message))) line = Number(match[1]);
+        post({ level: 'exception', message: message.split('"<exec>"').join(JSON.stringify(config.target)), line: line });
+    }
+    post({ level: 'status', state: 'done', elapsed: Date.now() - started });
+})();
+<\/script></body></html>`;
+}
+
+// Runtime files are fetched once per page load; misses are retried on the next run
+const runtimeFiles = new Map();
+
+async function answerRuntimeFetch(target, token, data) {
+    const name = String(data.name || '');
+    const valid = name && !/[\\:]/.test(name) && !name.split('/').some(part => !part || part === '.' || part === '..');
+    let file = null;
+    if (valid) {
+        if (!runtimeFiles.has(name)) {
+            runtimeFiles.set(name, fetch(ENTERPRISE_CONFIG.PREVIEW.PYODIDE_PATH + name)
+                .then(async response => (response.ok
+                    ? { buffer: await response.arrayBuffer(), type: response.headers.get('Content-Type') || '' }
+                    : null))
+                .catch(() => null));
+        }
+        file = await runtimeFiles.get(name);
+        if (!file) runtimeFiles.delete(name);
+    }
+    target.postMessage({ source: 'ferretto-runtime', token, id: data.id, name, buffer: file ? file.buffer : null, type: file ? file.type : '' }, '*');
+}
+
+// Full-page previews open a wrapper page whose only content is a sandboxed iframe
+function openSandboxedWindow(code, title = 'Preview') {
+    const wrapper = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>` +
+        '<style>html, body, iframe { margin: 0; width: 100%; height: 100%; border: 0; display: block; }</style></head>' +
+        `<body><iframe sandbox="${ENTERPRISE_CONFIG.PREVIEW.SANDBOX}" srcdoc="${escapeHtml(code || '')}"></iframe></body></html>`;
+    const url = URL.createObjectURL(new Blob([wrapper], { type: 'text/html' }));
+    const newWindow = window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), ENTERPRISE_CONFIG.PREVIEW.WINDOW_URL_LIFETIME);
+    if (!newWindow) {
+        showToast('Allow pop-ups for this site to open the preview', 'warning');
+        return false;
+    }
+    return true;
+}
+
+// Runs by iframe id: the playground preview and the material runner keep their own output.
+// A new token drops messages still arriving from the previous run.
+function startCodeRun(frameId, runnerId, file, files) {
+    if (codeRuns[frameId]) clearTimeout(codeRuns[frameId].timer);
+    const run = { token: createFrameToken(), runnerId, file: file.name, status: null, entries: [], timer: null };
+    codeRuns[frameId] = run;
+    document.getElementById(frameId).srcdoc = CODE_RUNNERS[runnerId].build(file, files, run.token);
+    if (CODE_RUNNERS[runnerId].console) startRunTimer(frameId, run);
+    return run;
+}
+
+function startRunTimer(frameId, run) {
+    clearTimeout(run.timer);
+    run.timer = setTimeout(() => {
+        // Code that finished but left timers running is shut down without a timeout message
+        const finished = run.status && run.status.state === 'done';
+        stopCodeRun(frameId, finished ? run.status : { state: 'timeout' });
+        renderCodeRun(frameId);
+    }, ENTERPRISE_CONFIG.PREVIEW.RUN_TIMEOUT);
+}
+
+// Tears down the frame. With a status the run's output stays on screen, and its cleared
+// token drops anything the old frame still sends.
+function stopCodeRun(frameId, status = null) {
+    const run = codeRuns[frameId];
+    if (run) clearTimeout(run.timer);
+    if (run && status) {
+        run.token = null;
+        run.status = status;
+    } else {
+        delete codeRuns[frameId];
+    }
+    const iframe = document.getElementById(frameId);
+    if (iframe) iframe.srcdoc = '';
+}
+
+// A finished run's frame stays alive until the time limit, since its timers may still fire
+function isCodeRunActive(run) {
+    return Boolean(run && run.token && CODE_RUNNERS[run.runnerId].console
+        && !(run.status && run.status.state === 'unavailable'));
+}
+
+function stopActiveCodeRun(frameId) {
+    if (!isCodeRunActive(codeRuns[frameId])) return;
+    stopCodeRun(frameId, { state: 'stopped' });
+    renderCodeRun(frameId);
+}
+
+function renderCodeRun(frameId) {
+    if (frameId === 'previewFrame') {
+        renderPreviewConsole();
+    } else {
+        renderCodeRunnerOutput();
+    }
+}
+
+function formatRunStatus(run) {
+    if (!run || !run.status) return '';
+    const { state, elapsed } = run.status;
+    if (state === 'loading') return 'Loading Python runtime...';
+    if (state === 'running') return `Running ${run.file}...`;
+    if (state === 'unavailable') return 'The Python runtime is not installed. See README for setup.';
+    if (state === 'timeout') return `Stopped after the ${ENTERPRISE_CONFIG.PREVIEW.RUN_TIMEOUT / 1000}s time limit`;
+    if (state === 'stopped') return 'Stopped';
+    return Number.isFinite(elapsed) ? `Finished in ${(elapsed / 1000).toFixed(2)}s` : 'Finished';
+}
+
+// Console runners show their output as a terminal: stdout as written, stderr and errors in red
+function renderRunOutput(container, run, idleText = '') {
+    const status = formatRunStatus(run) || idleText;
+    container.innerHTML = (run ? run.entries : []).map(entry => `
+        <div class="runner-line console-${entry.level}">${escapeHtml(entry.message)}</div>
+    `).join('') + (status ? `<div class="runner-status">${escapeHtml(status)}</div>` : '');
+    container.scrollTop = container.scrollHeight;
+}
+
+function schedulePreviewUpdate() {
+    clearTimeout(previewRenderTimer);
+    previewRenderTimer = setTimeout(updatePreview, ENTERPRISE_CONFIG.PREVIEW.DEBOUNCE_MS);
+}
+
+// Page runners render live. Console runners only run on Run or Refresh (`execute`).
+function updatePreview(execute = false) {
+    if (!mainEditor) return;
+    clearTimeout(previewRenderTimer);
+    previewRenderTimer = null;
+    
+    const runner = CODE_RUNNERS[playgroundRunner];
+    document.getElementById('playgroundRunner').value = playgroundRunner;
+    document.getElementById('previewFrame').classList.toggle('hidden', runner.console);
+    document.getElementById('runnerOutput').classList.toggle('hidden', !runner.console);
+    document.getElementById('previewFullscreenBtn').classList.toggle('hidden', runner.console);
+    document.getElementById('previewStopBtn').classList.toggle('hidden', !runner.console);
+    
+    if (runner.console && !execute) {
+        renderPreviewConsole();
+        return;
+    }
+    const target = getRunnerTarget(playgroundRunner, workspaceFiles, activeFileName);
+    if (target) {
+        startCodeRun('previewFrame', playgroundRunner, target, workspaceFiles);
+    } else {
+        stopCodeRun('previewFrame');
+    }
+    renderPreviewConsole();
+}
+
+// Switching to a console runner adds its entry file when the project has nothing for it to run
+function changePlaygroundRunner(runnerId) {
+    const runner = CODE_RUNNERS[runnerId];
+    if (!runner) return;
+    playgroundRunner = runnerId;
+    stopCodeRun('previewFrame');
+    
+    if (runner.console && !getRunnerTarget(runnerId, workspaceFiles, activeFileName)
+        && workspaceFiles.length < ENTERPRISE_CONFIG.PROJECT.MAX_FILES
+        && !workspaceFiles.some(f => f.name === runner.entry)) {
+        workspaceFiles.push({ name: runner.entry, type: 'text', content: '' });
+        markWorkspaceDirty();
+        openWorkspaceFile(runner.entry);
+    }
+    updatePreview();
+}
+
+function handlePreviewMessage(event) {
+    const data = event.data;
+    if (!data || data.source !== 'ferretto-preview') return;
+    const frameId = data.token && Object.keys(codeRuns).find(id => codeRuns[id].token === data.token);
+    const iframe = frameId && document.getElementById(frameId);
+    if (!iframe || event.source !== iframe.contentWindow) return;
+    const run = codeRuns[frameId];
+    
+    if (data.level === 'fetch') {
+        answerRuntimeFetch(event.source, run.token, data);
+        return;
+    }
+    if (data.level === 'status') {
+        run.status = { state: String(data.state), elapsed: Number(data.elapsed) };
+        // The time limit starts once the code itself runs
+        if (['loading', 'unavailable'].includes(run.status.state)) clearTimeout(run.timer);
+        if (run.status.state === 'running') startRunTimer(frameId, run);
+    } else {
+        run.entries.push({
+            level: ['log', 'info', 'warn', 'error', 'exception'].includes(data.level) ? data.level : 'log',
+            message: String(data.message ?? ''),
+            file: typeof data.file === 'string' ? data.file : run.file,
+            line: Number.isInteger(data.line) ? data.line : null
+        });
+        if (run.entries.length > ENTERPRISE_CONFIG.PREVIEW.MAX_CONSOLE_ENTRIES) {
+            run.entries.shift();
+        }
+    }
+    renderCodeRun(frameId);
+}
+
+function renderPreviewConsole() {
+    const container = document.getElementById('previewConsole');
+    if (!container) return;
+    const run = codeRuns.previewFrame;
+    const entries = run ? run.entries : [];
+    const errors = entries.filter(e => e.level === 'error' || e.level === 'exception').length;
+    const warnings = entries.filter(e => e.level === 'warn').length;
+    document.getElementById('previewConsoleCount').textContent = [
+        errors ? `${errors} error${errors === 1 ? '' : 's'}` : '',
+        warnings ? `${warnings} warning${warnings === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(' • ');
+    
+    const runner = CODE_RUNNERS[playgroundRunner];
+    if (runner.console) {
+        const target = getRunnerTarget(playgroundRunner, workspaceFiles, activeFileName);
+        renderRunOutput(document.getElementById('runnerOutput'), run, target
+            ? `Press Run to run ${target.name}`
+            : `No ${runner.extensions.map(ext => `.${ext}`).join(' or ')} file to run`);
+    }
+    
+    if (!entries.length) {
+        container.innerHTML = '<div class="console-empty">No console output</div>';
+        return;
+    }
+    container.innerHTML = entries.map((entry, index) => `
+        <div class="console-entry console-${entry.level}">
+            ${entry.line
+                ? `<button type="button" class="console-line" onclick="jumpToConsoleEntry(${index})">${escapeHtml(entry.file)}:${entry.line}</button>`
+                : '<span class="console-line"></span>'}
+            <span class="console-message">${escapeHtml(entry.message)}</span>
+        </div>
+    `).join('');
+    container.scrollTop = container.scrollHeight;
+}
+
+function clearPreviewConsole() {
+    if (codeRuns.previewFrame) codeRuns.previewFrame.entries = [];
+    renderPreviewConsole();
+}
+
+function jumpToConsoleEntry(index) {
+    const entry = codeRuns.previewFrame?.entries[index];
+    if (!entry || !entry.line || !mainEditor) return;
+    if (!workspaceFiles.some(f => f.name === entry.file && f.type === 'text')) return;
+    if (entry.file !== activeFileName) openWorkspaceFile(entry.file);
+    const line = entry.line;
+    mainEditor.setCursor({ line: line - 1, ch: 0 });
+    mainEditor.scrollIntoView({ line: line - 1, ch: 0 }, 100);
+    mainEditor.focus();
+}
+
+function forceRefreshPreview() {
+    updatePreview(true);
+    showToast('Preview refreshed', 'success');
+}
+
+function openPreviewInNewTab() {
+    if (!mainEditor) return;
+    openSandboxedWindow(buildProjectDocument(workspaceFiles), 'Playground Preview');
+}
+
+function runCode() {
+    updatePreview(true);
+    showToast('Code executed successfully', 'success');
+    logSystem('CODE_RUN', 'Ran code in playground', currentUser.id);
+}
+
+function resetEditor() {
+    if (confirm('Reset the playground? Your current files will be lost.')) {
+        discardWorkspaceDraft();
+        clearWorkspace();
+        showToast('Editor reset', 'info');
+    }
+}
+
+// =========================================
+// 9. PROJECT MANAGEMENT
+// =========================================
+// Saving while one of your projects is loaded adds a version to it, unless "save as new" is ticked
+function openProjectModal() {
+    const form = document.getElementById('projectForm');
+    form.reset();
+    const project = currentProjectId
+        ? appData.projects.find(p => p.id === currentProjectId && p.userId === currentUser.id)
+        : null;
+    
+    document.getElementById('projectModalTitle').textContent = project ? 'Save New Version' : 'Save Project';
+    document.getElementById('projectSaveAsNewGroup').classList.toggle('hidden', !project);
+    if (project) {
+        document.getElementById('projectNameInput').value = project.name;
+        document.getElementById('projectDescriptionInput').value = project.description || '';
+        document.getElementById('projectVisibilityInput').value = project.visibility;
+        document.getElementById('projectCategoryInput').value = project.category;
+        document.getElementById('projectTagsInput').value = (project.tags || []).join(', ');
+    }
+    openModal('projectModal');
+}
+
+function handleSaveProject(e) {
+    e.preventDefault();
+    
+    const name = document.getElementById('projectNameInput').value.trim();
+    const description = document.getElementById('projectDescriptionInput').value.trim();
+    const visibility = document.getElementById('projectVisibilityInput').value;
+    const category = document.getElementById('projectCategoryInput').value;
     const tags = document.getElementById('projectTagsInput').value.split(',').map(tag => tag.trim()).filter(tag => tag);
     
-    if (!name) {
-        showToast('Project name is required', 'error');
+    if (!name) {
+        showToast('Project name is required', 'error');
+        return;
+    }
+    
+    const message = document.getElementById('projectVersionMessageInput').value.trim();
+    const existing = currentProjectId && !document.getElementById('projectSaveAsNewInput').checked
+        ? appData.projects.find(p => p.id === currentProjectId && p.userId === currentUser.id)
+        : null;
+    if (existing) {
+        const files = getWorkspaceFiles();
+        const changed = !projectFilesEqual(existing.files, files);
+        Object.assign(existing, { name, description, visibility, category, tags, updatedAt: new Date().toISOString() });
+        let version = null;
+        if (changed) {
+            existing.files = files;
+            version = createProjectVersion(existing, message || 'Updated files');
+        }
+        discardWorkspaceDraft(existing.id);
+        saveAppData('projects', 'projectVersions');
+        
+        closeModal('projectModal');
+        showToast(version ? `Saved version ${version.number}` : 'Project details updated. No file changes to version.', 'success');
+        logSystem('PROJECT_UPDATE', `Updated project: ${name}${version ? ` (v${version.number})` : ''}`, currentUser.id);
+        markWorkspaceSaved();
+        loadMyProjects();
+        return;
+    }
+    
+    const newProject = {
+        id: Date.now(),
+        userId: currentUser.id,
+        name,
+        description,
+        files: getWorkspaceFiles(),
+        visibility,
+        category,
+        tags,
+        likes: 0,
+        views: 0,
+        forks: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    appData.projects.push(newProject);
+    createProjectVersion(newProject, message || 'Initial version');
+    discardWorkspaceDraft();
+    currentProjectId = newProject.id;
+    saveAppData('projects', 'projectVersions');
+    
+    closeModal('projectModal');
+    showToast('Project saved successfully!', 'success');
+    logSystem('PROJECT_SAVE', `Saved project: ${name}`, currentUser.id);
+    
+    markWorkspaceSaved();
+    loadMyProjects();
+}
+
+// Versions snapshot a project's files. The newest one always matches project.files; restoring an
+// older version saves it again as a new version. A file unchanged since the previous version keeps
+// no content of its own: contentFrom names the version that stores it, so read through getVersionFiles.
+function getProjectVersions(projectId) {
+    return appData.projectVersions
+        .filter(v => v.projectId === projectId)
+        .sort((a, b) => a.number - b.number);
+}
+
+function getLatestProjectVersion(projectId) {
+    const versions = getProjectVersions(projectId);
+    return versions[versions.length - 1] || null;
+}
+
+function getVersionFiles(version) {
+    return version.files.map(file => {
+        if (!file.contentFrom) return { ...file };
+        const { contentFrom, ...rest } = file;
+        const holder = appData.projectVersions.find(v => v.id === contentFrom);
+        const stored = holder && holder.files.find(f => f.name === file.name);
+        return { ...rest, content: stored ? stored.content : '' };
+    });
+}
+
+function createProjectVersion(project, message) {
+    const latest = getLatestProjectVersion(project.id);
+    const previous = latest ? latest.files : [];
+    const previousFiles = latest ? getVersionFiles(latest) : [];
+    const version = {
+        id: appData.projectVersions.reduce((max, v) => Math.max(max, v.id), 0) + 1,
+        projectId: project.id,
+        number: latest ? latest.number + 1 : 1,
+        message,
+        files: project.files.map(file => {
+            const index = previous.findIndex(f => f.name === file.name && f.type === file.type);
+            if (index === -1 || previousFiles[index].content !== file.content) return { ...file };
+            const { content, ...rest } = file;
+            return { ...rest, contentFrom: previous[index].contentFrom || latest.id };
+        }),
+        userId: currentUser.id,
+        createdAt: new Date().toISOString()
+    };
+    appData.projectVersions.push(version);
+    project.currentVersion = version.number;
+    return version;
+}
+
+function projectFilesEqual(filesA, filesB) {
+    const key = files => JSON.stringify([...files]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(file => [file.name, file.type, file.content]));
+    return key(filesA) === key(filesB);
+}
+
+function updatePlaygroundProjectLabel() {
+    const project = currentProjectId ? appData.projects.find(p => p.id === currentProjectId) : null;
+    document.getElementById('playgroundProjectLabel').textContent = (project
+        ? `${project.name} • v${project.currentVersion || 1}`
+        : 'New project') + (workspaceDirty ? ' • unsaved changes' : '');
+}
+
+function openProjectHistory(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    if (project.userId !== currentUser.id && !requirePermission('projects.moderate')) return;
+    
+    const versions = getProjectVersions(project.id);
+    document.getElementById('projectHistoryTitle').textContent = `History: ${project.name}`;
+    document.getElementById('projectHistoryProjectId').value = project.id;
+    const options = [...versions].reverse().map(v =>
+        `<option value="${v.id}">v${v.number} • ${escapeHtml(v.message)}</option>`
+    ).join('');
+    const baseSelect = document.getElementById('historyBaseSelect');
+    const targetSelect = document.getElementById('historyTargetSelect');
+    baseSelect.innerHTML = options;
+    targetSelect.innerHTML = options;
+    // Default to the latest change: the previous version against the newest
+    targetSelect.value = versions.length ? versions[versions.length - 1].id : '';
+    baseSelect.value = versions.length > 1 ? versions[versions.length - 2].id : targetSelect.value;
+    
+    renderProjectVersionList(project);
+    renderProjectDiff();
+    openModal('projectHistoryModal');
+}
+
+function renderProjectVersionList(project) {
+    const isOwner = project.userId === currentUser.id;
+    const versions = [...getProjectVersions(project.id)].reverse();
+    document.getElementById('projectVersionList').innerHTML = versions.map(version => {
+        const author = appData.users.find(u => u.id === version.userId);
+        const isCurrent = version.number === project.currentVersion;
+        return `
+            <tr>
+                <td><strong>v${version.number}</strong> ${isCurrent ? '<span class="badge badge-success">Current</span>' : ''}</td>
+                <td>${escapeHtml(version.message)}</td>
+                <td class="text-sm">${new Date(version.createdAt).toLocaleString()}<div class="text-xs text-gray">${escapeHtml(author ? author.name : 'Unknown')}</div></td>
+                <td>${version.files.length}</td>
+                <td>
+                    ${isOwner && !isCurrent ? `
+                    <button class="btn btn-sm btn-outline" onclick="restoreProjectVersion(${version.id})">
+                        <i class="fas fa-undo"></i> Restore
+                    </button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="5" class="text-center text-gray">No versions saved yet</td></tr>';
+}
+
+// Line diff as a list of same/removed/added operations. Shared leading and trailing lines are
+// trimmed first; the middle uses a longest-common-subsequence table unless it is too large.
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'same', left: i + 1, right: i + 1, text: a[i] });
+    
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > ENTERPRISE_CONFIG.PROJECT.DIFF_MAX_CELLS) {
+        for (let i = start; i < endA; i++) ops.push({ type: 'removed', left: i + 1, text: a[i] });
+        for (let j = start; j < endB; j++) ops.push({ type: 'added', right: j + 1, text: b[j] });
+    } else {
+        // lengths[i][j] is the LCS length of a[start + i..endA) and b[start + j..endB)
+        const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = a[start + i] === b[start + j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ type: 'same', left: start + i + 1, right: start + j + 1, text: a[start + i] });
+                i++;
+                j++;
+            } else if (i < n && (j >= m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                ops.push({ type: 'removed', left: start + i + 1, text: a[start + i] });
+                i++;
+            } else {
+                ops.push({ type: 'added', right: start + j + 1, text: b[start + j] });
+                j++;
+            }
+        }
+    }
+    
+    for (let k = 0; k < a.length - endA; k++) {
+        ops.push({ type: 'same', left: endA + k + 1, right: endB + k + 1, text: a[endA + k] });
+    }
+    return ops;
+}
+
+// Pairs removals with the additions that follow them so changed lines sit side by side,
+// and folds long unchanged stretches down to a few lines of context
+function buildSideBySideRows(ops) {
+    const rows = [];
+    let k = 0;
+    while (k < ops.length) {
+        if (ops[k].type === 'same') {
+            rows.push({ type: 'same', left: ops[k], right: ops[k] });
+            k++;
+            continue;
+        }
+        const removed = [];
+        const added = [];
+        while (k < ops.length && ops[k].type !== 'same') {
+            (ops[k].type === 'removed' ? removed : added).push(ops[k]);
+            k++;
+        }
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ type: 'change', left: removed[i] || null, right: added[i] || null });
+        }
+    }
+    
+    const context = ENTERPRISE_CONFIG.PROJECT.DIFF_CONTEXT_LINES;
+    const folded = [];
+    let run = [];
+    const flush = (atStart, atEnd) => {
+        const keepStart = atStart ? 0 : context;
+        const keepEnd = atEnd ? 0 : context;
+        if (run.length > keepStart + keepEnd + 1) {
+            folded.push(...run.slice(0, keepStart));
+            folded.push({ type: 'fold', count: run.length - keepStart - keepEnd });
+            folded.push(...run.slice(run.length - keepEnd));
+        } else {
+            folded.push(...run);
+        }
+        run = [];
+    };
+    rows.forEach(row => {
+        if (row.type === 'same') {
+            run.push(row);
+            return;
+        }
+        flush(folded.length === 0, false);
+        folded.push(row);
+    });
+    flush(folded.length === 0, true);
+    return folded;
+}
+
+function renderProjectDiff() {
+    const base = appData.projectVersions.find(v => v.id === Number(document.getElementById('historyBaseSelect').value));
+    const target = appData.projectVersions.find(v => v.id === Number(document.getElementById('historyTargetSelect').value));
+    const container = document.getElementById('projectDiffView');
+    if (!base || !target) {
+        container.innerHTML = '<p class="text-gray">Save a version to start the history.</p>';
+        return;
+    }
+    if (base.id === target.id) {
+        container.innerHTML = `<p class="text-gray">Pick two different versions to compare.</p>`;
+        return;
+    }
+    
+    const baseFiles = getVersionFiles(base);
+    const targetFiles = getVersionFiles(target);
+    const names = Array.from(new Set([...baseFiles, ...targetFiles].map(f => f.name))).sort();
+    let unchanged = 0;
+    const sections = names.map(name => {
+        const before = baseFiles.find(f => f.name === name);
+        const after = targetFiles.find(f => f.name === name);
+        if (before && after && before.content === after.content) {
+            unchanged++;
+            return '';
+        }
+        const status = !before ? 'Added' : !after ? 'Removed' : 'Modified';
+        const statusClass = !before ? 'badge-success' : !after ? 'badge-danger' : 'badge-warning';
+        const header = `
+            <div class="diff-file-header">
+                <span>${escapeHtml(name)}</span>
+                <span class="badge ${statusClass}">${status}</span>
+            </div>
+        `;
+        if ((before || after).type === 'asset') {
+            return `${header}<div class="diff-asset text-sm text-gray">Image ${status.toLowerCase()}</div>`;
+        }
+        
+        const rows = buildSideBySideRows(diffLines(before ? before.content : '', after ? after.content : ''));
+        const cell = (op, side, changeClass) => op
+            ? `<td class="diff-num">${op[side]}</td><td class="diff-code ${changeClass}">${escapeHtml(op.text)}</td>`
+            : '<td class="diff-num"></td><td class="diff-code diff-empty"></td>';
+        return `${header}
+            <table class="diff-table">
+                ${rows.map(row => row.type === 'fold'
+                    ? `<tr><td colspan="4" class="diff-fold">⋯ ${row.count} unchanged line${row.count === 1 ? '' : 's'}</td></tr>`
+                    : `<tr>
+                        ${cell(row.left, 'left', row.type === 'change' ? 'diff-removed' : '')}
+                        ${cell(row.right, 'right', row.type === 'change' ? 'diff-added' : '')}
+                    </tr>`
+                ).join('')}
+            </table>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="text-sm text-gray mb-2">v${base.number} → v${target.number}${unchanged ? ` • ${unchanged} unchanged file${unchanged === 1 ? '' : 's'}` : ''}</div>
+        ${sections || '<p class="text-gray">The files in these versions are identical.</p>'}
+    `;
+}
+
+function restoreProjectVersion(versionId) {
+    const version = appData.projectVersions.find(v => v.id === versionId);
+    const project = version ? appData.projects.find(p => p.id === version.projectId) : null;
+    if (!project || project.userId !== currentUser.id) return;
+    const loaded = currentProjectId === project.id;
+    if (!confirm(`Restore version ${version.number} of "${project.name}"? It is saved as a new version, so nothing is lost.` +
+        (loaded ? ' Unsaved changes in the playground will be replaced.' : ''))) return;
+    
+    project.files = getVersionFiles(version);
+    project.updatedAt = new Date().toISOString();
+    const restored = createProjectVersion(project, `Restored version ${version.number}`);
+    saveAppData('projects', 'projectVersions');
+    
+    if (loaded) {
+        setWorkspaceFiles(project.files);
+        discardWorkspaceDraft(project.id);
+        markWorkspaceSaved();
+    }
+    showToast(`Restored version ${version.number} as v${restored.number}`, 'success');
+    logSystem('PROJECT_RESTORE', `Restored ${project.name} to version ${version.number}`, currentUser.id);
+    openProjectHistory(project.id);
+    loadMyProjects();
+}
+
+function loadMyProjects() {
+    const grid = document.getElementById('myProjectsGrid');
+    const myProjects = appData.projects
+        .filter(p => p.userId === currentUser.id)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    
+    if (myProjects.length === 0) {
+        grid.innerHTML = `
+            <div class="empty-state w-full">
+                <i class="fas fa-laptop-code"></i>
+                <h3>No Projects Yet</h3>
+                <p>Create your first project using the code editor above.</p>
+                <button class="btn btn-primary mt-4" onclick="showSection('projects')">
+                    <i class="fas fa-code"></i> Start Coding
+                </button>
+            </div>
+        `;
+        return;
+    }
+    
+    grid.innerHTML = '';
+    
+    myProjects.forEach(project => {
+        const card = document.createElement('div');
+        card.className = 'card';
+        
+        const isPublic = project.visibility === 'public';
+        const isUnlisted = project.visibility === 'unlisted';
+        const visibilityText = isPublic ? 'Public' : isUnlisted ? 'Unlisted' : 'Private';
+        const visibilityClass = isPublic ? 'badge-success' : isUnlisted ? 'badge-info' : 'badge-gray';
+        
+        const lastUpdated = new Date(project.updatedAt);
+        const timeAgo = getTimeAgo(lastUpdated);
+        
+        card.innerHTML = `
+            <div class="card-header">
+                <div>
+                    <div class="card-title">${project.name}</div>
+                    <div class="card-subtitle">${project.description || 'No description'}</div>
+                </div>
+                <span class="badge ${visibilityClass}">${visibilityText}</span>
+            </div>
+            <div class="card-body">
+                <div class="flex flex-wrap gap-2 mb-3">
+                    <span class="badge badge-primary">${project.category}</span>
+                    ${project.tags.slice(0, 3).map(tag => `<span class="badge badge-gray">${tag}</span>`).join('')}
+                    ${project.tags.length > 3 ? `<span class="badge badge-gray">+${project.tags.length - 3}</span>` : ''}
+                </div>
+                <div class="flex items-center gap-4 text-sm text-gray">
+                    <div class="flex items-center gap-1" title="Version">
+                        <i class="fas fa-history"></i>
+                        <span>v${project.currentVersion || 1}</span>
+                    </div>
+                    <div class="flex items-center gap-1">
+                        <i class="fas fa-heart"></i>
+                        <span>${project.likes || 0}</span>
+                    </div>
+                    <div class="flex items-center gap-1">
+                        <i class="fas fa-eye"></i>
+                        <span>${project.views || 0}</span>
+                    </div>
+                    <div class="flex items-center gap-1">
+                        <i class="fas fa-code-branch"></i>
+                        <span>${project.forks || 0}</span>
+                    </div>
+                    <div class="ml-auto text-xs">
+                        Updated ${timeAgo}
+                    </div>
+                </div>
+            </div>
+            <div class="card-footer">
+                <div class="flex gap-2">
+                    <button class="btn btn-sm btn-primary" onclick="loadProjectIntoEditor(${project.id})">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn btn-sm btn-secondary" onclick="viewProject(${project.id})">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                    <button class="btn btn-sm btn-outline" onclick="openProjectHistory(${project.id})" title="Version history">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <button class="btn btn-sm ${isPublic ? 'btn-warning' : 'btn-success'}" 
+                            onclick="toggleProjectVisibility(${project.id})">
+                        <i class="fas fa-${isPublic ? 'eye-slash' : 'globe'}"></i>
+                        ${isPublic ? 'Make Private' : 'Make Public'}
+                    </button>
+                </div>
+                <button class="btn btn-sm btn-danger" onclick="deleteProject(${project.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+        
+        grid.appendChild(card);
+    });
+}
+
+function refreshMyProjects() {
+    loadMyProjects();
+    showToast('Projects list refreshed', 'success');
+}
+
+function getTimeAgo(date) {
+    const now = new Date();
+    const diff = now - date;
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+    
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (hours < 24) return `${hours}h ago`;
+    if (days < 30) return `${days}d ago`;
+    return date.toLocaleDateString();
+}
+
+function loadProjectIntoEditor(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project || !mainEditor) return;
+    if (project.userId !== currentUser.id) {
+        showToast('You can only edit your own projects. Fork it instead.', 'warning');
+        return;
+    }
+
+    stashWorkspace();
+    setWorkspaceFiles(project.files);
+    currentProjectId = project.id;
+    markWorkspaceSaved();
+    showSection('projects');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    showToast(`Loaded "${project.name}" into the editor`, 'info');
+    
+    const draft = findRecoverableDraft(project.id);
+    if (draft) offerDraftRecovery(draft);
+}
+
+function toggleProjectVisibility(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project || project.userId !== currentUser.id) return;
+
+    project.visibility = project.visibility === 'public' ? 'private' : 'public';
+    project.updatedAt = new Date().toISOString();
+    saveAppData('projects');
+
+    showToast(`Project is now ${project.visibility}`, 'success');
+    logSystem('PROJECT_VISIBILITY', `Set ${project.name} to ${project.visibility}`, currentUser.id);
+    loadMyProjects();
+}
+
+function deleteProject(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    if (project.userId !== currentUser.id && !requirePermission('projects.moderate')) return;
+    if (!confirm(`Delete project "${project.name}"? This action cannot be undone.`)) return;
+
+    appData.projects = appData.projects.filter(p => p.id !== projectId);
+    appData.projectVersions = appData.projectVersions.filter(v => v.projectId !== projectId);
+    appData.drafts = appData.drafts.filter(d => d.projectId !== projectId);
+    if (currentProjectId === projectId) {
+        // Whatever is still open in the playground becomes an unsaved new project
+        currentProjectId = null;
+        draftPending = workspaceDirty;
+        updatePlaygroundProjectLabel();
+    }
+    appData.users.forEach(user => {
+        if (Array.isArray(user.likedProjects)) {
+            user.likedProjects = user.likedProjects.filter(id => id !== projectId);
+        }
+    });
+    saveAppData('projects', 'projectVersions', 'drafts', 'users');
+    syncCurrentUser();
+
+    showToast('Project deleted', 'info');
+    logSystem('PROJECT_DELETE', `Deleted project: ${project.name}`, currentUser.id);
+    loadMyProjects();
+    refreshDashboard();
+}
+
+function viewProject(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) {
+        showToast('Project not found', 'error');
+        return;
+    }
+
+    const isOwner = project.userId === currentUser.id;
+    if (project.visibility === 'private' && !isOwner && !can('projects.moderate')) {
+        showToast('This project is private', 'warning');
+        return;
+    }
+
+    // Owners opening their own work don't inflate the view counter
+    if (!isOwner) {
+        project.views = (project.views || 0) + 1;
+        persistRecord('projects', project);
+    }
+
+    currentViewProject = project;
+    const author = appData.users.find(u => u.id === project.userId);
+    const original = project.forkedFrom ? appData.projects.find(p => p.id === project.forkedFrom) : null;
+    const forkedVersion = project.forkedFromVersionId
+        ? appData.projectVersions.find(v => v.id === project.forkedFromVersionId)
+        : null;
+
+    document.getElementById('viewProjectTitle').textContent = project.name;
+    document.getElementById('viewProjectAuthor').innerHTML = `
+        By: ${escapeHtml(author ? author.name : 'Unknown author')}
+        ${project.forkedFrom ? `
+        <span class="text-xs">
+            • <i class="fas fa-code-branch"></i>
+            ${original ? `Forked from <a href="#" onclick="viewProject(${original.id}); return false;">${escapeHtml(original.name)}</a>${forkedVersion ? ` v${forkedVersion.number}` : ''}` : 'Forked from a deleted project'}
+        </span>` : ''}
+    `;
+
+    document.getElementById('forkProjectBtn').style.display = isOwner ? 'none' : 'inline-flex';
+    updateLikeButton();
+
+    openModal('viewProjectModal');
+
+    // CodeMirror measures its container, so build it once the modal is visible
+    const textarea = document.getElementById('viewProjectEditor');
+    if (!viewProjectEditor && textarea && typeof CodeMirror !== 'undefined') {
+        viewProjectEditor = CodeMirror.fromTextArea(textarea, {
+            mode: 'htmlmixed',
+            theme: 'monokai',
+            lineNumbers: true,
+            lineWrapping: true,
+            readOnly: true
+        });
+    }
+    showViewProjectFile(ENTERPRISE_CONFIG.PROJECT.ENTRY_FILE);
+
+    refreshViewProjectPreview();
+
+    logSystem('PROJECT_VIEW', `Viewed project: ${project.name}`, currentUser.id);
+}
+
+function showViewProjectFile(name) {
+    if (!currentViewProject) return;
+    const files = currentViewProject.files || [];
+    const file = files.find(f => f.name === name) || files[0];
+    if (!file) return;
+    viewProjectFileName = file.name;
+    
+    document.getElementById('viewProjectFileTabs').innerHTML = files.map((f, index) => `
+        <div class="file-tab ${f.name === viewProjectFileName ? 'active' : ''}">
+            <button type="button" onclick="showViewProjectFile(currentViewProject.files[${index}].name)">
+                <i class="${getProjectFileIcon(f)}"></i> ${escapeHtml(f.name)}
+            </button>
+        </div>
+    `).join('');
+    
+    if (viewProjectEditor) {
+        const type = ENTERPRISE_CONFIG.PROJECT.TEXT_TYPES[getProjectFileExtension(file.name)];
+        viewProjectEditor.setOption('mode', type ? type.mode : 'text/plain');
+        viewProjectEditor.setValue(file.type === 'asset' ? `Image asset: ${file.name}` : file.content);
+        setTimeout(() => viewProjectEditor.refresh(), 50);
+    }
+}
+
+function refreshViewProjectPreview() {
+    if (!currentViewProject) return;
+
+    document.getElementById('viewProjectPreview').srcdoc = buildProjectDocument(currentViewProject.files);
+}
+
+function openViewProjectInNewTab() {
+    if (!currentViewProject) return;
+    openSandboxedWindow(buildProjectDocument(currentViewProject.files), currentViewProject.name);
+}
+
+function copyProjectCode() {
+    if (!currentViewProject) return;
+    const file = (currentViewProject.files || []).find(f => f.name === viewProjectFileName);
+    if (file && file.type === 'text') copyToClipboard(file.content);
+}
+
+function updateLikeButton() {
+    if (!currentViewProject) return;
+
+    const liked = (currentUser.likedProjects || []).includes(currentViewProject.id);
+    const likeBtn = document.getElementById('likeProjectBtn');
+    likeBtn.classList.toggle('btn-danger', liked);
+    likeBtn.classList.toggle('btn-outline', !liked);
+    likeBtn.disabled = currentViewProject.userId === currentUser.id;
+    document.getElementById('projectLikesCount').textContent = currentViewProject.likes || 0;
+}
+
+function likeCurrentProject() {
+    const project = currentViewProject;
+    if (!project) return;
+    if (project.userId === currentUser.id) {
+        showToast("You can't like your own project", 'warning');
+        return;
+    }
+
+    const user = appData.users.find(u => u.id === currentUser.id);
+    if (!user) return;
+    user.likedProjects = user.likedProjects || [];
+
+    const alreadyLiked = user.likedProjects.includes(project.id);
+    if (alreadyLiked) {
+        user.likedProjects = user.likedProjects.filter(id => id !== project.id);
+        project.likes = Math.max(0, (project.likes || 0) - 1);
+    } else {
+        user.likedProjects.push(project.id);
+        project.likes = (project.likes || 0) + 1;
+    }
+
+    saveAppData('projects', 'users');
+    syncCurrentUser();
+    updateLikeButton();
+
+    logSystem(alreadyLiked ? 'PROJECT_UNLIKE' : 'PROJECT_LIKE', `${alreadyLiked ? 'Unliked' : 'Liked'} project: ${project.name}`, currentUser.id);
+}
+
+function forkProject() {
+    const original = currentViewProject;
+    if (!original) return;
+    if (original.userId === currentUser.id) {
+        showToast('This project is already yours', 'info');
+        return;
+    }
+
+    const sourceVersion = getLatestProjectVersion(original.id);
+    const fork = {
+        id: Date.now(),
+        userId: currentUser.id,
+        name: `${original.name} (Fork)`,
+        description: original.description,
+        files: (original.files || []).map(file => ({ ...file })),
+        visibility: 'private',
+        category: original.category,
+        tags: [...(original.tags || [])],
+        likes: 0,
+        views: 0,
+        forks: 0,
+        forkedFrom: original.id,
+        forkedFromVersionId: sourceVersion ? sourceVersion.id : null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+
+    original.forks = (original.forks || 0) + 1;
+    appData.projects.push(fork);
+    createProjectVersion(fork, `Forked from ${original.name}${sourceVersion ? ` v${sourceVersion.number}` : ''}`);
+    saveAppData('projects', 'projectVersions');
+
+    closeModal('viewProjectModal');
+    showToast(`Forked "${original.name}" into your projects`, 'success');
+    logSystem('PROJECT_FORK', `Forked project: ${original.name}`, currentUser.id);
+
+    showSection('projects');
+    loadProjectIntoEditor(fork.id);
+}
+
+// Keep the session copy of the signed-in user in step with appData
+function syncCurrentUser() {
+    if (!currentUser) return;
+    const stored = appData.users.find(u => u.id === currentUser.id);
+    if (!stored) return;
+    currentUser = toSessionUser(stored);
+    sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
+}
+
+// Assignments: lecturers publish work per course, students submit playground snapshots
+// Courses the user takes as a student
+function getEnrolledCourses(user = currentUser) {
+    const courseIds = getUserEnrollments(user.id, ['student']).map(e => e.courseId);
+    return appData.courses.filter(c => courseIds.includes(c.id));
+}
+
+function getManagedAssignmentCourses() {
+    return appData.courses.filter(c => can('assignments.manage', { courseId: c.id }));
+}
+
+// Latest submission of a user for an assignment
+function getLatestSubmission(assignmentId, userId) {
+    return appData.submissions
+        .filter(s => s.assignmentId === assignmentId && s.userId === userId)
+        .sort((a, b) => b.attempt - a.attempt)[0] || null;
+}
+
+function formatDueDate(dueAt) {
+    const due = new Date(dueAt);
+    return `${due.toLocaleDateString()} ${due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function loadAssignments() {
+    const enrolled = getEnrolledCourses();
+    const managed = getManagedAssignmentCourses();
+    
+    document.getElementById('myAssignmentsPanel').classList.toggle('hidden', !enrolled.length);
+    document.getElementById('manageAssignmentsPanel').classList.toggle('hidden', !managed.length);
+    
+    if (enrolled.length) renderMyAssignments(enrolled);
+    if (managed.length) {
+        const courseSelect = document.getElementById('assignmentCourseFilter');
+        const selected = courseSelect.value;
+        courseSelect.innerHTML = managed.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+        if (managed.some(c => String(c.id) === selected)) courseSelect.value = selected;
+        renderManagedAssignments();
+    }
+}
+
+function renderMyAssignments(courses) {
+    const container = document.getElementById('myAssignmentsList');
+    const courseIds = courses.map(c => c.id);
+    const assignments = appData.assignments
+        .filter(a => courseIds.includes(a.courseId))
+        .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    
+    if (!assignments.length) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-tasks"></i>
+                <h3>No assignments yet</h3>
+                <p>Assignments from your courses will appear here.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = assignments.map(assignment => {
+        const course = appData.courses.find(c => c.id === assignment.courseId);
+        const submission = getLatestSubmission(assignment.id, currentUser.id);
+        const overdue = !submission && new Date() > new Date(assignment.dueAt);
+        const statusBadge = submission
+            ? `<span class="badge ${submission.late ? 'badge-warning' : 'badge-success'}">${submission.late ? 'Submitted late' : 'Submitted'}</span>`
+            : overdue ? '<span class="badge badge-danger">Overdue</span>' : '<span class="badge badge-gray">Not submitted</span>';
+        
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <div>
+                        <div class="badge badge-primary mb-2">${course ? course.code : ''}</div>
+                        <div class="card-title">${escapeHtml(assignment.title)}</div>
+                        <div class="card-subtitle">Due ${formatDueDate(assignment.dueAt)} • ${assignment.points} pts</div>
+                    </div>
+                    ${statusBadge}
+                </div>
+                <div class="card-body">
+                    <p class="text-sm text-gray-600">${escapeHtml(assignment.description)}</p>
+                    ${submission ? `<p class="text-xs text-gray mt-2">Attempt ${submission.attempt} submitted ${new Date(submission.submittedAt).toLocaleString()}</p>` : ''}
+                    ${submission && submission.grading ? `<p class="text-sm font-bold mt-2">Auto-graded: ${submission.grading.score}/${submission.grading.maxScore} pts (${submission.grading.passed}/${submission.grading.total} tests passed)</p>` : ''}
+                </div>
+                <div class="card-footer">
+                    <button class="btn btn-sm btn-outline" onclick="startAssignment(${assignment.id})">
+                        <i class="fas fa-code"></i> Open in Playground
+                    </button>
+                    <button class="btn btn-sm btn-primary" onclick="openSubmissionModal(${assignment.id})">
+                        <i class="fas fa-upload"></i> ${submission ? 'Resubmit' : 'Submit'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderManagedAssignments() {
+    const courseId = Number(document.getElementById('assignmentCourseFilter').value);
+    const tbody = document.getElementById('manageAssignmentsTable');
+    const assignments = appData.assignments
+        .filter(a => a.courseId === courseId)
+        .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    const students = getCourseStudents(appData.courses.find(c => c.id === courseId) || {});
+    
+    tbody.innerHTML = assignments.map(assignment => {
+        const submitted = students.filter(student => getLatestSubmission(assignment.id, student.id)).length;
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(assignment.title)}</div>
+                    <div class="text-xs text-gray line-clamp-2">${escapeHtml(assignment.description)}</div>
+                </td>
+                <td>${formatDueDate(assignment.dueAt)}</td>
+                <td>${assignment.points}</td>
+                <td>${(assignment.tests || []).length}</td>
+                <td>${submitted}/${students.length}</td>
+                <td>
+                    <div class="flex gap-2">
+                        <button class="btn btn-sm btn-outline" onclick="editAssignment(${assignment.id})" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        ${(assignment.tests || []).length ? `
+                            <button class="btn btn-sm btn-outline" onclick="gradeAssignmentSubmissions(${assignment.id})" title="Run tests on all latest submissions">
+                                <i class="fas fa-vial"></i>
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-sm btn-danger" onclick="deleteAssignment(${assignment.id})" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('') || `<tr><td colspan="6" class="text-center py-6 text-gray">No assignments for this course yet.</td></tr>`;
+    
+    renderSubmissionInbox(courseId);
+}
+
+// Course inbox: the latest attempt of every student per assignment, newest first
+function renderSubmissionInbox(courseId) {
+    const tbody = document.getElementById('submissionInboxTable');
+    const submissions = getLatestCourseSubmissions(courseId).sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    
+    tbody.innerHTML = submissions.map(submission => {
+        const student = appData.users.find(u => u.id === submission.userId);
+        const assignment = appData.assignments.find(a => a.id === submission.assignmentId);
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(student ? student.name : 'Unknown')}</div>
+                    <div class="text-xs text-gray">${escapeHtml(submission.projectName || 'Playground snapshot')}</div>
+                </td>
+                <td>${escapeHtml(assignment ? assignment.title : 'Deleted assignment')}</td>
+                <td>
+                    <div class="text-sm">${new Date(submission.submittedAt).toLocaleString()}</div>
+                    <div class="text-xs text-gray">Attempt ${submission.attempt}</div>
+                </td>
+                <td>
+                    ${submission.late
+                        ? `<span class="badge badge-warning"><i class="fas fa-clock"></i> Late ${formatLateness(submission.lateMinutes)}</span>`
+                        : '<span class="badge badge-success">On time</span>'}
+                </td>
+                <td>${submission.grading ? `${submission.grading.score}/${submission.grading.maxScore}` : '<span class="text-gray">—</span>'}</td>
+                <td>
+                    <button class="btn btn-sm btn-outline" onclick="viewSubmission(${submission.id})">
+                        <i class="fas fa-eye"></i> View
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('') || `<tr><td colspan="6" class="text-center py-6 text-gray">No submissions yet.</td></tr>`;
+}
+
+// Latest attempt of every student for a course, keyed by assignment and student
+function getLatestCourseSubmissions(courseId) {
+    const latest = new Map();
+    appData.submissions
+        .filter(s => s.courseId === courseId)
+        .forEach(submission => {
+            const key = `${submission.assignmentId}:${submission.userId}`;
+            if (!latest.has(key) || latest.get(key).attempt < submission.attempt) latest.set(key, submission);
+        });
+    return [...latest.values()];
+}
+
+function formatLateness(minutes) {
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+function openAssignmentModal() {
+    const courses = getManagedAssignmentCourses();
+    if (!courses.length) {
+        requirePermission('assignments.manage');
+        return;
+    }
+    document.getElementById('assignmentForm').reset();
+    document.getElementById('assignmentId').value = '';
+    populateAssignmentCourseSelect(courses);
+    document.getElementById('assignmentCourseInput').value = document.getElementById('assignmentCourseFilter').value;
+    const due = new Date(Date.now() + 7 * 86400000);
+    due.setHours(23, 59, 0, 0);
+    document.getElementById('assignmentDueInput').value = `${formatLocalDate(due)}T23:59`;
+    document.getElementById('assignmentPointsInput').value = 100;
+    renderAssignmentTestRows([]);
+    openModal('assignmentModal');
+}
+
+function populateAssignmentCourseSelect(courses) {
+    document.getElementById('assignmentCourseInput').innerHTML =
+        courses.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+}
+
+function editAssignment(assignmentId) {
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment || !requirePermission('assignments.manage', { courseId: assignment.courseId })) return;
+    
+    const due = new Date(assignment.dueAt);
+    populateAssignmentCourseSelect(getManagedAssignmentCourses());
+    document.getElementById('assignmentId').value = assignment.id;
+    document.getElementById('assignmentTitleInput').value = assignment.title;
+    document.getElementById('assignmentCourseInput').value = assignment.courseId;
+    document.getElementById('assignmentDescriptionInput').value = assignment.description;
+    document.getElementById('assignmentStarterInput').value = assignment.starterCode || '';
+    document.getElementById('assignmentDueInput').value =
+        `${formatLocalDate(due)}T${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`;
+    document.getElementById('assignmentPointsInput').value = assignment.points;
+    renderAssignmentTestRows(assignment.tests || []);
+    openModal('assignmentModal');
+}
+
+function handleSaveAssignment(e) {
+    e.preventDefault();
+    const assignmentId = Number(document.getElementById('assignmentId').value);
+    const courseId = Number(document.getElementById('assignmentCourseInput').value);
+    const title = document.getElementById('assignmentTitleInput').value.trim();
+    const description = document.getElementById('assignmentDescriptionInput').value.trim();
+    const starterCode = document.getElementById('assignmentStarterInput').value;
+    const dueValue = document.getElementById('assignmentDueInput').value;
+    const points = Number(document.getElementById('assignmentPointsInput').value);
+    
+    if (!requirePermission('assignments.manage', { courseId })) return;
+    if (!title || !description || !dueValue) {
+        showToast('Please fill all required assignment fields', 'error');
+        return;
+    }
+    if (!(points > 0)) {
+        showToast('Points must be greater than zero', 'error');
+        return;
+    }
+    const tests = readAssignmentTestRows();
+    if (!tests) return;
+    
+    const dueAt = new Date(dueValue).toISOString();
+    const now = new Date().toISOString();
+    
+    if (assignmentId) {
+        const assignment = appData.assignments.find(a => a.id === assignmentId);
+        if (!assignment || !requirePermission('assignments.manage', { courseId: assignment.courseId })) return;
+        Object.assign(assignment, { courseId, title, description, starterCode, dueAt, points, tests, updatedAt: now });
+        // Keep the inbox consistent if the assignment moved to another course
+        appData.submissions.forEach(s => { if (s.assignmentId === assignmentId) s.courseId = courseId; });
+        showToast('Assignment updated', 'success');
+        logSystem('ASSIGNMENT_UPDATE', `Updated assignment: ${title}`, currentUser.id);
+    } else {
+        appData.assignments.push({
+            id: Date.now(),
+            courseId,
+            title,
+            description,
+            starterCode,
+            dueAt,
+            points,
+            tests,
+            createdBy: currentUser.id,
+            createdAt: now,
+            updatedAt: now
+        });
+        showToast('Assignment created', 'success');
+        logSystem('ASSIGNMENT_CREATE', `Created assignment: ${title}`, currentUser.id);
+    }
+    
+    saveAppData('assignments', 'submissions');
+    closeModal('assignmentModal');
+    document.getElementById('assignmentCourseFilter').value = courseId;
+    loadAssignments();
+}
+
+function deleteAssignment(assignmentId) {
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment || !requirePermission('assignments.manage', { courseId: assignment.courseId })) return;
+    const count = appData.submissions.filter(s => s.assignmentId === assignmentId).length;
+    if (!confirm(`Delete "${assignment.title}"${count ? ` and its ${count} submission(s)` : ''}?`)) return;
+    
+    appData.assignments = appData.assignments.filter(a => a.id !== assignmentId);
+    appData.submissions = appData.submissions.filter(s => s.assignmentId !== assignmentId);
+    saveAppData('assignments', 'submissions');
+    showToast('Assignment deleted', 'info');
+    logSystem('ASSIGNMENT_DELETE', `Deleted assignment: ${assignment.title}`, currentUser.id);
+    loadAssignments();
+}
+
+function startAssignment(assignmentId) {
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment || !mainEditor) return;
+    // A new project has a single draft slot, so its unsaved files would be overwritten
+    if (workspaceDirty && !currentProjectId &&
+        !confirm('Replace your unsaved new project in the playground with the starter code?')) return;
+    
+    stashWorkspace();
+    setWorkspaceFiles(createProjectFiles(assignment.starterCode || ''));
+    currentProjectId = null;
+    markWorkspaceSaved();
+    showSection('projects');
+    showToast(`Starter code for "${assignment.title}" loaded. Submit from Assignments when you are done.`, 'info');
+}
+
+function openSubmissionModal(assignmentId) {
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment) return;
+    if (!getEnrolledCourses().some(c => c.id === assignment.courseId)) {
+        showToast('You are not enrolled in this course', 'error');
+        return;
+    }
+    
+    const late = new Date() > new Date(assignment.dueAt);
+    document.getElementById('submissionForm').reset();
+    document.getElementById('submissionAssignmentId').value = assignment.id;
+    document.getElementById('submissionAssignmentTitle').textContent =
+        `${assignment.title} • due ${formatDueDate(assignment.dueAt)}`;
+    document.getElementById('submissionLateWarning').classList.toggle('hidden', !late);
+    
+    const myProjects = appData.projects
+        .filter(p => p.userId === currentUser.id)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    document.getElementById('submissionSourceInput').innerHTML =
+        `<option value="">Current playground code</option>` +
+        myProjects.map(p => `<option value="${p.id}">Project: ${escapeHtml(p.name)}</option>`).join('');
+    
+    openModal('submissionModal');
+}
+
+function handleSubmitAssignment(e) {
+    e.preventDefault();
+    const assignmentId = Number(document.getElementById('submissionAssignmentId').value);
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment) return;
+    if (!getEnrolledCourses().some(c => c.id === assignment.courseId)) {
+        showToast('You are not enrolled in this course', 'error');
+        return;
+    }
+    
+    const projectId = Number(document.getElementById('submissionSourceInput').value) || null;
+    const project = projectId ? appData.projects.find(p => p.id === projectId && p.userId === currentUser.id) : null;
+    const files = project ? project.files.map(file => ({ ...file })) : getWorkspaceFiles();
+    // The stored page has other project files inlined, so the grader and viewer need nothing else
+    const code = buildProjectDocument(files);
+    const note = document.getElementById('submissionNoteInput').value.trim();
+    
+    if (!code || !code.trim()) {
+        showToast('There is no code to submit', 'error');
+        return;
+    }
+    
+    const submittedAt = new Date();
+    const lateMinutes = Math.max(0, Math.ceil((submittedAt - new Date(assignment.dueAt)) / 60000));
+    const previous = getLatestSubmission(assignment.id, currentUser.id);
+    const submission = {
+        id: Date.now(),
+        assignmentId: assignment.id,
+        courseId: assignment.courseId,
+        userId: currentUser.id,
+        code,
+        files,
+        projectId: project ? project.id : null,
+        projectName: project ? project.name : null,
+        note,
+        attempt: previous ? previous.attempt + 1 : 1,
+        submittedAt: submittedAt.toISOString(),
+        late: lateMinutes > 0,
+        lateMinutes
+    };
+    
+    appData.submissions.push(submission);
+    saveAppData('submissions');
+    closeModal('submissionModal');
+    showToast(submission.late
+        ? `Submitted ${formatLateness(lateMinutes)} after the deadline. Flagged as late.`
+        : 'Assignment submitted', submission.late ? 'warning' : 'success');
+    logSystem('ASSIGNMENT_SUBMIT',
+        `Submitted "${assignment.title}" (attempt ${submission.attempt}${submission.late ? ', late' : ''})`, currentUser.id);
+    loadAssignments();
+    
+    if ((assignment.tests || []).length) {
+        gradeSubmission(submission).then(grading => {
+            if (!grading) return;
+            showToast(`Auto-graded: ${grading.score}/${grading.maxScore} points`, 'info');
+            if (document.getElementById('assignments').classList.contains('active')) loadAssignments();
+        });
+    }
+}
+
+function viewSubmission(submissionId) {
+    const submission = appData.submissions.find(s => s.id === submissionId);
+    if (!submission) return;
+    const isOwner = submission.userId === currentUser.id;
+    if (!isOwner && !requirePermission('assignments.manage', { courseId: submission.courseId })) return;
+    
+    const student = appData.users.find(u => u.id === submission.userId);
+    const assignment = appData.assignments.find(a => a.id === submission.assignmentId);
+    document.getElementById('submissionViewTitle').textContent =
+        `${student ? student.name : 'Unknown'} • ${assignment ? assignment.title : 'Deleted assignment'}`;
+    document.getElementById('submissionViewMeta').textContent =
+        `Attempt ${submission.attempt} • ${new Date(submission.submittedAt).toLocaleString()}` +
+        (submission.late ? ` • Late by ${formatLateness(submission.lateMinutes)}` : '');
+    document.getElementById('submissionViewNote').textContent = submission.note || '';
+    document.getElementById('submissionViewCode').innerHTML = submission.files
+        ? submission.files.map(file => `
+            <div class="text-xs text-gray mt-2">${escapeHtml(file.name)}</div>
+            ${file.type === 'asset' ? '' : `<pre><code>${escapeHtml(file.content)}</code></pre>`}
+        `).join('')
+        : `<pre><code>${escapeHtml(submission.code)}</code></pre>`;
+    document.getElementById('submissionViewFrame').srcdoc = submission.code;
+    renderGradingReport(submission);
+    
+    openModal('submissionViewModal');
+    logSystem('SUBMISSION_VIEW', `Viewed submission ${submission.id}`, currentUser.id);
+}
+
+function renderGradingReport(submission) {
+    const container = document.getElementById('submissionViewTests');
+    const assignment = appData.assignments.find(a => a.id === submission.assignmentId);
+    const hasTests = assignment && (assignment.tests || []).length;
+    const grading = submission.grading;
+    
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-2">
+            <strong>${grading ? `Automated score: ${grading.score}/${grading.maxScore} (${grading.passed}/${grading.total} tests passed)` : 'Not graded yet'}</strong>
+            ${hasTests ? `
+                <button class="btn btn-sm btn-outline" onclick="regradeSubmission(${submission.id})">
+                    <i class="fas fa-vial"></i> ${grading ? 'Re-run Tests' : 'Run Tests'}
+                </button>
+            ` : ''}
+        </div>
+        ${grading ? grading.results.map(result => `
+            <div class="grading-result ${result.passed ? 'passed' : 'failed'}">
+                <i class="fas ${result.passed ? 'fa-check-circle text-success' : 'fa-times-circle text-danger'}"></i>
+                <span class="font-bold">${escapeHtml(result.name)}</span>
+                <span class="text-xs text-gray">weight ${result.weight} • ${result.durationMs} ms</span>
+                ${result.message ? `<div class="text-xs text-danger">${escapeHtml(result.message)}</div>` : ''}
+            </div>
+        `).join('') : ''}
+        ${grading ? `<div class="text-xs text-gray mt-2">Graded ${new Date(grading.gradedAt).toLocaleString()}</div>` : ''}
+    `;
+}
+
+function renderAssignmentTestRows(tests) {
+    const list = document.getElementById('assignmentTestList');
+    list.innerHTML = '';
+    tests.forEach(test => addAssignmentTestRow(test));
+}
+
+function addAssignmentTestRow(test = {}) {
+    const list = document.getElementById('assignmentTestList');
+    const row = document.createElement('div');
+    row.className = 'assignment-test-row';
+    row.dataset.id = test.id || '';
+    row.innerHTML = `
+        <div class="flex gap-2">
+            <input type="text" class="form-input" data-field="name" placeholder="Button click changes text" value="${escapeHtml(test.name || '')}">
+            <input type="number" class="form-input test-weight" data-field="weight" min="1" title="Weight" value="${test.weight || 1}">
+            <button type="button" class="btn btn-sm btn-outline" onclick="this.closest('.assignment-test-row').remove()" title="Remove test">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+        <textarea class="form-textarea code-textarea" data-field="script" rows="4"
+                  placeholder="assert(document.querySelector('h1'), 'Add an <h1> heading');">${escapeHtml(test.script || '')}</textarea>
+    `;
+    list.appendChild(row);
+}
+
+// Returns the tests from the assignment form, or null after reporting an invalid row
+function readAssignmentTestRows() {
+    const rows = document.querySelectorAll('#assignmentTestList .assignment-test-row');
+    const tests = [];
+    let nextId = Math.max(0, ...[...rows].map(row => Number(row.dataset.id) || 0)) + 1;
+    for (const row of rows) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+        const name = value('name').trim();
+        const script = value('script').trim();
+        const weight = Number(value('weight'));
+        if (!name || !script) {
+            showToast('Each test needs a name and a script', 'error');
+            return null;
+        }
+        if (!(weight > 0)) {
+            showToast(`Test "${name}" needs a weight greater than zero`, 'error');
+            return null;
+        }
+        try {
+            compileTestScript(script);
+        } catch (error) {
+            showToast(`Test "${name}" has a syntax error: ${error.message}`, 'error');
+            return null;
+        }
+        tests.push({ id: Number(row.dataset.id) || nextId++, name, weight, script });
+    }
+    return tests;
+}
+
+// Test scripts are async function bodies with document, window, assert and wait in scope
+function compileTestScript(script) {
+    return new Function('document', 'window', 'assert', 'wait', `return (async () => {\n${script}\n})();`);
+}
+
+// Runs before the submission, so it holds the only references the tests rely on: a submission
+// that replaces Function, Promise, setTimeout or the messaging APIs afterwards changes nothing.
+// The tests never appear in the page. The parent transfers a MessagePort after load, the tests
+// arrive over it, and each result goes back tagged with `key`, which only this script knows.
+function buildGraderPrologue(key) {
+    return `<script>
+(function () {
+    var key = ${JSON.stringify(key)};
+    var TEST_TIMEOUT = ${ENTERPRISE_CONFIG.GRADING.TEST_TIMEOUT};
+    var FunctionCtor = Function;
+    var PromiseCtor = Promise;
+    var ErrorCtor = Error;
+    // Methods are bound to Function.prototype.call now: looking up .call or .apply once the
+    // submission has run would hand its replacement the port, the key and the tests
+    var uncurry = Function.prototype.bind.bind(Function.prototype.call);
+    var then = uncurry(Promise.prototype.then);
+    var schedule = setTimeout.bind(window);
+    var now = performance.now.bind(performance);
+    var round = Math.round;
+    var toText = String;
+    var parentWindow = parent;
+    var listen = uncurry(EventTarget.prototype.addEventListener);
+    var unlisten = uncurry(EventTarget.prototype.removeEventListener);
+    var stopEvent = uncurry(Event.prototype.stopImmediatePropagation);
+    var getData = uncurry(Object.getOwnPropertyDescriptor(MessageEvent.prototype, 'data').get);
+    var getPorts = uncurry(Object.getOwnPropertyDescriptor(MessageEvent.prototype, 'ports').get);
+    var getSource = uncurry(Object.getOwnPropertyDescriptor(MessageEvent.prototype, 'source').get);
+    var setPortHandler = uncurry(Object.getOwnPropertyDescriptor(MessagePort.prototype, 'onmessage').set);
+    var portPost = uncurry(MessagePort.prototype.postMessage);
+    document.currentScript.remove();
+    
+    function assert(condition, message) {
+        if (!condition) throw new ErrorCtor(message || 'Assertion failed');
+    }
+    function wait(ms) {
+        return new PromiseCtor(function (resolve) { schedule(resolve, ms); });
+    }
+    function describe(error) {
+        return toText(error && error.message || error);
+    }
+    // No await or Promise.race here: both look up properties the submission can redefine
+    function settle(outcome, onPass, onFail) {
+        var done = false;
+        schedule(function () {
+            if (!done) { done = true; onFail('Timed out after ' + TEST_TIMEOUT + ' ms'); }
+        }, TEST_TIMEOUT);
+        then(outcome, function () {
+            if (!done) { done = true; onPass(); }
+        }, function (error) {
+            if (!done) { done = true; onFail(describe(error)); }
+        });
+    }
+    function run(port, tests) {
+        var index = 0;
+        function next() {
+            if (index >= tests.length) {
+                portPost(port, { key: key, done: true });
+                return;
+            }
+            var test = tests[index++];
+            var started = now();
+            var report = function (passed, message) {
+                portPost(port, { key: key, id: test.id, passed: passed, message: message, durationMs: round(now() - started) });
+                next();
+            };
+            var outcome;
+            try {
+                outcome = new FunctionCtor('document', 'window', 'assert', 'wait',
+                    'return (async () => {\\n' + test.script + '\\n})();')(document, window, assert, wait);
+            } catch (error) {
+                report(false, describe(error));
+                return;
+            }
+            settle(outcome, function () { report(true, ''); }, function (message) { report(false, message); });
+        }
+        next();
+    }
+    // Registered first and in the capture phase, so no listener the submission adds sees the port
+    function receivePort(event) {
+        var data = getData(event);
+        if (getSource(event) !== parentWindow || !data || data.source !== 'ferretto-grader') return;
+        stopEvent(event);
+        unlisten(window, 'message', receivePort, true);
+        var port = getPorts(event)[0];
+        setPortHandler(port, function (message) {
+            setPortHandler(port, null);
+            run(port, getData(message).tests);
+        });
+    }
+    listen(window, 'message', receivePort, true);
+})();
+<\/script>`;
+}
+
+// Nothing can run before a doctype, so the prologue goes right after one and otherwise first
+function buildGraderDocument(code, key) {
+    const prologue = buildGraderPrologue(key);
+    const doctype = /^\s*(?:<!--[\s\S]*?-->\s*)*<!doctype[^>]*>/i.exec(code);
+    if (!doctype) return prologue + code;
+    return code.slice(0, doctype[0].length) + prologue + code.slice(doctype[0].length);
+}
+
+// Runs the tests in a hidden iframe sandboxed like the playground preview, so submitted code
+// cannot reach the app's storage
+function runAssignmentTests(code, tests) {
+    return new Promise(resolve => {
+        const key = createFrameToken();
+        const channel = new MessageChannel();
+        const received = [];
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.className = 'grader-frame';
+        
+        let timer = null;
+        let started = false;
+        const finish = () => {
+            clearTimeout(timer);
+            channel.port1.close();
+            frame.remove();
+            resolve(tests.map(test => {
+                const result = received.find(r => r.id === test.id);
+                return {
+                    id: test.id,
+                    name: test.name,
+                    weight: test.weight,
+                    passed: Boolean(result && result.passed),
+                    message: result ? result.message : 'Did not run before the grading time limit',
+                    durationMs: result ? result.durationMs : 0
+                };
+            }));
+        };
+        channel.port1.onmessage = (event) => {
+            const data = event.data;
+            if (!data || data.key !== key) return;
+            if (data.done) {
+                finish();
+                return;
+            }
+            if (received.some(r => r.id === data.id)) return;
+            received.push({
+                id: data.id,
+                passed: data.passed === true,
+                message: String(data.message || ''),
+                durationMs: Number(data.durationMs) || 0
+            });
+        };
+        // Only the first page loaded in the frame gets the port. A submission that navigates
+        // away hands it to a page without the key, whose results are ignored.
+        frame.addEventListener('load', () => {
+            if (started) return;
+            started = true;
+            frame.contentWindow.postMessage({ source: 'ferretto-grader' }, '*', [channel.port2]);
+            channel.port1.postMessage({ tests: tests.map(test => ({ id: test.id, script: test.script })) });
+        });
+        
+        timer = setTimeout(finish, ENTERPRISE_CONFIG.GRADING.RUN_TIMEOUT);
+        frame.srcdoc = buildGraderDocument(code, key);
+        document.body.appendChild(frame);
+    });
+}
+
+async function gradeSubmission(submission) {
+    const assignment = appData.assignments.find(a => a.id === submission.assignmentId);
+    if (!assignment || !(assignment.tests || []).length) return null;
+    
+    const results = await runAssignmentTests(submission.code, assignment.tests);
+    const totalWeight = results.reduce((sum, r) => sum + r.weight, 0);
+    const passedWeight = results.filter(r => r.passed).reduce((sum, r) => sum + r.weight, 0);
+    const grading = {
+        results,
+        passed: results.filter(r => r.passed).length,
+        total: results.length,
+        score: Math.round(assignment.points * passedWeight / totalWeight * 100) / 100,
+        maxScore: assignment.points,
+        gradedAt: new Date().toISOString()
+    };
+    
+    submission.grading = grading;
+    submission.score = grading.score;
+    saveAppData('submissions');
+    logSystem('SUBMISSION_GRADED',
+        `Graded submission ${submission.id} for "${assignment.title}": ${grading.score}/${grading.maxScore}`, currentUser ? currentUser.id : null);
+    return grading;
+}
+
+async function regradeSubmission(submissionId) {
+    const submission = appData.submissions.find(s => s.id === submissionId);
+    if (!submission || !requirePermission('assignments.manage', { courseId: submission.courseId })) return;
+    
+    document.getElementById('submissionViewTests').innerHTML =
+        '<div class="text-sm text-gray"><i class="fas fa-spinner fa-spin"></i> Running tests...</div>';
+    await gradeSubmission(submission);
+    renderGradingReport(submission);
+    renderSubmissionInbox(submission.courseId);
+}
+
+// Grades every student's latest attempt one at a time to keep a single grader frame alive
+async function gradeAssignmentSubmissions(assignmentId) {
+    const assignment = appData.assignments.find(a => a.id === assignmentId);
+    if (!assignment || !requirePermission('assignments.manage', { courseId: assignment.courseId })) return;
+    
+    const submissions = getLatestCourseSubmissions(assignment.courseId).filter(s => s.assignmentId === assignmentId);
+    if (!submissions.length) {
+        showToast('No submissions to grade yet', 'info');
+        return;
+    }
+    
+    showToast(`Grading ${submissions.length} submission(s)...`, 'info');
+    for (const submission of submissions) {
+        await gradeSubmission(submission);
+    }
+    
+    const average = submissions.reduce((sum, s) => sum + s.grading.score, 0) / submissions.length;
+    showToast(`Graded ${submissions.length} submission(s). Average ${Math.round(average * 10) / 10}/${assignment.points}`, 'success');
+    renderManagedAssignments();
+}
+
+// Gradebook: running grades per course from weighted categories
+function getGradeScale(percent) {
+    return ENTERPRISE_CONFIG.GRADES.SCALE.find(step => percent >= step.min);
+}
+
+function formatGradePercent(percent) {
+    return percent === null ? '-' : `${Math.round(percent * 10) / 10}%`;
+}
+
+// Scored items of one category for a student. Ungraded and not-yet-due work is left out
+// so the result is a running grade; missing work past its due date counts as zero.
+function getGradeItems(course, category, userId) {
+    const items = [];
+    
+    if (category.source === 'assignments') {
+        appData.assignments.filter(a => a.courseId === course.id).forEach(assignment => {
+            const submission = getLatestSubmission(assignment.id, userId);
+            if (submission && typeof submission.score === 'number') {
+                items.push({ title: assignment.title, score: submission.score, maxScore: assignment.points, source: 'assignment' });
+            } else if (!submission && new Date() > new Date(assignment.dueAt)) {
+                items.push({ title: assignment.title, score: 0, maxScore: assignment.points, source: 'missing' });
+            }
+        });
+    } else if (category.source === 'quizzes') {
+        appData.quizzes.filter(q => q.courseId === course.id && q.published).forEach(quiz => {
+            const best = getBestQuizAttempt(quiz.id, userId);
+            if (best) {
+                items.push({ title: quiz.title, score: best.score, maxScore: best.maxScore, source: 'quiz' });
+            } else if (quiz.dueAt && new Date() > new Date(quiz.dueAt) && !hasSubmittedQuizAttempt(quiz.id, userId)) {
+                items.push({ title: quiz.title, score: 0, maxScore: getQuizMaxScore(quiz), source: 'missing' });
+            }
+        });
+    } else if (category.source === 'attendance') {
+        const records = appData.attendance.filter(a => a.userId === userId && a.courseId == course.id && a.status !== 'Excused');
+        if (records.length) {
+            items.push({ title: 'Attendance', score: records.filter(isAttended).length, maxScore: records.length, source: 'attendance' });
+        }
+    }
+    
+    appData.grades
+        .filter(g => g.courseId === course.id && g.userId === userId && g.categoryId === category.id)
+        .forEach(grade => items.push({ ...grade, source: grade.source || 'manual' }));
+    
+    return items;
+}
+
+// Categories without scored items are left out and the remaining weights rescaled
+function computeCourseGrade(course, userId) {
+    const categories = (course.gradeCategories || []).map(category => {
+        const items = getGradeItems(course, category, userId);
+        const earned = items.reduce((sum, item) => sum + item.score, 0);
+        const possible = items.reduce((sum, item) => sum + item.maxScore, 0);
+        return { category, items, earned, possible, percent: possible > 0 ? earned / possible * 100 : null };
+    });
+    const graded = categories.filter(c => c.percent !== null && c.category.weight > 0);
+    const totalWeight = graded.reduce((sum, c) => sum + c.category.weight, 0);
+    const percent = totalWeight ? graded.reduce((sum, c) => sum + c.percent * c.category.weight, 0) / totalWeight : null;
+    const scale = percent === null ? null : getGradeScale(percent);
+    
+    return { categories, percent, letter: scale ? scale.letter : '-', points: scale ? scale.points : null };
+}
+
+// Credit-weighted GPA over every enrolled course that has a grade
+function computeTranscript(user) {
+    const courses = getEnrolledCourses(user).map(course => ({ course, grade: computeCourseGrade(course, user.id) }));
+    const graded = courses.filter(c => c.grade.points !== null);
+    const credits = graded.reduce((sum, c) => sum + (c.course.credits || 0), 0);
+    const gpa = credits ? graded.reduce((sum, c) => sum + c.grade.points * (c.course.credits || 0), 0) / credits : 0;
+    return { courses, credits, gpa };
+}
+
+function loadTranscript() {
+    const transcript = computeTranscript(currentUser);
+    document.getElementById('transcriptGpa').textContent = transcript.credits ? transcript.gpa.toFixed(2) : '-';
+    document.getElementById('transcriptCredits').textContent = transcript.credits;
+    
+    document.getElementById('transcriptTable').innerHTML = transcript.courses.map(({ course, grade }) => `
+        <tr>
+            <td>
+                <div class="font-bold text-sm">${course.code}</div>
+                <div class="text-xs text-gray">${escapeHtml(course.name)}</div>
+            </td>
+            <td>${course.credits || 0}</td>
+            <td>
+                ${grade.categories.map(c => `
+                    <div class="text-xs">${escapeHtml(c.category.name)} (${c.category.weight}%): ${formatGradePercent(c.percent)}</div>
+                `).join('')}
+            </td>
+            <td class="font-bold">${formatGradePercent(grade.percent)}</td>
+            <td><span class="badge badge-primary">${grade.letter}</span></td>
+            <td>${grade.points === null ? '-' : grade.points.toFixed(1)}</td>
+        </tr>
+    `).join('') || `<tr><td colspan="6" class="text-center py-6 text-gray">You are not enrolled in any course yet.</td></tr>`;
+}
+
+function exportTranscriptCSV() {
+    const transcript = computeTranscript(currentUser);
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    let csv = 'Course Code,Course,Credits,Grade %,Letter,Grade Points\n';
+    transcript.courses.forEach(({ course, grade }) => {
+        csv += [
+            course.code,
+            course.name,
+            course.credits || 0,
+            grade.percent === null ? '' : grade.percent.toFixed(2),
+            grade.letter,
+            grade.points === null ? '' : grade.points.toFixed(1)
+        ].map(quote).join(',') + '\n';
+    });
+    csv += ['', 'GPA', transcript.credits, '', '', transcript.gpa.toFixed(2)].map(quote).join(',') + '\n';
+    
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `transcript_${sanitizeFileName(currentUser.username)}.csv`);
+    showToast('Transcript exported as CSV', 'success');
+    logSystem('EXPORT', 'Exported transcript', currentUser.id);
+}
+
+function loadGradebook() {
+    const courseSelect = document.getElementById('gradebookCourseSelect');
+    const courses = appData.courses.filter(c => can('grades.manage', { courseId: c.id }));
+    const selected = courseSelect.value;
+    
+    courseSelect.innerHTML = courses.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+    if (courses.some(c => String(c.id) === selected)) courseSelect.value = selected;
+    renderGradebook();
+}
+
+function getGradebookCourse() {
+    const courseId = document.getElementById('gradebookCourseSelect').value;
+    return appData.courses.find(c => String(c.id) === courseId) || null;
+}
+
+function renderGradebook() {
+    const course = getGradebookCourse();
+    const head = document.getElementById('gradebookHead');
+    const tbody = document.getElementById('gradebookTable');
+    if (!course) {
+        head.innerHTML = '';
+        tbody.innerHTML = `<tr><td class="text-center py-6 text-gray">No courses to grade.</td></tr>`;
+        return;
+    }
+    
+    const categories = course.gradeCategories || [];
+    head.innerHTML = `
+        <tr>
+            <th>Student</th>
+            ${categories.map(c => `<th>${escapeHtml(c.name)} <span class="text-xs text-gray">${c.weight}%</span></th>`).join('')}
+            <th>Running Grade</th>
+            <th>Letter</th>
+            <th>Actions</th>
+        </tr>
+    `;
+    
+    const students = getCourseStudents(course);
+    tbody.innerHTML = students.map(student => {
+        const grade = computeCourseGrade(course, student.id);
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(student.name)}</div>
+                    <div class="text-xs text-gray">@${escapeHtml(student.username)}</div>
+                </td>
+                ${grade.categories.map(c => `
+                    <td title="${c.items.length} scored item(s)">${formatGradePercent(c.percent)}</td>
+                `).join('')}
+                <td class="font-bold">${formatGradePercent(grade.percent)}</td>
+                <td><span class="badge badge-primary">${grade.letter}</span></td>
+                <td>
+                    <button class="btn btn-sm btn-outline" onclick="openGradeEntryModal(${student.id})" title="Add score">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('') || `<tr><td colspan="${categories.length + 4}" class="text-center py-6 text-gray">No students enrolled in this course.</td></tr>`;
+    
+    const manual = appData.grades.filter(g => g.courseId === course.id).length;
+    document.getElementById('gradebookSummary').textContent =
+        `${students.length} student(s) • ${manual} manual or imported score(s)`;
+}
+
+function openGradeCategoriesModal() {
+    const course = getGradebookCourse();
+    if (!course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    document.getElementById('gradeCategoriesCourse').textContent = `${course.code} - ${course.name}`;
+    const list = document.getElementById('gradeCategoryList');
+    list.innerHTML = '';
+    (course.gradeCategories || []).forEach(category => addGradeCategoryRow(category));
+    openModal('gradeCategoriesModal');
+}
+
+function addGradeCategoryRow(category = {}) {
+    const list = document.getElementById('gradeCategoryList');
+    const sources = {
+        manual: 'Manual & imported scores',
+        assignments: 'Assignment submissions',
+        quizzes: 'Quiz attempts',
+        attendance: 'Attendance rate'
+    };
+    const row = document.createElement('div');
+    row.className = 'grade-category-row';
+    row.dataset.id = category.id || '';
+    row.innerHTML = `
+        <input type="text" class="form-input" data-field="name" placeholder="Final Exam" value="${escapeHtml(category.name || '')}">
+        <select class="form-select" data-field="source">
+            ${Object.entries(sources).map(([value, label]) => `<option value="${value}" ${value === (category.source || 'manual') ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <input type="number" class="form-input" data-field="weight" min="0" max="100" title="Weight (%)" value="${category.weight ?? 0}">
+        <button type="button" class="btn btn-sm btn-outline" onclick="this.parentElement.remove()" title="Remove category">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    list.appendChild(row);
+}
+
+function handleSaveGradeCategories(e) {
+    e.preventDefault();
+    const course = getGradebookCourse();
+    if (!course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    
+    const rows = document.querySelectorAll('#gradeCategoryList .grade-category-row');
+    const categories = [];
+    let nextId = Math.max(0, ...[...rows].map(row => Number(row.dataset.id) || 0)) + 1;
+    for (const row of rows) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+        const name = value('name').trim();
+        const weight = Number(value('weight'));
+        if (!name || !(weight >= 0)) {
+            showToast('Each category needs a name and a weight of zero or more', 'error');
+            return;
+        }
+        categories.push({ id: Number(row.dataset.id) || nextId++, name, source: value('source'), weight });
+    }
+    
+    const totalWeight = categories.reduce((sum, c) => sum + c.weight, 0);
+    if (Math.abs(totalWeight - 100) > 0.001) {
+        showToast(`Category weights must add up to 100% (currently ${totalWeight}%)`, 'error');
+        return;
+    }
+    
+    const categoryIds = categories.map(c => c.id);
+    const orphaned = appData.grades.filter(g => g.courseId === course.id && !categoryIds.includes(g.categoryId));
+    if (orphaned.length && !confirm(`Removing categories will delete ${orphaned.length} recorded score(s). Continue?`)) return;
+    
+    appData.grades = appData.grades.filter(g => !orphaned.includes(g));
+    course.gradeCategories = categories;
+    course.updatedAt = new Date().toISOString();
+    saveAppData('grades', 'courses');
+    closeModal('gradeCategoriesModal');
+    showToast('Grade categories saved', 'success');
+    logSystem('GRADEBOOK_UPDATE', `Updated grade categories for ${course.code}`, currentUser.id);
+    renderGradebook();
+}
+
+function openGradeEntryModal(userId = null) {
+    const course = getGradebookCourse();
+    if (!course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    
+    document.getElementById('gradeEntryForm').reset();
+    document.getElementById('gradeEntryStudent').innerHTML = getCourseStudents(course)
+        .map(s => `<option value="${s.id}">${escapeHtml(s.name)} (@${escapeHtml(s.username)})</option>`).join('');
+    document.getElementById('gradeEntryCategory').innerHTML = (course.gradeCategories || [])
+        .map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+    if (userId) document.getElementById('gradeEntryStudent').value = userId;
+    document.getElementById('gradeEntryMax').value = 100;
+    openModal('gradeEntryModal');
+}
+
+function handleSaveGradeEntry(e) {
+    e.preventDefault();
+    const course = getGradebookCourse();
+    if (!course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    
+    const userId = Number(document.getElementById('gradeEntryStudent').value);
+    const categoryId = Number(document.getElementById('gradeEntryCategory').value);
+    const title = document.getElementById('gradeEntryTitle').value.trim();
+    const score = Number(document.getElementById('gradeEntryScore').value);
+    const maxScore = Number(document.getElementById('gradeEntryMax').value);
+    const note = document.getElementById('gradeEntryNote').value.trim();
+    
+    if (!userId || !categoryId || !title) {
+        showToast('Please choose a student, a category and a title', 'error');
+        return;
+    }
+    if (!(maxScore > 0) || !(score >= 0) || score > maxScore) {
+        showToast('The score must be between 0 and the maximum score', 'error');
+        return;
+    }
+    
+    appData.grades.push({
+        id: Date.now(),
+        courseId: course.id,
+        userId,
+        categoryId,
+        title,
+        score,
+        maxScore,
+        note,
+        source: 'manual',
+        recordedBy: currentUser.id,
+        recordedAt: new Date().toISOString()
+    });
+    saveAppData('grades');
+    closeModal('gradeEntryModal');
+    showToast('Score recorded', 'success');
+    const student = appData.users.find(u => u.id === userId);
+    logSystem('GRADE_RECORD', `Recorded ${score}/${maxScore} for ${student ? student.username : userId} in ${course.code}: ${title}`, currentUser.id);
+    renderGradebook();
+}
+
+// Imports a CSV with the header: username,category,title,score,max_score
+async function importGradesCSV(files) {
+    const course = getGradebookCourse();
+    const file = files && files[0];
+    document.getElementById('gradeImportInput').value = '';
+    if (!file || !course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    
+    const rows = parseCSV(await file.text());
+    const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    if (['username', 'category', 'title', 'score', 'max_score'].some(name => column(name) === -1)) {
+        showToast('The CSV needs the columns username, category, title, score and max_score', 'error');
+        return;
+    }
+    
+    const students = getCourseStudents(course);
+    const now = new Date().toISOString();
+    const imported = [];
+    const skipped = [];
+    rows.forEach((row, index) => {
+        if (row.every(cell => !cell.trim())) return;
+        const cell = (name) => (row[column(name)] || '').trim();
+        const student = students.find(s => s.username.toLowerCase() === cell('username').toLowerCase());
+        const category = (course.gradeCategories || []).find(c => c.name.toLowerCase() === cell('category').toLowerCase());
+        const score = Number(cell('score'));
+        const maxScore = Number(cell('max_score'));
+        if (!student || !category || !cell('title') || cell('score') === '' || !(maxScore > 0) || !(score >= 0) || score > maxScore) {
+            skipped.push(index + 2);
+            return;
+        }
+        imported.push({
+            id: Date.now() + imported.length,
+            courseId: course.id,
+            userId: student.id,
+            categoryId: category.id,
+            title: cell('title'),
+            score,
+            maxScore,
+            note: `Imported from ${file.name}`,
+            source: 'import',
+            recordedBy: currentUser.id,
+            recordedAt: now
+        });
+    });
+    
+    if (!imported.length) {
+        showToast('No valid rows found to import', 'error');
+        return;
+    }
+    
+    appData.grades.push(...imported);
+    saveAppData('grades');
+    showToast(`Imported ${imported.length} score(s)${skipped.length ? `; skipped line(s) ${skipped.join(', ')}` : ''}`,
+        skipped.length ? 'warning' : 'success');
+    logSystem('GRADE_IMPORT', `Imported ${imported.length} score(s) into ${course.code} from ${file.name}`, currentUser.id);
+    renderGradebook();
+}
+
+function exportGradebookCSV() {
+    const course = getGradebookCourse();
+    if (!course || !requirePermission('grades.manage', { courseId: course.id })) return;
+    
+    const categories = course.gradeCategories || [];
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    let csv = ['Student', 'Username', ...categories.map(c => `${c.name} (${c.weight}%)`), 'Running Grade %', 'Letter', 'Grade Points']
+        .map(quote).join(',') + '\n';
+    getCourseStudents(course).forEach(student => {
+        const grade = computeCourseGrade(course, student.id);
+        csv += [
+            student.name,
+            student.username,
+            ...grade.categories.map(c => c.percent === null ? '' : c.percent.toFixed(2)),
+            grade.percent === null ? '' : grade.percent.toFixed(2),
+            grade.letter,
+            grade.points === null ? '' : grade.points.toFixed(1)
+        ].map(quote).join(',') + '\n';
+    });
+    
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `grades_${course.code}.csv`);
+    showToast('Grades exported as CSV', 'success');
+    logSystem('EXPORT', `Exported grades for ${course.code}`, currentUser.id);
+}
+
+// Quizzes: per-course question banks, timed attempts with shuffled order, auto-grading
+function getQuizQuestions(quiz) {
+    return quiz.questionIds.map(id => appData.questions.find(q => q.id === id)).filter(Boolean);
+}
+
+function getQuizMaxScore(quiz) {
+    return getQuizQuestions(quiz).reduce((sum, question) => sum + question.points, 0);
+}
+
+function getQuizAttempts(quizId, userId) {
+    return appData.quizAttempts.filter(a => a.quizId === quizId && a.userId === userId);
+}
+
+function hasSubmittedQuizAttempt(quizId, userId) {
+    return getQuizAttempts(quizId, userId).some(a => a.status !== 'in_progress');
+}
+
+// Best fully graded attempt; attempts waiting for manual review do not count yet
+function getBestQuizAttempt(quizId, userId) {
+    return getQuizAttempts(quizId, userId)
+        .filter(a => a.status === 'graded')
+        .sort((a, b) => b.score - a.score)[0] || null;
+}
+
+function getManagedQuizCourses() {
+    return appData.courses.filter(c => can('quizzes.manage', { courseId: c.id }));
+}
+
+function getQuizManageCourse() {
+    const courseId = document.getElementById('quizCourseFilter').value;
+    return appData.courses.find(c => String(c.id) === courseId) || null;
+}
+
+function renderCodeSnippet(code) {
+    return `<div class="code-snippet-view"><pre><code>${escapeHtml(code)}</code></pre></div>`;
+}
+
+function loadQuizzes() {
+    closeExpiredQuizAttempts();
+    const enrolled = getEnrolledCourses();
+    const managed = getManagedQuizCourses();
+    
+    document.getElementById('myQuizzesPanel').classList.toggle('hidden', !enrolled.length);
+    document.getElementById('manageQuizzesPanel').classList.toggle('hidden', !managed.length);
+    
+    if (enrolled.length) renderMyQuizzes(enrolled);
+    if (managed.length) {
+        const courseSelect = document.getElementById('quizCourseFilter');
+        const selected = courseSelect.value;
+        courseSelect.innerHTML = managed.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+        if (managed.some(c => String(c.id) === selected)) courseSelect.value = selected;
+        renderQuizManagement();
+    }
+}
+
+function renderMyQuizzes(courses) {
+    const container = document.getElementById('myQuizzesList');
+    const courseIds = courses.map(c => c.id);
+    const quizzes = appData.quizzes.filter(q => q.published && courseIds.includes(q.courseId));
+    
+    if (!quizzes.length) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-question-circle"></i>
+                <h3>No quizzes yet</h3>
+                <p>Published quizzes from your courses will appear here.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = quizzes.map(quiz => {
+        const course = appData.courses.find(c => c.id === quiz.courseId);
+        const attempts = getQuizAttempts(quiz.id, currentUser.id);
+        const inProgress = attempts.find(a => a.status === 'in_progress');
+        const submitted = attempts.filter(a => a.status !== 'in_progress');
+        const best = getBestQuizAttempt(quiz.id, currentUser.id);
+        const closed = quiz.dueAt && new Date() > new Date(quiz.dueAt);
+        const attemptsLeft = !quiz.maxAttempts || submitted.length < quiz.maxAttempts;
+        const pendingReview = submitted.some(a => a.status === 'needs_review');
+        
+        let action = '';
+        if (inProgress) {
+            action = `<button class="btn btn-sm btn-warning" onclick="resumeQuizAttempt(${inProgress.id})"><i class="fas fa-play"></i> Resume</button>`;
+        } else if (!closed && attemptsLeft) {
+            action = `<button class="btn btn-sm btn-primary" onclick="startQuizAttempt(${quiz.id})"><i class="fas fa-play"></i> ${submitted.length ? 'Retake' : 'Start'}</button>`;
+        }
+        const latest = submitted.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))[0];
+        
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <div>
+                        <div class="badge badge-primary mb-2">${course ? course.code : ''}</div>
+                        <div class="card-title">${escapeHtml(quiz.title)}</div>
+                        <div class="card-subtitle">
+                            ${quiz.questionIds.length} questions • ${quiz.timeLimitMinutes} min
+                            ${quiz.dueAt ? ` • closes ${formatDueDate(quiz.dueAt)}` : ''}
+                        </div>
+                    </div>
+                    ${best ? `<span class="badge badge-success">Best ${best.score}/${best.maxScore}</span>` : ''}
+                </div>
+                <div class="card-body">
+                    <p class="text-sm text-gray-600">${escapeHtml(quiz.description || '')}</p>
+                    <p class="text-xs text-gray mt-2">
+                        Attempts: ${submitted.length}${quiz.maxAttempts ? `/${quiz.maxAttempts}` : ''}
+                        ${pendingReview ? ' • Some answers are waiting for review' : ''}
+                        ${closed ? ' • Closed' : ''}
+                    </p>
+                </div>
+                <div class="card-footer">
+                    ${latest ? `<button class="btn btn-sm btn-outline" onclick="viewQuizAttempt(${latest.id})"><i class="fas fa-eye"></i> Last Result</button>` : ''}
+                    ${action}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderQuizManagement() {
+    const course = getQuizManageCourse();
+    if (!course) return;
+    
+    const questions = appData.questions.filter(q => q.courseId === course.id);
+    document.getElementById('questionBankTable').innerHTML = questions.map(question => `
+        <tr>
+            <td><span class="badge badge-gray">${ENTERPRISE_CONFIG.QUIZ.TYPES[question.type]}</span></td>
+            <td>
+                <div class="text-sm line-clamp-2">${escapeHtml(question.prompt)}</div>
+                ${question.type === 'short' && !question.acceptedAnswers.length ? '<div class="text-xs text-warning">Graded by hand</div>' : ''}
+            </td>
+            <td>${question.points}</td>
+            <td>${appData.quizzes.filter(q => q.questionIds.includes(question.id)).length}</td>
+            <td>
+                <div class="flex gap-2">
+                    <button class="btn btn-sm btn-outline" onclick="openQuestionModal(${question.id})" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteQuestion(${question.id})" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('') || `<tr><td colspan="5" class="text-center py-6 text-gray">The question bank is empty.</td></tr>`;
+    
+    const quizzes = appData.quizzes.filter(q => q.courseId === course.id);
+    document.getElementById('quizTable').innerHTML = quizzes.map(quiz => {
+        const attempts = appData.quizAttempts.filter(a => a.quizId === quiz.id && a.status !== 'in_progress');
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(quiz.title)}</div>
+                    <div class="text-xs text-gray">${quiz.dueAt ? `Closes ${formatDueDate(quiz.dueAt)}` : 'No closing date'}</div>
+                </td>
+                <td>${quiz.questionIds.length} (${getQuizMaxScore(quiz)} pts)</td>
+                <td>${quiz.timeLimitMinutes} min</td>
+                <td>${quiz.published ? '<span class="badge badge-success">Published</span>' : '<span class="badge badge-gray">Draft</span>'}</td>
+                <td>${attempts.length}</td>
+                <td>
+                    <div class="flex gap-2">
+                        <button class="btn btn-sm btn-outline" onclick="openQuizModal(${quiz.id})" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger" onclick="deleteQuiz(${quiz.id})" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('') || `<tr><td colspan="6" class="text-center py-6 text-gray">No quizzes for this course yet.</td></tr>`;
+    
+    const attempts = appData.quizAttempts
+        .filter(a => a.courseId === course.id && a.status !== 'in_progress')
+        .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    document.getElementById('quizAttemptsTable').innerHTML = attempts.map(attempt => {
+        const student = appData.users.find(u => u.id === attempt.userId);
+        const quiz = appData.quizzes.find(q => q.id === attempt.quizId);
+        const minutes = Math.round((new Date(attempt.submittedAt) - new Date(attempt.startedAt)) / 60000);
+        return `
+            <tr>
+                <td class="font-bold text-sm">${escapeHtml(student ? student.name : 'Unknown')}</td>
+                <td>${escapeHtml(quiz ? quiz.title : 'Deleted quiz')}</td>
+                <td>
+                    <div class="text-sm">${new Date(attempt.submittedAt).toLocaleString()}</div>
+                    <div class="text-xs text-gray">${minutes} min${attempt.timedOut ? ' • time ran out' : ''}</div>
+                </td>
+                <td>${attempt.score}/${attempt.maxScore}</td>
+                <td>
+                    ${attempt.status === 'needs_review'
+                        ? '<span class="badge badge-warning">Needs review</span>'
+                        : '<span class="badge badge-success">Graded</span>'}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-outline" onclick="viewQuizAttempt(${attempt.id})">
+                        <i class="fas fa-eye"></i> ${attempt.status === 'needs_review' ? 'Review' : 'View'}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('') || `<tr><td colspan="6" class="text-center py-6 text-gray">No attempts yet.</td></tr>`;
+}
+
+function openQuestionModal(questionId = null) {
+    const course = getQuizManageCourse();
+    const question = questionId ? appData.questions.find(q => q.id === questionId) : null;
+    const courseId = question ? question.courseId : course && course.id;
+    if (!courseId || !requirePermission('quizzes.manage', { courseId })) return;
+    
+    document.getElementById('questionForm').reset();
+    document.getElementById('questionId').value = question ? question.id : '';
+    document.getElementById('questionTypeInput').value = question ? question.type : 'multiple';
+    document.getElementById('questionPromptInput').value = question ? question.prompt : '';
+    document.getElementById('questionCodeInput').value = question ? question.code || '' : '';
+    document.getElementById('questionPointsInput').value = question ? question.points : 1;
+    document.getElementById('questionAnswersInput').value = question ? question.acceptedAnswers.join('\n') : '';
+    
+    const list = document.getElementById('questionOptionList');
+    list.innerHTML = '';
+    const options = question && question.options.length ? question.options : ['', ''];
+    options.forEach((option, index) => addQuestionOptionRow(option, question ? question.correct.includes(index) : false));
+    
+    updateQuestionTypeFields();
+    openModal('questionModal');
+}
+
+function updateQuestionTypeFields() {
+    const type = document.getElementById('questionTypeInput').value;
+    const isChoice = type === 'multiple' || type === 'multiselect';
+    document.getElementById('questionOptionsGroup').classList.toggle('hidden', !isChoice);
+    document.getElementById('questionAnswersGroup').classList.toggle('hidden', isChoice);
+    document.getElementById('questionAnswersHint').textContent = type === 'codeOutput'
+        ? 'The exact expected output. Trailing spaces are ignored; one alternative per line.'
+        : 'Accepted answers, one per line, compared without case. Leave empty to grade by hand.';
+}
+
+function addQuestionOptionRow(text = '', correct = false) {
+    const list = document.getElementById('questionOptionList');
+    const row = document.createElement('div');
+    row.className = 'quiz-option-row';
+    row.innerHTML = `
+        <input type="checkbox" data-field="correct" title="Correct answer" ${correct ? 'checked' : ''}>
+        <input type="text" class="form-input" data-field="text" placeholder="Answer option" value="${escapeHtml(text)}">
+        <button type="button" class="btn btn-sm btn-outline" onclick="this.parentElement.remove()" title="Remove option">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    list.appendChild(row);
+}
+
+function handleSaveQuestion(e) {
+    e.preventDefault();
+    const questionId = Number(document.getElementById('questionId').value);
+    const existing = questionId ? appData.questions.find(q => q.id === questionId) : null;
+    const course = existing ? appData.courses.find(c => c.id === existing.courseId) : getQuizManageCourse();
+    if (!course || !requirePermission('quizzes.manage', { courseId: course.id })) return;
+    
+    const type = document.getElementById('questionTypeInput').value;
+    const prompt = document.getElementById('questionPromptInput').value.trim();
+    const code = document.getElementById('questionCodeInput').value.replace(/\s+$/, '');
+    const points = Number(document.getElementById('questionPointsInput').value);
+    const isChoice = type === 'multiple' || type === 'multiselect';
+    
+    if (!prompt) {
+        showToast('Please enter the question', 'error');
+        return;
+    }
+    if (!(points > 0)) {
+        showToast('Points must be greater than zero', 'error');
+        return;
+    }
+    
+    let options = [];
+    let correct = [];
+    let acceptedAnswers = [];
+    if (isChoice) {
+        document.querySelectorAll('#questionOptionList .quiz-option-row').forEach(row => {
+            const text = row.querySelector('[data-field="text"]').value.trim();
+            if (!text) return;
+            if (row.querySelector('[data-field="correct"]').checked) correct.push(options.length);
+            options.push(text);
+        });
+        if (options.length < 2) {
+            showToast('Add at least two answer options', 'error');
+            return;
+        }
+        if (type === 'multiple' ? correct.length !== 1 : correct.length < 1) {
+            showToast(type === 'multiple' ? 'Mark exactly one correct option' : 'Mark at least one correct option', 'error');
+            return;
+        }
+    } else {
+        acceptedAnswers = document.getElementById('questionAnswersInput').value
+            .split('\n').map(answer => answer.trim()).filter(Boolean);
+        if (type === 'codeOutput' && (!code || !acceptedAnswers.length)) {
+            showToast('Code-output questions need the code and its expected output', 'error');
+            return;
+        }
+    }
+    
+    // Attempt reviews, scores and in-progress option orders all read the bank question, so once
+    // students have seen it only its wording can change
+    if (existing && isQuestionAttempted(existing.id) && (type !== existing.type || code !== (existing.code || '')
+        || points !== existing.points
+        || JSON.stringify([options, correct, acceptedAnswers]) !== JSON.stringify([existing.options, existing.correct, existing.acceptedAnswers]))) {
+        showToast('Students have already answered this question, so only its wording can change. Add a new question instead.', 'error');
+        return;
+    }
+    
+    const now = new Date().toISOString();
+    if (existing) {
+        Object.assign(existing, { type, prompt, code, options, correct, acceptedAnswers, points, updatedAt: now });
+        showToast('Question updated', 'success');
+        logSystem('QUESTION_UPDATE', `Updated question ${existing.id} in ${course.code}`, currentUser.id);
+    } else {
+        const question = {
+            id: Date.now(),
+            courseId: course.id,
+            type,
+            prompt,
+            code,
+            options,
+            correct,
+            acceptedAnswers,
+            points,
+            createdBy: currentUser.id,
+            createdAt: now
+        };
+        appData.questions.push(question);
+        showToast('Question added to the bank', 'success');
+        logSystem('QUESTION_CREATE', `Added question ${question.id} to ${course.code}`, currentUser.id);
+    }
+    
+    saveAppData('questions');
+    closeModal('questionModal');
+    renderQuizManagement();
+}
+
+function isQuestionAttempted(questionId) {
+    return appData.quizAttempts.some(a => a.questionOrder.includes(questionId));
+}
+
+function deleteQuestion(questionId) {
+    const question = appData.questions.find(q => q.id === questionId);
+    if (!question || !requirePermission('quizzes.manage', { courseId: question.courseId })) return;
+    const usedIn = appData.quizzes.filter(q => q.questionIds.includes(questionId));
+    if (usedIn.length) {
+        showToast(`Remove this question from ${usedIn.map(q => `"${q.title}"`).join(', ')} first`, 'error');
+        return;
+    }
+    if (!confirm('Delete this question from the bank?')) return;
+    
+    appData.questions = appData.questions.filter(q => q.id !== questionId);
+    saveAppData('questions');
+    showToast('Question deleted', 'info');
+    logSystem('QUESTION_DELETE', `Deleted question ${questionId}`, currentUser.id);
+    renderQuizManagement();
+}
+
+function openQuizModal(quizId = null) {
+    const quiz = quizId ? appData.quizzes.find(q => q.id === quizId) : null;
+    const course = quiz ? appData.courses.find(c => c.id === quiz.courseId) : getQuizManageCourse();
+    if (!course || !requirePermission('quizzes.manage', { courseId: course.id })) return;
+    
+    document.getElementById('quizForm').reset();
+    document.getElementById('quizId').value = quiz ? quiz.id : '';
+    document.getElementById('quizModalCourse').textContent = `${course.code} - ${course.name}`;
+    document.getElementById('quizTitleInput').value = quiz ? quiz.title : '';
+    document.getElementById('quizDescriptionInput').value = quiz ? quiz.description : '';
+    document.getElementById('quizTimeInput').value = quiz ? quiz.timeLimitMinutes : ENTERPRISE_CONFIG.QUIZ.DEFAULT_TIME_LIMIT;
+    document.getElementById('quizAttemptsInput').value = quiz ? quiz.maxAttempts : 1;
+    document.getElementById('quizShuffleOptionsInput').checked = quiz ? quiz.shuffleOptions : true;
+    document.getElementById('quizPublishedInput').checked = quiz ? quiz.published : false;
+    if (quiz && quiz.dueAt) {
+        const due = new Date(quiz.dueAt);
+        document.getElementById('quizDueInput').value =
+            `${formatLocalDate(due)}T${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`;
+    }
+    
+    const selected = quiz ? quiz.questionIds : [];
+    document.getElementById('quizQuestionPicker').innerHTML = appData.questions
+        .filter(q => q.courseId === course.id)
+        .map(question => `
+            <label class="quiz-question-pick">
+                <input type="checkbox" value="${question.id}" ${selected.includes(question.id) ? 'checked' : ''}>
+                <span class="badge badge-gray">${ENTERPRISE_CONFIG.QUIZ.TYPES[question.type]}</span>
+                <span class="text-sm">${escapeHtml(question.prompt)}</span>
+                <span class="text-xs text-gray">${question.points} pt${question.points === 1 ? '' : 's'}</span>
+            </label>
+        `).join('') || '<p class="text-sm text-gray">Add questions to the bank first.</p>';
+    
+    openModal('quizModal');
+}
+
+function handleSaveQuiz(e) {
+    e.preventDefault();
+    const quizId = Number(document.getElementById('quizId').value);
+    const existing = quizId ? appData.quizzes.find(q => q.id === quizId) : null;
+    const course = existing ? appData.courses.find(c => c.id === existing.courseId) : getQuizManageCourse();
+    if (!course || !requirePermission('quizzes.manage', { courseId: course.id })) return;
+    
+    const title = document.getElementById('quizTitleInput').value.trim();
+    const description = document.getElementById('quizDescriptionInput').value.trim();
+    const timeLimitMinutes = Number(document.getElementById('quizTimeInput').value);
+    const maxAttempts = Number(document.getElementById('quizAttemptsInput').value) || 0;
+    const dueValue = document.getElementById('quizDueInput').value;
+    const shuffleOptions = document.getElementById('quizShuffleOptionsInput').checked;
+    const published = document.getElementById('quizPublishedInput').checked;
+    const questionIds = [...document.querySelectorAll('#quizQuestionPicker input:checked')].map(input => Number(input.value));
+    
+    if (!title) {
+        showToast('Please enter a quiz title', 'error');
+        return;
+    }
+    if (!(timeLimitMinutes >= 1)) {
+        showToast('The time limit must be at least one minute', 'error');
+        return;
+    }
+    if (!questionIds.length) {
+        showToast('Pick at least one question from the bank', 'error');
+        return;
+    }
+    
+    const now = new Date().toISOString();
+    const fields = {
+        title,
+        description,
+        questionIds,
+        timeLimitMinutes,
+        maxAttempts,
+        shuffleOptions,
+        dueAt: dueValue ? new Date(dueValue).toISOString() : null,
+        published,
+        updatedAt: now
+    };
+    if (existing) {
+        Object.assign(existing, fields);
+        showToast('Quiz updated', 'success');
+        logSystem('QUIZ_UPDATE', `Updated quiz: ${title}`, currentUser.id);
+    } else {
+        appData.quizzes.push({ id: Date.now(), courseId: course.id, ...fields, createdBy: currentUser.id, createdAt: now });
+        showToast('Quiz created', 'success');
+        logSystem('QUIZ_CREATE', `Created quiz: ${title}`, currentUser.id);
+    }
+    
+    saveAppData('quizzes');
+    closeModal('quizModal');
+    renderQuizManagement();
+}
+
+function deleteQuiz(quizId) {
+    const quiz = appData.quizzes.find(q => q.id === quizId);
+    if (!quiz || !requirePermission('quizzes.manage', { courseId: quiz.courseId })) return;
+    const count = appData.quizAttempts.filter(a => a.quizId === quizId).length;
+    if (!confirm(`Delete "${quiz.title}"${count ? ` and its ${count} attempt(s)` : ''}?`)) return;
+    
+    appData.quizzes = appData.quizzes.filter(q => q.id !== quizId);
+    appData.quizAttempts = appData.quizAttempts.filter(a => a.quizId !== quizId);
+    saveAppData('quizzes', 'quizAttempts');
+    showToast('Quiz deleted', 'info');
+    logSystem('QUIZ_DELETE', `Deleted quiz: ${quiz.title}`, currentUser.id);
+    renderQuizManagement();
+}
+
+// Each attempt fixes its own question and option order so a resumed attempt looks the same
+function startQuizAttempt(quizId) {
+    const quiz = appData.quizzes.find(q => q.id === quizId);
+    if (!quiz || !quiz.published || !getEnrolledCourses().some(c => c.id === quiz.courseId)) {
+        showToast('This quiz is not available', 'error');
+        return;
+    }
+    const submitted = getQuizAttempts(quiz.id, currentUser.id).filter(a => a.status !== 'in_progress');
+    if (quiz.maxAttempts && submitted.length >= quiz.maxAttempts) {
+        showToast('You have used all attempts for this quiz', 'error');
+        return;
+    }
+    if (quiz.dueAt && new Date() > new Date(quiz.dueAt)) {
+        showToast('This quiz is closed', 'error');
+        return;
+    }
+    const closesFirst = quiz.dueAt && new Date(quiz.dueAt) - Date.now() < quiz.timeLimitMinutes * 60000;
+    const timeNote = closesFirst
+        ? `The quiz closes ${formatDueDate(quiz.dueAt)}, before your ${quiz.timeLimitMinutes} minutes are up,`
+        : `You will have ${quiz.timeLimitMinutes} minutes`;
+    if (!confirm(`Start "${quiz.title}"? ${timeNote} and the timer keeps running if you leave.`)) return;
+    
+    const questions = getQuizQuestions(quiz);
+    const startedAt = new Date();
+    const attempt = {
+        id: Date.now(),
+        quizId: quiz.id,
+        courseId: quiz.courseId,
+        userId: currentUser.id,
+        attempt: submitted.length + 1,
+        questionOrder: shuffleArray(questions.map(q => q.id)),
+        optionOrder: Object.fromEntries(questions
+            .filter(q => q.options.length)
+            .map(q => {
+                const order = q.options.map((option, index) => index);
+                return [q.id, quiz.shuffleOptions ? shuffleArray(order) : order];
+            })),
+        answers: {},
+        startedAt: startedAt.toISOString(),
+        // The time limit never runs past the quiz's due date
+        deadlineAt: new Date(Math.min(startedAt.getTime() + quiz.timeLimitMinutes * 60000,
+            quiz.dueAt ? new Date(quiz.dueAt).getTime() : Infinity)).toISOString(),
+        submittedAt: null,
+        status: 'in_progress'
+    };
+    
+    appData.quizAttempts.push(attempt);
+    saveAppData('quizAttempts');
+    logSystem('QUIZ_ATTEMPT_START', `Started attempt ${attempt.attempt} of "${quiz.title}"`, currentUser.id);
+    renderQuizAttempt(attempt);
+}
+
+function resumeQuizAttempt(attemptId) {
+    const attempt = appData.quizAttempts.find(a => a.id === attemptId && a.userId === currentUser.id);
+    if (!attempt || attempt.status !== 'in_progress') return;
+    if (new Date() >= new Date(attempt.deadlineAt)) {
+        finishQuizAttempt(attempt, true);
+        loadQuizzes();
+        viewQuizAttempt(attempt.id);
+        return;
+    }
+    logSystem('QUIZ_ATTEMPT_RESUME', `Resumed quiz attempt ${attempt.id}`, currentUser.id);
+    renderQuizAttempt(attempt);
+}
+
+function renderQuizAttempt(attempt) {
+    const quiz = appData.quizzes.find(q => q.id === attempt.quizId);
+    activeQuizAttemptId = attempt.id;
+    document.getElementById('quizAttemptTitle').textContent = quiz.title;
+    
+    document.getElementById('quizAttemptBody').innerHTML = attempt.questionOrder.map((questionId, index) => {
+        const question = appData.questions.find(q => q.id === questionId);
+        if (!question) return '';
+        const answer = attempt.answers[questionId];
+        const name = `quiz-q-${question.id}`;
+        let input;
+        if (question.type === 'multiple' || question.type === 'multiselect') {
+            const inputType = question.type === 'multiple' ? 'radio' : 'checkbox';
+            input = (attempt.optionOrder[question.id] || []).map(optionIndex => {
+                const checked = question.type === 'multiple' ? answer === optionIndex : (answer || []).includes(optionIndex);
+                return `
+                    <label class="quiz-choice">
+                        <input type="${inputType}" name="${name}" value="${optionIndex}" ${checked ? 'checked' : ''}
+                               onchange="recordQuizAnswer(${question.id})">
+                        <span>${escapeHtml(question.options[optionIndex])}</span>
+                    </label>
+                `;
+            }).join('');
+        } else {
+            input = `
+                <textarea class="form-textarea ${question.type === 'codeOutput' ? 'code-textarea' : ''}" name="${name}" rows="${question.type === 'codeOutput' ? 3 : 2}"
+                          placeholder="${question.type === 'codeOutput' ? 'Exact output' : 'Your answer'}"
+                          onchange="recordQuizAnswer(${question.id})">${escapeHtml(answer || '')}</textarea>
+            `;
+        }
+        
+        return `
+            <div class="quiz-question">
+                <div class="flex justify-between items-center">
+                    <strong>Question ${index + 1}</strong>
+                    <span class="text-xs text-gray">${question.points} pt${question.points === 1 ? '' : 's'} • ${ENTERPRISE_CONFIG.QUIZ.TYPES[question.type]}</span>
+                </div>
+                <p class="mt-2">${escapeHtml(question.prompt)}</p>
+                ${question.code ? renderCodeSnippet(question.code) : ''}
+                <div class="quiz-answer">${input}</div>
+            </div>
+        `;
+    }).join('');
+    
+    openModal('quizAttemptModal');
+    startQuizTimer(attempt);
+}
+
+function readQuizAnswer(question) {
+    const name = `quiz-q-${question.id}`;
+    if (question.type === 'multiple') {
+        const checked = document.querySelector(`#quizAttemptBody input[name="${name}"]:checked`);
+        return checked ? Number(checked.value) : null;
+    }
+    if (question.type === 'multiselect') {
+        return [...document.querySelectorAll(`#quizAttemptBody input[name="${name}"]:checked`)].map(input => Number(input.value));
+    }
+    const field = document.querySelector(`#quizAttemptBody textarea[name="${name}"]`);
+    return field ? field.value : '';
+}
+
+// Answers are saved as they change so an interrupted attempt keeps them
+function recordQuizAnswer(questionId) {
+    const attempt = appData.quizAttempts.find(a => a.id === activeQuizAttemptId);
+    const question = appData.questions.find(q => q.id === questionId);
+    if (!attempt || !question || attempt.status !== 'in_progress') return;
+    attempt.answers[questionId] = readQuizAnswer(question);
+    persistRecord('quizAttempts', attempt);
+}
+
+function startQuizTimer(attempt) {
+    stopQuizTimer();
+    const display = document.getElementById('quizTimerDisplay');
+    const tick = () => {
+        const remaining = Math.max(0, Math.round((new Date(attempt.deadlineAt) - Date.now()) / 1000));
+        display.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        display.classList.toggle('warning', remaining <= ENTERPRISE_CONFIG.QUIZ.WARNING_SECONDS);
+        if (remaining === 0) submitQuizAttempt(true);
+    };
+    tick();
+    quizTimer = setInterval(tick, ENTERPRISE_CONFIG.QUIZ.TIMER_INTERVAL);
+}
+
+function stopQuizTimer() {
+    if (quizTimer) {
+        clearInterval(quizTimer);
+        quizTimer = null;
+    }
+    activeQuizAttemptId = null;
+}
+
+function submitQuizAttempt(timedOut = false) {
+    const attempt = appData.quizAttempts.find(a => a.id === activeQuizAttemptId);
+    if (!attempt || attempt.status !== 'in_progress') return;
+    if (!timedOut && !confirm('Submit your answers? You cannot change them afterwards.')) return;
+    
+    attempt.questionOrder.forEach(questionId => {
+        const question = appData.questions.find(q => q.id === questionId);
+        if (question) attempt.answers[questionId] = readQuizAnswer(question);
+    });
+    closeModal('quizAttemptModal');
+    finishQuizAttempt(attempt, timedOut);
+    if (document.getElementById('quizzes').classList.contains('active')) loadQuizzes();
+    viewQuizAttempt(attempt.id);
+}
+
+function normalizeQuizAnswer(value, type) {
+    const text = String(value ?? '').replace(/\r\n/g, '\n');
+    if (type === 'codeOutput') return text.split('\n').map(line => line.replace(/\s+$/, '')).join('\n').trim();
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// correct is null when the answer needs a person to grade it
+function gradeQuizAnswer(question, answer) {
+    let correct;
+    if (question.type === 'multiple') {
+        correct = answer === question.correct[0];
+    } else if (question.type === 'multiselect') {
+        const chosen = [...(answer || [])].sort((a, b) => a - b);
+        correct = chosen.length === question.correct.length && chosen.every((value, index) => value === question.correct[index]);
+    } else if (!normalizeQuizAnswer(answer, question.type)) {
+        correct = false;
+    } else if (!question.acceptedAnswers.length) {
+        correct = null;
+    } else {
+        const given = normalizeQuizAnswer(answer, question.type);
+        correct = question.acceptedAnswers.some(accepted => normalizeQuizAnswer(accepted, question.type) === given);
+    }
+    return { questionId: question.id, correct, score: correct ? question.points : 0, maxScore: question.points };
+}
+
+function finishQuizAttempt(attempt, timedOut = false) {
+    const quiz = appData.quizzes.find(q => q.id === attempt.quizId);
+    attempt.results = attempt.questionOrder
+        .map(questionId => appData.questions.find(q => q.id === questionId))
+        .filter(Boolean)
+        .map(question => gradeQuizAnswer(question, attempt.answers[question.id]));
+    attempt.score = attempt.results.reduce((sum, r) => sum + r.score, 0);
+    attempt.maxScore = attempt.results.reduce((sum, r) => sum + r.maxScore, 0);
+    attempt.status = attempt.results.some(r => r.correct === null) ? 'needs_review' : 'graded';
+    attempt.timedOut = timedOut;
+    // A timed-out attempt is closed at its deadline, even if it is only noticed later
+    attempt.submittedAt = timedOut ? attempt.deadlineAt : new Date().toISOString();
+    
+    saveAppData('quizAttempts');
+    logSystem('QUIZ_ATTEMPT_SUBMIT',
+        `Attempt ${attempt.attempt} of "${quiz ? quiz.title : attempt.quizId}": ${attempt.score}/${attempt.maxScore}` +
+        `${timedOut ? ' (time ran out)' : ''}${attempt.status === 'needs_review' ? ', needs review' : ''}`, attempt.userId);
+    if (currentUser && attempt.userId === currentUser.id) {
+        showToast(timedOut ? 'Time is up. Your answers were submitted.' : `Quiz submitted: ${attempt.score}/${attempt.maxScore}`,
+            timedOut ? 'warning' : 'success');
+    }
+}
+
+// Attempts left open past their deadline (closed tab, logout) are submitted with the saved answers
+function closeExpiredQuizAttempts() {
+    const now = new Date();
+    appData.quizAttempts
+        .filter(a => a.status === 'in_progress' && a.id !== activeQuizAttemptId && now >= new Date(a.deadlineAt))
+        .forEach(attempt => finishQuizAttempt(attempt, true));
+}
+
+function viewQuizAttempt(attemptId) {
+    const attempt = appData.quizAttempts.find(a => a.id === attemptId);
+    if (!attempt || attempt.status === 'in_progress') return;
+    const isOwner = attempt.userId === currentUser.id;
+    const canReview = can('quizzes.manage', { courseId: attempt.courseId });
+    if (!isOwner && !requirePermission('quizzes.manage', { courseId: attempt.courseId })) return;
+    
+    const quiz = appData.quizzes.find(q => q.id === attempt.quizId);
+    const student = appData.users.find(u => u.id === attempt.userId);
+    const reviewable = canReview && !isOwner;
+    document.getElementById('quizReviewTitle').textContent =
+        `${quiz ? quiz.title : 'Quiz'}${isOwner ? '' : ` • ${student ? student.name : 'Unknown'}`}`;
+    document.getElementById('quizReviewMeta').textContent =
+        `Attempt ${attempt.attempt} • ${attempt.score}/${attempt.maxScore} points • ${new Date(attempt.submittedAt).toLocaleString()}` +
+        (attempt.timedOut ? ' • time ran out' : '') + (attempt.status === 'needs_review' ? ' • waiting for review' : '');
+    document.getElementById('quizReviewAttemptId').value = attempt.id;
+    document.getElementById('quizReviewSaveBtn').classList.toggle('hidden', !reviewable);
+    
+    document.getElementById('quizReviewBody').innerHTML = attempt.results.map((result, index) => {
+        const question = appData.questions.find(q => q.id === result.questionId);
+        if (!question) return '';
+        const answer = attempt.answers[question.id];
+        const answerText = question.options.length
+            ? [].concat(answer ?? []).map(i => question.options[i]).join(', ')
+            : answer;
+        const status = result.correct === null
+            ? '<span class="badge badge-warning">Needs review</span>'
+            : result.correct ? '<span class="badge badge-success">Correct</span>' : '<span class="badge badge-danger">Incorrect</span>';
+        
+        return `
+            <div class="quiz-question">
+                <div class="flex justify-between items-center">
+                    <strong>Question ${index + 1}</strong>
+                    ${status}
+                </div>
+                <p class="mt-2">${escapeHtml(question.prompt)}</p>
+                ${question.code ? renderCodeSnippet(question.code) : ''}
+                <div class="text-sm mt-2"><strong>Answer:</strong> ${answerText ? escapeHtml(answerText) : '<span class="text-gray">No answer</span>'}</div>
+                ${reviewable && question.acceptedAnswers.length ? `<div class="text-xs text-gray">Accepted: ${escapeHtml(question.acceptedAnswers.join(' | '))}</div>` : ''}
+                <div class="flex items-center gap-2 mt-2">
+                    ${reviewable
+                        ? `<input type="number" class="form-input quiz-review-score" data-question="${question.id}" min="0" max="${result.maxScore}" step="any" value="${result.score}">`
+                        : `<span class="font-bold">${result.score}</span>`}
+                    <span class="text-sm text-gray">/ ${result.maxScore} pts</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    openModal('quizReviewModal');
+}
+
+function handleSaveQuizReview() {
+    const attemptId = Number(document.getElementById('quizReviewAttemptId').value);
+    const attempt = appData.quizAttempts.find(a => a.id === attemptId);
+    if (!attempt || !requirePermission('quizzes.manage', { courseId: attempt.courseId })) return;
+    
+    for (const input of document.querySelectorAll('#quizReviewBody .quiz-review-score')) {
+        const result = attempt.results.find(r => r.questionId === Number(input.dataset.question));
+        const score = Number(input.value);
+        if (!result) continue;
+        if (input.value === '' || !(score >= 0) || score > result.maxScore) {
+            showToast(`Scores must be between 0 and ${result.maxScore}`, 'error');
+            return;
+        }
+        if (score !== result.score || result.correct === null) {
+            result.score = score;
+            result.correct = score === result.maxScore;
+            result.reviewed = true;
+        }
+    }
+    
+    attempt.score = attempt.results.reduce((sum, r) => sum + r.score, 0);
+    attempt.status = 'graded';
+    attempt.reviewedBy = currentUser.id;
+    attempt.reviewedAt = new Date().toISOString();
+    saveAppData('quizAttempts');
+    closeModal('quizReviewModal');
+    showToast('Review saved', 'success');
+    logSystem('QUIZ_ATTEMPT_REVIEW', `Reviewed quiz attempt ${attempt.id}: ${attempt.score}/${attempt.maxScore}`, currentUser.id);
+    renderQuizManagement();
+}
+
+// =========================================
+// 10. ATTENDANCE SYSTEM
+// =========================================
+function initGeolocation() {
+    getCurrentPosition().then(coords => {
+        if (coords) updateGeoStatus(coords);
+    });
+}
+
+// Resolves to the device coordinates, or null when location is unavailable or denied
+function getCurrentPosition() {
+    return new Promise(resolve => {
+        if (!("geolocation" in navigator)) {
+            resolve(null);
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            (error) => {
+                console.warn("Geolocation error:", error);
+                resolve(null);
+            },
+            { enableHighAccuracy: true, timeout: ENTERPRISE_CONFIG.GEOFENCE.TIMEOUT, maximumAge: 0 }
+        );
+    });
+}
+
+function updateGeoStatus(coords, geofence = null) {
+    const geoStatus = document.getElementById('geoStatus');
+    if (!geoStatus) return;
+    const inside = geofence && geofence.status === 'inside';
+    const warn = geofence && (geofence.status === 'outside' || geofence.status === 'uncertain');
+    geoStatus.innerHTML = `
+        <i class="fas fa-map-marker-alt ${warn ? 'text-warning' : 'text-success'}"></i>
+        Location: ${coords.latitude.toFixed(4)}, ${coords.longitude.toFixed(4)} (±${Math.round(coords.accuracy)}m)
+        ${geofence && geofence.fence ? ` • ${inside ? 'In' : `${geofence.distance}m from`} ${escapeHtml(geofence.fence)}` : ''}
+    `;
+}
+
+// Great-circle distance in meters
+function getDistanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Checks a position against the course's classroom fences. Status is one of
+// none (course has no fences), unavailable, inside, uncertain (the accuracy circle overlaps the fence) or outside.
+function evaluateGeofence(course, coords) {
+    const fences = course?.geofences || [];
+    if (!fences.length) return { status: 'none', fence: null, distance: null };
+    if (!coords) return { status: 'unavailable', fence: null, distance: null };
+    
+    const nearest = fences
+        .map(fence => ({ fence, distance: getDistanceMeters(coords.latitude, coords.longitude, fence.lat, fence.lng) }))
+        .sort((a, b) => (a.distance - a.fence.radius) - (b.distance - b.fence.radius))[0];
+    const result = { fence: nearest.fence.name, distance: Math.round(nearest.distance) };
+    
+    if (coords.accuracy > ENTERPRISE_CONFIG.GEOFENCE.MAX_ACCURACY) return { ...result, status: 'uncertain' };
+    if (nearest.distance <= nearest.fence.radius) return { ...result, status: 'inside' };
+    if (nearest.distance - coords.accuracy <= nearest.fence.radius) return { ...result, status: 'uncertain' };
+    return { ...result, status: 'outside' };
+}
+
+function describeGeofence(geofence) {
+    if (geofence.status === 'unavailable') return 'Location unavailable';
+    if (geofence.status === 'uncertain') return `Location too imprecise to confirm presence at ${geofence.fence}`;
+    if (geofence.status === 'outside') return `${geofence.distance}m from ${geofence.fence}, outside the classroom area`;
+    return '';
+}
+
+async function startAttendanceScanner() {
+    if (!currentUser.faceDescriptor) {
+        showToast('Face ID not registered. Please contact administrator.', 'warning');
         return;
     }
+    if (attendanceScanInterval || attendanceStream || attendanceScanCancel) return;
     
-    const code = mainEditor.getValue();
+    const enrolledCourses = getEnrolledCourses();
+    const { course, occurrence } = getCheckInCourse();
+    if (enrolledCourses.length && !course) {
+        showToast(`No ${enrolledCourses.map(c => c.code).join(' or ')} session is open for check-in right now`, 'warning');
+        return;
+    }
     
-    const newProject = {
-        id: Date.now(),
+    const today = occurrence ? occurrence.date : formatLocalDate(new Date());
+    const alreadyMarked = appData.attendance.some(a => 
+        a.userId === currentUser.id && a.date === today && isAttended(a) &&
+        (!course || a.courseId == course.id) &&
+        (!occurrence || a.sessionId === occurrence.session.id)
+    );
+    
+    if (alreadyMarked) {
+        if (!confirm(`Attendance already marked for ${occurrence ? 'this session' : 'today'}. Mark again?`)) {
+            return;
+        }
+    }
+    
+    showToast('Checking your location...', 'info');
+    
+    const coords = await getCurrentPosition();
+    const geofence = evaluateGeofence(course, coords);
+    if (coords) updateGeoStatus(coords, geofence);
+    
+    // Under a reject policy only a definite outside or missing position blocks the check-in;
+    // uncertain positions are always accepted and flagged
+    const policy = course?.geofencePolicy || ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_POLICY;
+    if (policy === 'reject' && (geofence.status === 'outside' || geofence.status === 'unavailable')) {
+        showToast(`Check-in rejected: ${describeGeofence(geofence)}`, 'error');
+        logSystem('ATTENDANCE_REJECTED', `Geofence check failed: ${describeGeofence(geofence)}`, currentUser.id);
+        return;
+    }
+    
+    showToast('Starting attendance scanner...', 'info');
+    
+    const result = await runFaceVerification();
+    if (!result) return;
+    
+    if (result.passed) {
+        markAttendanceSuccess(coords, result.confidence, { liveness: result.liveness, geofence, occurrence, course });
+    } else {
+        showToast(result.reason, 'error');
+        recordCheckInFailure({
+            courseId: course ? course.id : null,
+            date: today,
+            sessionId: occurrence ? occurrence.session.id : null,
+            confidence: Math.round(result.confidence * 100) / 100,
+            reason: result.reason,
+            liveness: result.liveness
+        });
+        logSystem(result.liveness ? 'LIVENESS_FAILED' : 'ATTENDANCE_FAILED',
+            `${result.reason} (score ${Math.round(result.confidence * 100)}%)`, currentUser.id);
+    }
+}
+
+// Failed face check-ins are kept for auditing in their own collection, which unlike the
+// system log is never trimmed
+function recordCheckInFailure(details) {
+    const failure = {
+        id: appData.checkInFailures.reduce((max, f) => Math.max(max, f.id), 0) + 1,
         userId: currentUser.id,
-        name,
-        description,
-        code,
-        visibility,
-        category,
-        tags,
-        likes: 0,
-        views: 0,
-        forks: 0,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+        ...details,
+        createdAt: new Date().toISOString()
     };
+    appData.checkInFailures.push(failure);
+    persistRecord('checkInFailures', failure);
+}
+
+function stopAttendanceScanner() {
+    if (attendanceScanCancel) {
+        const cancel = attendanceScanCancel;
+        attendanceScanCancel = null;
+        cancel();
+    }
+    if (attendanceScanInterval) {
+        clearTimeout(attendanceScanInterval);
+        attendanceScanInterval = null;
+    }
+    stopCamera(attendanceStream, document.getElementById('attendanceVideo'));
+    attendanceStream = null;
+    clearFaceOverlay(document.getElementById('attendanceCanvas'));
+    showScanProgress(false);
+    updateAttendanceScannerStatus('Camera Off', false);
+    const startBtn = document.getElementById('btnStartAttendance');
+    const stopBtn = document.getElementById('btnStopAttendance');
+    if (startBtn && stopBtn) {
+        startBtn.classList.remove('hidden');
+        stopBtn.classList.add('hidden');
+    }
+}
+
+async function testFaceVerification() {
+    if (!currentUser.faceDescriptor) {
+        showToast('Face ID not registered. Please contact administrator.', 'warning');
+        return;
+    }
+    if (attendanceScanInterval || attendanceStream || attendanceScanCancel) return;
     
-    appData.projects.push(newProject);
-    saveAppData();
-    
-    closeModal('projectModal');
-    showToast('Project saved successfully!', 'success');
-    logSystem('PROJECT_SAVE', `Saved project: ${name}`, currentUser.id);
+    const result = await runFaceVerification();
+    if (!result) return;
     
-    loadMyProjects();
+    if (result.passed) {
+        showToast(`Face verification test passed (${Math.round(result.confidence * 100)}%)`, 'success');
+    } else {
+        showToast(`Face verification test failed: ${result.reason}`, 'warning');
+    }
 }
 
-function loadMyProjects() {
-    const grid = document.getElementById('myProjectsGrid');
-    const myProjects = appData.projects
-        .filter(p => p.userId === currentUser.id)
-        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+// Opens the attendance camera, compares frames against the registered descriptor and then
+// runs the liveness challenge. Resolves to { passed, confidence, liveness, reason } or null
+// when the scan was stopped.
+async function runFaceVerification() {
+    const video = document.getElementById('attendanceVideo');
+    const canvas = document.getElementById('attendanceCanvas');
+    const { THRESHOLD, HIGH_CONFIDENCE, MATCH_FRAMES, SAMPLE_INTERVAL, VERIFY_TIMEOUT, VERIFICATION_STEPS } = ENTERPRISE_CONFIG.FACE;
+    const { STEP_TIMEOUT } = ENTERPRISE_CONFIG.FACE.LIVENESS;
     
-    if (myProjects.length === 0) {
-        grid.innerHTML = `
-            <div class="empty-state w-full">
-                <i class="fas fa-laptop-code"></i>
-                <h3>No Projects Yet</h3>
-                <p>Create your first project using the code editor above.</p>
-                <button class="btn btn-primary mt-4" onclick="showSection('projects')">
-                    <i class="fas fa-code"></i> Start Coding
-                </button>
-            </div>
-        `;
-        return;
+    updateAttendanceScannerStatus('Starting', true);
+    const startBtn = document.getElementById('btnStartAttendance');
+    const stopBtn = document.getElementById('btnStopAttendance');
+    if (startBtn && stopBtn) {
+        startBtn.classList.add('hidden');
+        stopBtn.classList.remove('hidden');
     }
     
-    grid.innerHTML = '';
+    // Stop is shown while the models load and the camera prompt is open, so every await
+    // checks whether it was pressed in the meantime
+    let cancelled = false;
+    attendanceScanCancel = () => { cancelled = true; };
     
-    myProjects.forEach(project => {
-        const card = document.createElement('div');
-        card.className = 'card';
-        
-        const isPublic = project.visibility === 'public';
-        const isUnlisted = project.visibility === 'unlisted';
-        const visibilityText = isPublic ? 'Public' : isUnlisted ? 'Unlisted' : 'Private';
-        const visibilityClass = isPublic ? 'badge-success' : isUnlisted ? 'badge-info' : 'badge-gray';
-        
-        const lastUpdated = new Date(project.updatedAt);
-        const timeAgo = getTimeAgo(lastUpdated);
+    let matcher;
+    try {
+        matcher = await getFaceMatcher();
+        if (cancelled) return null;
+        const stream = await startCamera(video, matcher);
+        if (cancelled) {
+            stopCamera(stream, video);
+            return null;
+        }
+        attendanceStream = stream;
+    } catch (error) {
+        if (cancelled) return null;
+        console.error('Face verification unavailable:', error);
+        stopAttendanceScanner();
+        showToast(error.message, 'error');
+        return null;
+    }
+    
+    updateAttendanceScannerStatus('Scanning', true);
+    showScanProgress(true, 0, 'Waiting for facial data...');
+    
+    const reference = currentUser.faceDescriptor.values;
+    const startedAt = Date.now();
+    let best = 0;
+    let faceSeen = false;
+    let streak = [];
+    let confidence = 0;
+    
+    // Liveness phase state
+    let challenges = null;
+    let stepIndex = 0;
+    let step = null;
+    let mismatches = 0;
+    const stepResults = [];
+    
+    const startStep = () => {
+        step = { challenge: challenges[stepIndex], startedAt: Date.now(), state: {}, scores: [] };
+        const label = LIVENESS_LABELS[step.challenge];
+        const alignHud = document.getElementById('attHudAlign');
+        if (alignHud) alignHud.textContent = `ALIGN: ${label.toUpperCase()}`;
+        showScanProgress(true, Math.round((stepIndex / challenges.length) * 100),
+            `Step ${stepIndex + 1}/${challenges.length}: ${label}`);
+    };
+    
+    const recordStep = (passed) => {
+        stepResults.push({
+            challenge: step.challenge,
+            passed,
+            durationMs: Date.now() - step.startedAt,
+            metric: step.state.metric !== undefined ? Math.round(step.state.metric * 1000) / 1000 : null,
+            score: step.scores.length
+                ? Math.round((step.scores.reduce((sum, v) => sum + v, 0) / step.scores.length) * 100) / 100
+                : null
+        });
+    };
+    
+    const livenessResult = (passed) => ({
+        passed,
+        steps: stepResults,
+        completedAt: new Date().toISOString()
+    });
+    
+    return new Promise(resolve => {
+        // Stopping the scanner between frames clears the pending scan, so it settles the promise itself
+        attendanceScanCancel = () => resolve(null);
+        const finish = (result) => {
+            attendanceScanCancel = null;
+            stopAttendanceScanner();
+            resolve(result);
+        };
         
-        card.innerHTML = `
-            <div class="card-header">
-                <div>
-                    <div class="card-title">${project.name}</div>
-                    <div class="card-subtitle">${project.description || 'No description'}</div>
-                </div>
-                <span class="badge ${visibilityClass}">${visibilityText}</span>
-            </div>
-            <div class="card-body">
-                <div class="flex flex-wrap gap-2 mb-3">
-                    <span class="badge badge-primary">${project.category}</span>
-                    ${project.tags.slice(0, 3).map(tag => `<span class="badge badge-gray">${tag}</span>`).join('')}
-                    ${project.tags.length > 3 ? `<span class="badge badge-gray">+${project.tags.length - 3}</span>` : ''}
-                </div>
-                <div class="flex items-center gap-4 text-sm text-gray">
-                    <div class="flex items-center gap-1">
-                        <i class="fas fa-heart"></i>
-                        <span>${project.likes || 0}</span>
-                    </div>
-                    <div class="flex items-center gap-1">
-                        <i class="fas fa-eye"></i>
-                        <span>${project.views || 0}</span>
-                    </div>
-                    <div class="flex items-center gap-1">
-                        <i class="fas fa-code-branch"></i>
-                        <span>${project.forks || 0}</span>
-                    </div>
-                    <div class="ml-auto text-xs">
-                        Updated ${timeAgo}
-                    </div>
-                </div>
-            </div>
-            <div class="card-footer">
-                <div class="flex gap-2">
-                    <button class="btn btn-sm btn-primary" onclick="loadProjectIntoEditor(${project.id})">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="btn btn-sm btn-secondary" onclick="viewProject(${project.id})">
-                        <i class="fas fa-eye"></i> View
-                    </button>
-                    <button class="btn btn-sm ${isPublic ? 'btn-warning' : 'btn-success'}" 
-                            onclick="toggleProjectVisibility(${project.id})">
-                        <i class="fas fa-${isPublic ? 'eye-slash' : 'globe'}"></i>
-                        ${isPublic ? 'Make Private' : 'Make Public'}
-                    </button>
-                </div>
-                <button class="btn btn-sm btn-danger" onclick="deleteProject(${project.id})">
-                    <i class="fas fa-trash"></i>
-                </button>
-            </div>
-        `;
+        const scan = async () => {
+            // Stopped from the UI while the previous frame was processing
+            if (!attendanceStream) {
+                resolve(null);
+                return;
+            }
+            
+            let detection = null;
+            try {
+                detection = await matcher.detect(video);
+            } catch (error) {
+                console.error('Face detection failed:', error);
+            }
+            if (!attendanceStream) {
+                resolve(null);
+                return;
+            }
+            
+            const alignHud = document.getElementById('attHudAlign');
+            const scoreHud = document.getElementById('attHudScore');
+            const score = detection ? compareFaceDescriptors(detection.descriptor, reference, matcher) : 0;
+            
+            if (detection) {
+                drawFaceBox(canvas, video, detection.box, score >= THRESHOLD);
+                if (scoreHud) scoreHud.textContent = `SCORE: ${Math.round(score * 100)}%`;
+            } else {
+                clearFaceOverlay(canvas);
+            }
+            
+            if (!challenges) {
+                if (detection) {
+                    faceSeen = true;
+                    best = Math.max(best, score);
+                    streak = score >= THRESHOLD ? [...streak, score] : [];
+                    if (alignHud) alignHud.textContent = 'ALIGN: LOCKED';
+                    showScanProgress(true, 0,
+                        score >= THRESHOLD ? 'Match found, hold still...' : 'Face does not match the registered profile yet...');
+                    
+                    if (score >= HIGH_CONFIDENCE || streak.length >= MATCH_FRAMES) {
+                        confidence = score >= HIGH_CONFIDENCE
+                            ? score
+                            : streak.reduce((sum, v) => sum + v, 0) / streak.length;
+                        challenges = createLivenessChallenges(VERIFICATION_STEPS);
+                        startStep();
+                    }
+                } else {
+                    streak = [];
+                    if (alignHud) alignHud.textContent = 'ALIGN: NO FACE';
+                    showScanProgress(true, 0, 'No face detected. Keep your face centered in the frame.');
+                }
+                
+                if (!challenges && Date.now() - startedAt >= VERIFY_TIMEOUT) {
+                    finish({
+                        passed: false,
+                        confidence: best,
+                        liveness: null,
+                        reason: faceSeen ? `Face did not match (best score ${Math.round(best * 100)}%)` : 'No face detected'
+                    });
+                    return;
+                }
+            } else if (detection) {
+                // The registered face has to stay in frame for the whole challenge
+                mismatches = score >= THRESHOLD ? 0 : mismatches + 1;
+                if (score >= THRESHOLD) step.scores.push(score);
+                if (mismatches >= MATCH_FRAMES) {
+                    recordStep(false);
+                    finish({ passed: false, confidence, liveness: livenessResult(false), reason: 'Face changed during the liveness check' });
+                    return;
+                }
+                
+                if (evaluateLivenessStep(step.challenge, step.state, detection)) {
+                    recordStep(true);
+                    stepIndex++;
+                    if (stepIndex >= challenges.length) {
+                        showScanProgress(true, 100, 'Liveness confirmed');
+                        finish({ passed: true, confidence, liveness: livenessResult(true) });
+                        return;
+                    }
+                    startStep();
+                }
+            }
+            
+            if (challenges && Date.now() - step.startedAt >= STEP_TIMEOUT) {
+                recordStep(false);
+                finish({
+                    passed: false,
+                    confidence,
+                    liveness: livenessResult(false),
+                    reason: `Liveness check failed: "${LIVENESS_LABELS[step.challenge]}" was not completed in time`
+                });
+                return;
+            }
+            
+            attendanceScanInterval = setTimeout(scan, SAMPLE_INTERVAL);
+        };
         
-        grid.appendChild(card);
+        attendanceScanInterval = setTimeout(scan, SAMPLE_INTERVAL);
     });
 }
 
-function refreshMyProjects() {
-    loadMyProjects();
-    showToast('Projects list refreshed', 'success');
+// Liveness challenges: a printed photo or a still screen cannot blink or turn on request
+const LIVENESS_LABELS = {
+    blink: 'Blink your eyes',
+    turnLeft: 'Turn your head to the left',
+    turnRight: 'Turn your head to the right'
+};
+
+// Random challenge order without repeats back to back, with at least one blink and one head turn
+function createLivenessChallenges(count) {
+    const pool = ENTERPRISE_CONFIG.FACE.LIVENESS.CHALLENGES;
+    let steps;
+    do {
+        steps = [];
+        while (steps.length < count) {
+            const next = pool[Math.floor(Math.random() * pool.length)];
+            if (next !== steps[steps.length - 1]) steps.push(next);
+        }
+    } while (count >= 2 && !(steps.includes('blink') && steps.some(challenge => challenge !== 'blink')));
+    return steps;
+}
+
+// Updates the step state from one detection; returns true once the challenge is met.
+// `state.metric` keeps the most telling value (lowest eye ratio, widest yaw) for the audit trail.
+function evaluateLivenessStep(challenge, state, detection) {
+    const { BLINK_EAR, OPEN_EAR, YAW_OFFSET } = ENTERPRISE_CONFIG.FACE.LIVENESS;
+    const landmarks = detection.landmarks;
+    if (!landmarks || landmarks.length < 68) return false;
+    
+    if (challenge === 'blink') {
+        const ear = getEyeAspectRatio(landmarks);
+        state.metric = state.metric === undefined ? ear : Math.min(state.metric, ear);
+        if (ear >= OPEN_EAR) {
+            // Open, closed, open again
+            if (state.closed) return true;
+            state.opened = true;
+        } else if (ear <= BLINK_EAR && state.opened) {
+            state.closed = true;
+        }
+        return false;
+    }
+    
+    // The camera image is not mirrored, so turning to the user's left moves the nose right
+    const yaw = getHeadYaw(landmarks);
+    const offset = challenge === 'turnLeft' ? yaw - 0.5 : 0.5 - yaw;
+    state.metric = state.metric === undefined ? offset : Math.max(state.metric, offset);
+    return offset >= YAW_OFFSET;
+}
+
+// Eye aspect ratio over the 68-point landmark layout (eyes are points 36-41 and 42-47)
+function getEyeAspectRatio(landmarks) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const ratio = (p) => (distance(p[1], p[5]) + distance(p[2], p[4])) / (2 * distance(p[0], p[3]) || 1);
+    return (ratio(landmarks.slice(36, 42)) + ratio(landmarks.slice(42, 48))) / 2;
+}
+
+// Nose tip position between the jaw edges: 0.5 when facing the camera
+function getHeadYaw(landmarks) {
+    const left = landmarks[0].x;
+    const right = landmarks[16].x;
+    return right === left ? 0.5 : (landmarks[30].x - left) / (right - left);
+}
+
+function showScanProgress(visible, progress = 0, message = '') {
+    const area = document.getElementById('scanProgressArea');
+    const bar = document.getElementById('scanProgressBar');
+    const text = document.getElementById('scanProgressText');
+    if (area) area.classList.toggle('hidden', !visible);
+    if (bar) bar.style.width = `${progress}%`;
+    if (text && message) text.textContent = message;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Sessions are in local time, so attendance dates are local calendar dates too
+function formatLocalDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseTimeToMinutes(time) {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+function formatMinutesAsTime(total) {
+    return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function getGraceMinutes(session) {
+    return session.graceMinutes ?? ENTERPRISE_CONFIG.ATTENDANCE.DEFAULT_GRACE_MINUTES;
+}
+
+function formatCourseSchedule(sessions) {
+    return (sessions || [])
+        .slice()
+        .sort((a, b) => a.weekday - b.weekday || parseTimeToMinutes(a.start) - parseTimeToMinutes(b.start))
+        .map(session => `${WEEKDAYS[session.weekday]} ${session.start}–${session.end}`)
+        .join(', ');
+}
+
+// Reads strings like "Mon, Wed 09:00 AM" from before sessions were structured
+function parseLegacySchedule(schedule) {
+    const text = String(schedule || '');
+    const days = [...text.matchAll(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*/gi)]
+        .map(match => WEEKDAYS.findIndex(day => day.toLowerCase() === match[1].toLowerCase()));
+    const time = text.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+    if (!days.length || !time) return [];
+
+    let hours = Number(time[1]);
+    const meridiem = (time[3] || '').toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    const start = hours * 60 + Number(time[2]);
+    return [...new Set(days)].map((weekday, index) => ({
+        id: index + 1,
+        weekday,
+        start: formatMinutesAsTime(start),
+        end: formatMinutesAsTime(start + ENTERPRISE_CONFIG.ATTENDANCE.DEFAULT_SESSION_MINUTES),
+        graceMinutes: ENTERPRISE_CONFIG.ATTENDANCE.DEFAULT_GRACE_MINUTES
+    }));
+}
+
+// The occurrence of `session` on the given day, as { session, date, start, end }
+function getSessionOccurrence(session, day) {
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, parseTimeToMinutes(session.start));
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, parseTimeToMinutes(session.end));
+    return { session, date: formatLocalDate(day), start, end };
+}
+
+// The session currently open for check-in, from EARLY_CHECKIN_MINUTES before it starts until it ends
+function getCurrentSession(course, now = new Date()) {
+    const early = ENTERPRISE_CONFIG.ATTENDANCE.EARLY_CHECKIN_MINUTES * 60000;
+    return (course?.sessions || [])
+        .filter(session => session.weekday === now.getDay())
+        .map(session => getSessionOccurrence(session, now))
+        .find(occurrence => now >= occurrence.start - early && now <= occurrence.end) || null;
+}
+
+function isAttended(record) {
+    return record.status === 'Present' || record.status === 'Late';
 }
 
-function getTimeAgo(date) {
-    const now = new Date();
-    const diff = now - date;
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
-    
-    if (minutes < 1) return 'just now';
-    if (minutes < 60) return `${minutes}m ago`;
-    if (hours < 24) return `${hours}h ago`;
-    if (days < 30) return `${days}d ago`;
-    return date.toLocaleDateString();
+function getCourseStudents(course) {
+    const studentIds = getCourseEnrollments(course.id, ['student']).map(e => e.userId);
+    return appData.users.filter(u => u.status === 'active' && studentIds.includes(u.id));
 }
 
-// =========================================
-// 10. ATTENDANCE SYSTEM
-// =========================================
-function initGeolocation() {
-    if ("geolocation" in navigator) {
-        navigator.geolocation.getCurrentPosition(
-            (position) => {
-                const geoStatus = document.getElementById('geoStatus');
-                if (geoStatus) {
-                    geoStatus.innerHTML = `
-                        <i class="fas fa-map-marker-alt text-success"></i>
-                        Location: ${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}
-                    `;
-                }
-            },
-            (error) => {
-                console.warn("Geolocation error:", error);
-            },
-            { enableHighAccuracy: true, timeout: 5000 }
-        );
+// The student's course with a session open for check-in, else one without a timetable
+function getCheckInCourse(now = new Date()) {
+    const courses = getEnrolledCourses();
+    for (const course of courses) {
+        const occurrence = getCurrentSession(course, now);
+        if (occurrence) return { course, occurrence };
     }
+    return { course: courses.find(c => !(c.sessions || []).length) || null, occurrence: null };
 }
 
-function startAttendanceScanner() {
-    if (!currentUser.faceDescriptor) {
-        showToast('Face ID not registered. Please contact administrator.', 'warning');
-        return;
-    }
-    
-    const today = new Date().toISOString().split('T')[0];
-    const alreadyMarked = appData.attendance.some(a => 
-        a.userId === currentUser.id && a.date === today && a.status === 'Present'
-    );
-    
-    if (alreadyMarked) {
-        if (!confirm('Attendance already marked for today. Mark again?')) {
-            return;
-        }
-    }
-    
-    showToast('Starting attendance scanner...', 'info');
-    
-    // Simulate face scanning
-    updateAttendanceScannerStatus('Scanning', true);
-    const startBtn = document.getElementById('btnStartAttendance');
-    const stopBtn = document.getElementById('btnStopAttendance');
-    if (startBtn && stopBtn) {
-        startBtn.classList.add('hidden');
-        stopBtn.classList.remove('hidden');
-    }
-    attendanceScanInterval = setTimeout(() => {
-        markAttendanceSuccess({
-            latitude: 40.7128,
-            longitude: -74.0060,
-            accuracy: 10
-        }, 0.92);
-        stopAttendanceScanner();
-    }, 2000);
+// Check-ins, absences and console overrides all allocate ids here. Ids only grow, so the
+// highest id is the latest record (see findConsoleRecord).
+function nextAttendanceId() {
+    return appData.attendance.reduce((max, a) => Math.max(max, a.id), 0) + 1;
 }
 
-function stopAttendanceScanner() {
-    if (attendanceScanInterval) {
-        clearTimeout(attendanceScanInterval);
-        attendanceScanInterval = null;
-    }
-    updateAttendanceScannerStatus('Camera Off', false);
-    const startBtn = document.getElementById('btnStartAttendance');
-    const stopBtn = document.getElementById('btnStopAttendance');
-    if (startBtn && stopBtn) {
-        startBtn.classList.remove('hidden');
-        stopBtn.classList.add('hidden');
+// End-of-session job: every enrolled student without a record for a finished session gets an Absent record.
+// Only sessions that ended since the previous run (at most ABSENCE_LOOKBACK_DAYS back) are considered,
+// and the first run just sets the starting point so existing data is not backfilled.
+function generateAbsenceRecords(now = new Date()) {
+    if (!appData || dataLoadError) return 0;
+    const metadata = appData.metadata;
+    if (!metadata.absenceJobRunAt) {
+        metadata.absenceJobRunAt = now.toISOString();
+        saveAppData('metadata');
+        return 0;
     }
-}
 
-function testFaceVerification() {
-    if (!currentUser.faceDescriptor) {
-        showToast('Face ID not registered. Please contact administrator.', 'warning');
-        return;
+    const lookback = new Date(now.getTime() - ENTERPRISE_CONFIG.ATTENDANCE.ABSENCE_LOOKBACK_DAYS * 86400000);
+    const since = new Date(Math.max(new Date(metadata.absenceJobRunAt).getTime(), lookback.getTime()));
+    let nextId = nextAttendanceId();
+    let created = 0;
+
+    appData.courses.forEach(course => {
+        if (!(course.sessions || []).length) return;
+        const students = getCourseStudents(course);
+
+        for (let day = new Date(since.getFullYear(), since.getMonth(), since.getDate()); day <= now; day.setDate(day.getDate() + 1)) {
+            course.sessions
+                .filter(session => session.weekday === day.getDay())
+                .map(session => getSessionOccurrence(session, day))
+                .filter(occurrence => occurrence.end > since && occurrence.end <= now)
+                .forEach(occurrence => {
+                    students.forEach(student => {
+                        const hasRecord = appData.attendance.some(a =>
+                            a.userId === student.id && a.courseId == course.id && a.date === occurrence.date &&
+                            (!a.sessionId || a.sessionId === occurrence.session.id)
+                        );
+                        if (hasRecord) return;
+                        appData.attendance.push({
+                            id: nextId++,
+                            userId: student.id,
+                            courseId: course.id,
+                            date: occurrence.date,
+                            time: `${occurrence.session.start}:00`,
+                            status: 'Absent',
+                            sessionId: occurrence.session.id,
+                            method: 'Automatic',
+                            notes: 'No check-in recorded for this session',
+                            verified: false,
+                            createdAt: now.toISOString()
+                        });
+                        created++;
+                    });
+                });
+        }
+    });
+
+    metadata.absenceJobRunAt = now.toISOString();
+    saveAppData('attendance', 'metadata');
+    if (created) {
+        logSystem('ATTENDANCE_ABSENT', `Generated ${created} absence record(s)`, null);
     }
-    updateAttendanceScannerStatus('Testing', true);
-    setTimeout(() => {
-        updateAttendanceScannerStatus('Test Passed', false);
-        showToast('Face verification test passed', 'success');
-    }, 1200);
+    return created;
 }
 
-function markAttendanceSuccess(coords, confidence) {
+// checks: { liveness, geofence, occurrence } from the scan that preceded the check-in
+function markAttendanceSuccess(coords, confidence, checks = {}) {
+    const { liveness = null, geofence = null, occurrence = null, course = null } = checks;
     const now = new Date();
-    const dateStr = now.toISOString().split('T')[0];
+    const dateStr = occurrence ? occurrence.date : formatLocalDate(now);
     const timeStr = now.toTimeString().split(' ')[0];
+    const flagReason = geofence ? describeGeofence(geofence) : '';
+    const minutesLate = occurrence ? Math.max(0, Math.floor((now - occurrence.start) / 60000)) : 0;
+    const status = occurrence && minutesLate > getGraceMinutes(occurrence.session) ? 'Late' : 'Present';
     
     const attendanceRecord = {
-        id: Date.now(),
+        id: nextAttendanceId(),
         userId: currentUser.id,
-        courseId: currentUser.courseId,
+        courseId: course ? course.id : null,
         date: dateStr,
         time: timeStr,
-        lat: coords.latitude,
-        lng: coords.longitude,
+        lat: coords ? coords.latitude : null,
+        lng: coords ? coords.longitude : null,
+        locationAccuracy: coords ? coords.accuracy : null,
+        geofence,
+        flagged: Boolean(flagReason),
+        flagReason: flagReason || null,
         confidence: Math.round(confidence * 100) / 100,
-        status: 'Present',
+        status,
+        sessionId: occurrence ? occurrence.session.id : null,
+        minutesLate: status === 'Late' ? minutesLate : 0,
         method: 'FaceSafe Ultra Biometric',
-        notes: 'Automated face verification',
+        notes: liveness ? 'Automated face verification with liveness check' : 'Automated face verification',
         verified: true,
+        liveness,
         device: navigator.userAgent
     };
     
     appData.attendance.push(attendanceRecord);
-    saveAppData();
+    saveAppData('attendance');
     
-    showToast(`Attendance marked successfully at ${timeStr}`, 'success');
-    logSystem('ATTENDANCE', `Marked attendance with ${Math.round(confidence * 100)}% confidence`, currentUser.id);
+    if (status === 'Late') {
+        showToast(`Attendance marked as Late (${minutesLate} min) at ${timeStr}`, 'warning');
+    } else {
+        showToast(`Attendance marked successfully at ${timeStr}`, 'success');
+    }
+    logSystem('ATTENDANCE', `Marked ${status} with ${Math.round(confidence * 100)}% confidence`, currentUser.id);
+    if (flagReason) {
+        showToast(`Check-in flagged for review: ${flagReason}`, 'warning');
+        logSystem('ATTENDANCE_FLAGGED', flagReason, currentUser.id);
+    }
     
     updateAttendanceBadge();
     loadAttendanceHistory();
     refreshDashboard();
     
     setTimeout(() => {
-        alert(`✅ Attendance Confirmed!\n\nDate: ${dateStr}\nTime: ${timeStr}\nConfidence: ${Math.round(confidence * 100)}%`);
+        alert(`✅ Attendance Confirmed!\n\nDate: ${dateStr}\nTime: ${timeStr}\nStatus: ${status}\nConfidence: ${Math.round(confidence * 100)}%`);
     }, 500);
 }
 
@@ -1729,15 +7139,38 @@ function loadAttendanceHistory() {
                 <td>
                     <div class="text-sm">${locStr}</div>
                     ${record.locationAccuracy ? `<div class="text-xs text-gray">±${Math.round(record.locationAccuracy)}m</div>` : ''}
+                    ${record.geofence && record.geofence.status === 'inside' ? `<div class="text-xs text-success"><i class="fas fa-check"></i> ${escapeHtml(record.geofence.fence)}</div>` : ''}
+                    ${record.flagged ? `<span class="badge badge-warning mt-1" title="${escapeHtml(record.flagReason)}"><i class="fas fa-flag"></i> Flagged</span>` : ''}
+                </td>
+                <td>
+                    <span class="badge badge-info">${record.method}</span>
+                    ${renderLivenessSummary(record.liveness)}
                 </td>
-                <td><span class="badge badge-info">${record.method}</span></td>
                 <td>${confidence}</td>
-                <td><span class="badge ${statusClass}">${record.status}</span></td>
+                <td>
+                    <span class="badge ${statusClass}">${record.status}</span>
+                    ${record.minutesLate ? `<div class="text-xs text-gray mt-1">${record.minutesLate} min late</div>` : ''}
+                </td>
             </tr>
         `;
     });
 }
 
+function describeLivenessSteps(liveness) {
+    return liveness.steps
+        .map(step => `${LIVENESS_LABELS[step.challenge] || step.challenge}: ${step.passed ? 'passed' : 'failed'} in ${(step.durationMs / 1000).toFixed(1)}s`)
+        .join('\n');
+}
+
+function renderLivenessSummary(liveness) {
+    if (!liveness) return '';
+    return `
+        <div class="text-xs text-gray mt-1" title="${escapeHtml(describeLivenessSteps(liveness))}">
+            <i class="fas fa-shield-alt"></i> Liveness ${liveness.passed ? 'verified' : 'failed'} (${liveness.steps.length} steps)
+        </div>
+    `;
+}
+
 function exportAttendanceCSV() {
     const records = appData.attendance.filter(a => a.userId === currentUser.id);
     
@@ -1746,15 +7179,15 @@ function exportAttendanceCSV() {
         return;
     }
     
-    let csv = 'Date,Time,Course,Latitude,Longitude,Method,Confidence,Status\n';
+    let csv = 'Date,Time,Course,Latitude,Longitude,Accuracy,Method,Confidence,Status,Flag\n';
     
     records.forEach(record => {
         const course = appData.courses.find(c => c.id == record.courseId);
         const courseName = course ? course.name : 'General';
         
         csv += `"${record.date}","${record.time || ''}","${courseName}",`;
-        csv += `${record.lat || ''},${record.lng || ''},"${record.method}",`;
-        csv += `${record.confidence || ''},"${record.status}"\n`;
+        csv += `${record.lat || ''},${record.lng || ''},${record.locationAccuracy ? Math.round(record.locationAccuracy) : ''},"${record.method}",`;
+        csv += `${record.confidence || ''},"${record.status}","${record.flagReason || ''}"\n`;
     });
     
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -1771,23 +7204,552 @@ function exportAttendanceCSV() {
     logSystem('EXPORT', 'Exported attendance CSV', currentUser.id);
 }
 
+// Attendance console: lecturers and admins review one course session and correct records
+function loadAttendanceConsole() {
+    const courseSelect = document.getElementById('consoleCourseSelect');
+    const dateInput = document.getElementById('consoleDateInput');
+    const courses = appData.courses.filter(c => can('attendance.manage', { courseId: c.id }));
+    const selected = courseSelect.value;
+    
+    courseSelect.innerHTML = courses.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+    if (courses.some(c => String(c.id) === selected)) courseSelect.value = selected;
+    if (!dateInput.value) dateInput.value = formatLocalDate(new Date());
+    
+    populateConsoleSessions();
+    renderAttendanceConsole();
+}
+
+function populateConsoleSessions() {
+    const course = getConsoleCourse();
+    const sessionSelect = document.getElementById('consoleSessionSelect');
+    const day = parseLocalDate(document.getElementById('consoleDateInput').value);
+    const sessions = course && day ? (course.sessions || []).filter(session => session.weekday === day.getDay()) : [];
+    
+    sessionSelect.innerHTML = sessions.length
+        ? sessions.map(session => `<option value="${session.id}">${session.start}–${session.end}</option>`).join('')
+        : '<option value="">No scheduled session</option>';
+}
+
+function getConsoleCourse() {
+    const courseId = document.getElementById('consoleCourseSelect').value;
+    return appData.courses.find(c => String(c.id) === courseId) || null;
+}
+
+function getConsoleContext() {
+    const course = getConsoleCourse();
+    const date = document.getElementById('consoleDateInput').value;
+    const sessionValue = document.getElementById('consoleSessionSelect').value;
+    return { course, date, sessionId: sessionValue ? Number(sessionValue) : null };
+}
+
+function parseLocalDate(value) {
+    const [year, month, day] = String(value || '').split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+// The latest record of a student for the selected course, date and session
+function findConsoleRecord(userId, { course, date, sessionId }) {
+    return appData.attendance
+        .filter(a => a.userId === userId && a.courseId == course.id && a.date === date &&
+            (!sessionId || !a.sessionId || a.sessionId === sessionId))
+        .sort((a, b) => b.id - a.id)[0] || null;
+}
+
+function findFailedCheckIns(userId, { course, date, sessionId }) {
+    return appData.checkInFailures.filter(failure =>
+        failure.userId === userId && failure.courseId == course.id && failure.date === date &&
+        (!sessionId || !failure.sessionId || failure.sessionId === sessionId));
+}
+
+function renderFailedCheckIns(attempts) {
+    if (!attempts.length) return '';
+    const details = attempts.map(failure => {
+        const time = new Date(failure.createdAt).toLocaleTimeString();
+        return `${time}: ${failure.reason}${failure.liveness ? `\n${describeLivenessSteps(failure.liveness)}` : ''}`;
+    }).join('\n\n');
+    return `
+        <div class="text-xs text-danger mt-1" title="${escapeHtml(details)}">
+            <i class="fas fa-user-times"></i> ${attempts.length} failed check-in${attempts.length === 1 ? '' : 's'}
+        </div>
+    `;
+}
+
+function renderAttendanceConsole() {
+    const tbody = document.getElementById('attendanceConsoleTable');
+    const summary = document.getElementById('attendanceConsoleSummary');
+    const context = getConsoleContext();
+    
+    if (!context.course || !context.date) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-8 text-gray">No course available to manage.</td>
+            </tr>
+        `;
+        summary.textContent = '';
+        return;
+    }
+    if (!can('attendance.manage', { courseId: context.course.id })) return;
+    
+    const students = getCourseStudents(context.course);
+    const counts = { Present: 0, Late: 0, Absent: 0, Excused: 0, 'Not recorded': 0 };
+    
+    if (!students.length) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center py-8 text-gray">No students are enrolled in this course.</td>
+            </tr>
+        `;
+        summary.textContent = '';
+        return;
+    }
+    
+    tbody.innerHTML = students.map(student => {
+        const record = findConsoleRecord(student.id, context);
+        const status = record ? record.status : 'Not recorded';
+        counts[status] = (counts[status] || 0) + 1;
+        const statusClass = status === 'Present' ? 'badge-success' :
+                          status === 'Absent' ? 'badge-danger' :
+                          status === 'Late' ? 'badge-warning' :
+                          status === 'Excused' ? 'badge-info' : 'badge-gray';
+        
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(student.name)}</div>
+                    <div class="text-xs text-gray">${escapeHtml(student.username)}</div>
+                </td>
+                <td>
+                    <span class="badge ${statusClass}">${status}</span>
+                    ${record && record.minutesLate ? `<div class="text-xs text-gray mt-1">${record.minutesLate} min late</div>` : ''}
+                    ${record && record.flagged ? `<div class="text-xs text-warning mt-1" title="${escapeHtml(record.flagReason)}"><i class="fas fa-flag"></i> Flagged</div>` : ''}
+                </td>
+                <td>${record && record.status !== 'Absent' && record.method !== 'Manual' ? record.time || '-' : '-'}</td>
+                <td>
+                    ${record ? `<span class="badge badge-info">${escapeHtml(record.method)}</span>` : '-'}
+                    ${record ? renderLivenessSummary(record.liveness) : ''}
+                    ${renderFailedCheckIns(findFailedCheckIns(student.id, context))}
+                </td>
+                <td class="text-sm">
+                    ${record ? escapeHtml(record.notes || '') : ''}
+                    ${record && record.history && record.history.length ? `<div class="text-xs text-gray mt-1"><i class="fas fa-history"></i> ${record.history.length} edit(s)</div>` : ''}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-outline" onclick="openAttendanceEdit(${student.id})" title="Edit attendance">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    summary.textContent = Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `${label}: ${count}`)
+        .join(' • ');
+}
+
+function openAttendanceEdit(userId) {
+    const context = getConsoleContext();
+    if (!context.course || !requirePermission('attendance.manage', { courseId: context.course.id })) return;
+    const student = appData.users.find(u => u.id === userId);
+    if (!student) return;
+    
+    const record = findConsoleRecord(userId, context);
+    document.getElementById('attendanceEditForm').reset();
+    document.getElementById('attendanceEditUserId').value = userId;
+    document.getElementById('attendanceEditRecordId').value = record ? record.id : '';
+    document.getElementById('attendanceEditStudent').textContent =
+        `${student.name} • ${context.course.code} • ${context.date}`;
+    document.getElementById('attendanceEditStatus').value = record ? record.status : 'Present';
+    
+    const history = document.getElementById('attendanceEditHistory');
+    const entries = record && record.history ? record.history.slice().reverse() : [];
+    history.innerHTML = entries.length ? entries.map(entry => `
+        <div class="attendance-history-entry">
+            <div class="flex justify-between text-xs text-gray">
+                <span>${escapeHtml(entry.byName)}</span>
+                <span>${new Date(entry.at).toLocaleString()}</span>
+            </div>
+            <div class="text-sm">
+                ${entry.from ? `${entry.from} → ` : 'Created as '}<strong>${entry.to}</strong>
+            </div>
+            <div class="text-xs text-gray">${escapeHtml(entry.reason)}</div>
+        </div>
+    `).join('') : '<p class="text-sm text-gray">No manual changes yet.</p>';
+    
+    openModal('attendanceEditModal');
+}
+
+function handleSaveAttendanceEdit(e) {
+    e.preventDefault();
+    const context = getConsoleContext();
+    if (!context.course || !requirePermission('attendance.manage', { courseId: context.course.id })) return;
+    
+    const userId = Number(document.getElementById('attendanceEditUserId').value);
+    const recordId = Number(document.getElementById('attendanceEditRecordId').value);
+    const status = document.getElementById('attendanceEditStatus').value;
+    const reason = document.getElementById('attendanceEditReason').value.trim();
+    
+    if (!reason) {
+        showToast(status === 'Excused' ? 'Please add a note for the excused absence' : 'Please give a reason for the change', 'error');
+        return;
+    }
+    
+    const now = new Date().toISOString();
+    const entry = { at: now, by: currentUser.id, byName: currentUser.name, from: null, to: status, reason };
+    let record = recordId ? appData.attendance.find(a => a.id === recordId) : null;
+    
+    if (record) {
+        entry.from = record.status;
+        record.status = status;
+        record.notes = reason;
+        record.minutesLate = status === 'Late' ? record.minutesLate || 0 : 0;
+        record.updatedAt = now;
+        record.history = [...(record.history || []), entry];
+    } else {
+        const session = (context.course.sessions || []).find(s => s.id === context.sessionId);
+        record = {
+            id: nextAttendanceId(),
+            userId,
+            courseId: context.course.id,
+            date: context.date,
+            time: session ? `${session.start}:00` : null,
+            status,
+            sessionId: context.sessionId,
+            minutesLate: 0,
+            method: 'Manual',
+            notes: reason,
+            verified: false,
+            createdAt: now,
+            history: [entry]
+        };
+        appData.attendance.push(record);
+    }
+    
+    saveAppData('attendance');
+    closeModal('attendanceEditModal');
+    showToast(`Attendance set to ${status}`, 'success');
+    const student = appData.users.find(u => u.id === userId);
+    logSystem('ATTENDANCE_OVERRIDE',
+        `${student ? student.username : userId} ${context.course.code} ${context.date}: ${entry.from || 'none'} → ${status} (${reason})`,
+        currentUser.id);
+    renderAttendanceConsole();
+}
+
+function exportAttendanceConsoleCSV() {
+    const context = getConsoleContext();
+    if (!context.course || !requirePermission('attendance.manage', { courseId: context.course.id })) return;
+    
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    let csv = 'Student,Username,Date,Status,Time,Method,Notes,Edits\n';
+    getCourseStudents(context.course).forEach(student => {
+        const record = findConsoleRecord(student.id, context);
+        csv += [
+            student.name,
+            student.username,
+            context.date,
+            record ? record.status : 'Not recorded',
+            record ? record.time : '',
+            record ? record.method : '',
+            record ? record.notes : '',
+            record && record.history ? record.history.length : 0
+        ].map(quote).join(',') + '\n';
+    });
+    
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `attendance_${context.course.code}_${context.date}.csv`);
+    showToast('Attendance exported as CSV', 'success');
+    logSystem('EXPORT', `Exported attendance for ${context.course.code} on ${context.date}`, currentUser.id);
+}
+
+// Attendance analytics over a date range (inclusive, YYYY-MM-DD). Rates are attended / (attended + absent);
+// excused records count towards neither side and do not break streaks.
+function computeAttendanceAnalytics(courses, from, to) {
+    const { CHRONIC_ABSENCE_RATE, CHRONIC_MIN_SESSIONS } = ENTERPRISE_CONFIG.ATTENDANCE;
+    const emptyTally = () => ({ present: 0, late: 0, absent: 0, excused: 0, attended: 0, rate: null });
+    const tally = (target, record) => {
+        if (record.status === 'Present') target.present++;
+        else if (record.status === 'Late') target.late++;
+        else if (record.status === 'Absent') target.absent++;
+        else if (record.status === 'Excused') target.excused++;
+        target.attended = target.present + target.late;
+        target.rate = target.attended + target.absent ? target.attended / (target.attended + target.absent) : null;
+    };
+    
+    // A session marked again keeps several records; like the console, only the latest one counts
+    const courseIds = new Set(courses.map(c => String(c.id)));
+    const latest = new Map();
+    appData.attendance
+        .filter(a => courseIds.has(String(a.courseId)) && a.date >= from && a.date <= to)
+        .forEach(a => {
+            const key = `${a.userId}:${a.courseId}:${a.date}:${a.sessionId || ''}`;
+            if (!latest.has(key) || latest.get(key).id < a.id) latest.set(key, a);
+        });
+    const records = [...latest.values()]
+        .sort((a, b) => `${a.date}T${a.time || ''}`.localeCompare(`${b.date}T${b.time || ''}`) || a.id - b.id);
+    
+    const overall = emptyTally();
+    const courseStats = new Map(courses.map(course => [String(course.id), {
+        course,
+        students: getCourseStudents(course).length,
+        ...emptyTally(),
+        weekdays: WEEKDAYS.map(() => emptyTally())
+    }]));
+    const studentStats = new Map();
+    
+    records.forEach(record => {
+        const courseStat = courseStats.get(String(record.courseId));
+        tally(overall, record);
+        tally(courseStat, record);
+        tally(courseStat.weekdays[parseLocalDate(record.date).getDay()], record);
+        
+        const key = `${record.userId}:${record.courseId}`;
+        if (!studentStats.has(key)) {
+            const user = appData.users.find(u => u.id === record.userId);
+            studentStats.set(key, {
+                user,
+                course: courseStat.course,
+                ...emptyTally(),
+                currentStreak: 0,
+                longestStreak: 0,
+                lastAttended: null
+            });
+        }
+        const studentStat = studentStats.get(key);
+        tally(studentStat, record);
+        if (isAttended(record)) {
+            studentStat.currentStreak++;
+            studentStat.longestStreak = Math.max(studentStat.longestStreak, studentStat.currentStreak);
+            studentStat.lastAttended = record.date;
+        } else if (record.status === 'Absent') {
+            studentStat.currentStreak = 0;
+        }
+    });
+    
+    const students = [...studentStats.values()]
+        .filter(stat => stat.user)
+        .map(stat => {
+            const sessions = stat.attended + stat.absent;
+            return {
+                ...stat,
+                chronic: sessions >= CHRONIC_MIN_SESSIONS && stat.absent / sessions >= CHRONIC_ABSENCE_RATE
+            };
+        })
+        .sort((a, b) => (a.rate ?? 1) - (b.rate ?? 1) || a.user.name.localeCompare(b.user.name));
+    
+    return {
+        from,
+        to,
+        overall,
+        courses: [...courseStats.values()],
+        students,
+        chronic: students.filter(stat => stat.chronic)
+    };
+}
+
+// Today's check-ins against the enrolled roster: each student is expected at every session held
+// today (once for courses without a timetable), whether or not a record exists yet. Excused
+// students are left out.
+function computeTodayAttendance(now = new Date()) {
+    const date = formatLocalDate(now);
+    let expected = 0;
+    let attended = 0;
+    appData.courses.forEach(course => {
+        const sessions = (course.sessions || []).filter(session => session.weekday === now.getDay());
+        if ((course.sessions || []).length && !sessions.length) return;
+        const sessionIds = sessions.length ? sessions.map(session => session.id) : [null];
+        getCourseStudents(course).forEach(student => sessionIds.forEach(sessionId => {
+            const record = findConsoleRecord(student.id, { course, date, sessionId });
+            if (record && record.status === 'Excused') return;
+            expected++;
+            if (record && isAttended(record)) attended++;
+        }));
+    });
+    return { attended, expected, rate: expected ? attended / expected : null };
+}
+
+function formatRate(rate) {
+    return rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+// Keeps the figures of the latest exported report per course in analytics.attendanceStats
+function storeAttendanceStats(report) {
+    const stats = appData.analytics.attendanceStats || {};
+    stats.courses = stats.courses || {};
+    report.courses.forEach(stat => {
+        stats.courses[stat.course.id] = {
+            from: report.from,
+            to: report.to,
+            students: stat.students,
+            present: stat.present,
+            late: stat.late,
+            absent: stat.absent,
+            excused: stat.excused,
+            rate: stat.rate === null ? null : Math.round(stat.rate * 1000) / 1000,
+            chronicAbsentees: report.chronic.filter(s => s.course.id === stat.course.id).map(s => s.user.id)
+        };
+    });
+    stats.updatedAt = new Date().toISOString();
+    appData.analytics.attendanceStats = stats;
+    saveAppData('analytics');
+}
+
+function loadAttendanceReports() {
+    const courseSelect = document.getElementById('reportCourseSelect');
+    const fromInput = document.getElementById('reportFromInput');
+    const toInput = document.getElementById('reportToInput');
+    const courses = appData.courses.filter(c => can('attendance.manage', { courseId: c.id }));
+    const selected = courseSelect.value;
+    
+    courseSelect.innerHTML = `<option value="">All courses</option>` +
+        courses.map(c => `<option value="${c.id}">${c.code} - ${c.name}</option>`).join('');
+    if (courses.some(c => String(c.id) === selected)) courseSelect.value = selected;
+    
+    if (!toInput.value) toInput.value = formatLocalDate(new Date());
+    if (!fromInput.value) {
+        const from = new Date();
+        from.setDate(from.getDate() - ENTERPRISE_CONFIG.ATTENDANCE.REPORT_DAYS + 1);
+        fromInput.value = formatLocalDate(from);
+    }
+    
+    renderAttendanceReports();
+}
+
+function getAttendanceReport() {
+    const courseId = document.getElementById('reportCourseSelect').value;
+    const from = document.getElementById('reportFromInput').value;
+    const to = document.getElementById('reportToInput').value;
+    const courses = appData.courses.filter(c =>
+        can('attendance.manage', { courseId: c.id }) && (!courseId || String(c.id) === courseId)
+    );
+    if (!from || !to || from > to) {
+        showToast('Choose a valid date range', 'warning');
+        return null;
+    }
+    return computeAttendanceAnalytics(courses, from, to);
+}
+
+function renderAttendanceReports() {
+    const report = getAttendanceReport();
+    if (!report) return;
+    
+    document.getElementById('reportOverallRate').textContent = formatRate(report.overall.rate);
+    document.getElementById('reportOverallTrend').textContent =
+        `${report.overall.attended} attended • ${report.overall.absent} absent • ${report.overall.excused} excused`;
+    document.getElementById('reportLateCount').textContent = report.overall.late;
+    document.getElementById('reportChronicCount').textContent = report.chronic.length;
+    document.getElementById('reportBestStreak').textContent =
+        report.students.reduce((max, stat) => Math.max(max, stat.longestStreak), 0);
+    
+    document.getElementById('reportCoursesTable').innerHTML = report.courses.map(stat => `
+        <tr>
+            <td>
+                <div class="font-bold text-sm">${escapeHtml(stat.course.code)}</div>
+                <div class="text-xs text-gray">${escapeHtml(stat.course.name)}</div>
+            </td>
+            <td>${stat.students}</td>
+            <td>${stat.present}</td>
+            <td>${stat.late}</td>
+            <td>${stat.absent}</td>
+            <td>${stat.excused}</td>
+            <td class="font-bold">${formatRate(stat.rate)}</td>
+        </tr>
+    `).join('') || `<tr><td colspan="7" class="text-center py-6 text-gray">No courses to report on.</td></tr>`;
+    
+    const heatCell = (cell) => {
+        if (cell.rate === null) return `<td class="heatmap-cell empty">–</td>`;
+        // Red for low attendance through green for full attendance
+        const hue = Math.round(cell.rate * 120);
+        return `<td class="heatmap-cell" style="background: hsl(${hue}, 70%, 85%);" title="${cell.attended}/${cell.attended + cell.absent}">${formatRate(cell.rate)}</td>`;
+    };
+    document.getElementById('reportHeatmapTable').innerHTML = report.courses.map(stat => `
+        <tr>
+            <td class="font-bold text-sm">${escapeHtml(stat.course.code)}</td>
+            ${[1, 2, 3, 4, 5, 6, 0].map(day => heatCell(stat.weekdays[day])).join('')}
+        </tr>
+    `).join('');
+    
+    document.getElementById('reportStudentsTable').innerHTML = report.students.map(stat => `
+        <tr>
+            <td>
+                <div class="font-bold text-sm">${escapeHtml(stat.user.name)}</div>
+                <div class="text-xs text-gray">${escapeHtml(stat.user.username)}</div>
+            </td>
+            <td>${escapeHtml(stat.course.code)}</td>
+            <td>${stat.present} / ${stat.late} / ${stat.absent} / ${stat.excused}</td>
+            <td class="font-bold ${stat.chronic ? 'text-danger' : ''}">${formatRate(stat.rate)}</td>
+            <td>${stat.currentStreak} <span class="text-xs text-gray">(best ${stat.longestStreak})</span></td>
+            <td>${stat.lastAttended || '–'}</td>
+            <td>${stat.chronic ? '<span class="badge badge-danger"><i class="fas fa-exclamation-triangle"></i> Chronic</span>' : ''}</td>
+        </tr>
+    `).join('') || `<tr><td colspan="7" class="text-center py-6 text-gray">No attendance records in this range.</td></tr>`;
+}
+
+// Rows shared by the CSV and XLSX exports
+function getAttendanceReportSheets(report) {
+    const percent = (rate) => rate === null ? '' : Math.round(rate * 1000) / 10;
+    return [
+        {
+            name: 'Courses',
+            rows: [
+                ['Course', 'Name', 'Students', 'Present', 'Late', 'Absent', 'Excused', 'Rate %'],
+                ...report.courses.map(stat => [stat.course.code, stat.course.name, stat.students,
+                    stat.present, stat.late, stat.absent, stat.excused, percent(stat.rate)])
+            ]
+        },
+        {
+            name: 'Students',
+            rows: [
+                ['Student', 'Username', 'Course', 'Present', 'Late', 'Absent', 'Excused', 'Rate %',
+                    'Current Streak', 'Longest Streak', 'Last Attended', 'Chronic Absentee'],
+                ...report.students.map(stat => [stat.user.name, stat.user.username, stat.course.code,
+                    stat.present, stat.late, stat.absent, stat.excused, percent(stat.rate),
+                    stat.currentStreak, stat.longestStreak, stat.lastAttended || '', stat.chronic ? 'Yes' : 'No'])
+            ]
+        },
+        {
+            name: 'Weekdays',
+            rows: [
+                ['Course', ...[1, 2, 3, 4, 5, 6, 0].map(day => `${WEEKDAYS[day]} %`)],
+                ...report.courses.map(stat => [stat.course.code,
+                    ...[1, 2, 3, 4, 5, 6, 0].map(day => percent(stat.weekdays[day].rate))])
+            ]
+        }
+    ];
+}
+
+function exportAttendanceReport(format) {
+    const report = getAttendanceReport();
+    if (!report) return;
+    storeAttendanceStats(report);
+    
+    const sheets = getAttendanceReportSheets(report);
+    const baseName = `attendance_report_${report.from}_${report.to}`;
+    
+    if (format === 'xlsx') {
+        downloadBlob(createXlsxWorkbook(sheets), `${baseName}.xlsx`);
+    } else {
+        const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const csv = sheets[1].rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+        downloadBlob(new Blob([csv], { type: 'text/csv' }), `${baseName}.csv`);
+    }
+    
+    showToast(`Attendance report exported as ${format.toUpperCase()}`, 'success');
+    logSystem('EXPORT', `Exported attendance report ${report.from} to ${report.to} (${format})`, currentUser.id);
+}
+
 // =========================================
 // 11. ADMIN FUNCTIONS
 // =========================================
 function loadAdminUsers() {
     const tbody = document.getElementById('adminUsersTable');
-    const courseSelect = document.getElementById('userCourseInput');
-    
-    courseSelect.innerHTML = '<option value="">No Course</option>' + 
-        appData.courses.map(c => 
-            `<option value="${c.id}">${c.code} - ${c.name}</option>`
-        ).join('');
     
+    populateRoleSelect();
     tbody.innerHTML = '';
     
     appData.users.forEach(u => {
-        const course = appData.courses.find(c => c.id == u.courseId);
+        const courseLabels = formatUserEnrollments(u.id);
         const hasFace = u.faceDescriptor ? true : false;
+        const locked = isAccountLocked(u);
         const lastLogin = u.lastLogin ? 
             new Date(u.lastLogin).toLocaleDateString() : 'Never';
         
@@ -1804,9 +7766,15 @@ function loadAdminUsers() {
                         </div>
                     </div>
                 </td>
-                <td>${u.username}</td>
-                <td><span class="badge badge-primary">${u.role}</span></td>
-                <td>${course ? course.name : '<span class="text-gray">None</span>'}</td>
+                <td>
+                    <div>${u.username}</div>
+                    ${locked ? `
+                    <span class="badge badge-danger mt-1" title="Locked until ${new Date(u.lockedUntil).toLocaleString()}">
+                        <i class="fas fa-lock"></i> Locked
+                    </span>` : ''}
+                </td>
+                <td><span class="badge badge-primary">${getRoleName(u.role)}</span></td>
+                <td>${courseLabels || '<span class="text-gray">None</span>'}</td>
                 <td>
                     <div class="flex flex-col gap-1">
                         <span class="badge ${hasFace ? 'badge-success' : 'badge-warning'}">
@@ -1824,6 +7792,11 @@ function loadAdminUsers() {
                         <button class="btn btn-sm btn-outline" onclick="editUser(${u.id})">
                             <i class="fas fa-edit"></i>
                         </button>
+                        ${locked ? `
+                        <button class="btn btn-sm btn-warning" onclick="unlockUser(${u.id})" title="Unlock Account">
+                            <i class="fas fa-unlock"></i>
+                        </button>
+                        ` : ''}
                         ${u.id !== currentUser.id ? `
                         <button class="btn btn-sm btn-danger" onclick="deleteUser(${u.id})">
                             <i class="fas fa-trash"></i>
@@ -1859,9 +7832,12 @@ function loadAdminCourses() {
     grid.innerHTML = '';
     
     courses.forEach(course => {
-        const studentCount = appData.users.filter(u => 
-            u.courseId == course.id && u.role === 'student'
-        ).length;
+        const studentCount = getCourseStudents(course).length;
+        const staff = getCourseEnrollments(course.id, ['lecturer', 'ta'])
+            .map(e => ({ role: e.role, user: appData.users.find(u => u.id === e.userId) }))
+            .filter(member => member.user);
+        const lecturers = staff.filter(member => member.role === 'lecturer').map(member => member.user.name);
+        const assistants = staff.filter(member => member.role === 'ta').map(member => member.user.name);
         
         const materialCount = appData.materials.filter(m => 
             m.courseId == course.id
@@ -1875,7 +7851,7 @@ function loadAdminCourses() {
                 <div>
                     <div class="badge badge-primary mb-2">${course.code}</div>
                     <div class="card-title">${course.name}</div>
-                    <div class="card-subtitle">${course.lecturer}</div>
+                    <div class="card-subtitle">${escapeHtml(lecturers.join(', ') || course.lecturer)}</div>
                 </div>
                 <div class="text-right">
                     <div class="text-sm text-gray">${studentCount} students</div>
@@ -1887,12 +7863,21 @@ function loadAdminCourses() {
                 <div class="flex flex-col gap-1 text-sm">
                     <div class="flex items-center gap-2">
                         <i class="fas fa-clock text-gray-400"></i>
-                        <span>${course.schedule || 'Schedule not set'}</span>
+                        <span>${formatCourseSchedule(course.sessions) || course.schedule || 'Schedule not set'}</span>
                     </div>
                     <div class="flex items-center gap-2">
                         <i class="fas fa-star text-gray-400"></i>
                         <span>${course.credits || 0} credits</span>
                     </div>
+                    ${assistants.length ? `
+                    <div class="flex items-center gap-2">
+                        <i class="fas fa-user-friends text-gray-400"></i>
+                        <span>TAs: ${escapeHtml(assistants.join(', '))}</span>
+                    </div>` : ''}
+                    <div class="flex items-center gap-2">
+                        <i class="fas fa-map-marker-alt text-gray-400"></i>
+                        <span>${(course.geofences || []).length ? (course.geofences || []).map(f => escapeHtml(f.name)).join(', ') : 'No classroom locations'}</span>
+                    </div>
                 </div>
             </div>
             <div class="card-footer">
@@ -1913,7 +7898,7 @@ function loadAdminCourses() {
 
 function loadAdminMaterials() {
     const tbody = document.getElementById('adminMaterialsTable');
-    const materials = appData.materials;
+    const materials = appData.materials.filter(m => can('materials.write', { courseId: m.courseId }));
     
     if (materials.length === 0) {
         tbody.innerHTML = `
@@ -1943,6 +7928,7 @@ function loadAdminMaterials() {
                        material.type === 'code' ? 'fa-code' :
                        material.type === 'video' ? 'fa-file-video' :
                        material.type === 'doc' ? 'fa-file-word' :
+                       material.type === 'image' ? 'fa-file-image' :
                        material.type === 'link' ? 'fa-link' : 'fa-file';
         
         tbody.innerHTML += `
@@ -1973,20 +7959,25 @@ function loadAdminMaterials() {
 }
 
 function openUserModal() {
+    if (!requirePermission('users.manage')) return;
     const form = document.getElementById('userForm');
     form.reset();
+    populateRoleSelect();
     document.getElementById('userId').value = '';
     document.getElementById('userPassInput').required = true;
     document.getElementById('userPassInput').value = '';
     document.getElementById('userPassInput').placeholder = '';
+    renderEnrollmentRows([]);
     openModal('userModal');
 }
 
 function editUser(userId) {
+    if (!requirePermission('users.manage')) return;
     const user = appData.users.find(u => u.id === userId);
     if (!user) return;
     const form = document.getElementById('userForm');
     form.reset();
+    populateRoleSelect();
     document.getElementById('userId').value = user.id;
     document.getElementById('userNameInput').value = user.name;
     document.getElementById('userEmailInput').value = user.email || '';
@@ -1995,27 +7986,34 @@ function editUser(userId) {
     document.getElementById('userPassInput').value = '';
     document.getElementById('userPassInput').placeholder = 'Leave blank to keep existing password';
     document.getElementById('userRoleInput').value = user.role;
-    document.getElementById('userCourseInput').value = user.courseId || '';
+    renderEnrollmentRows(getUserEnrollments(user.id));
     document.getElementById('userNotesInput').value = user.notes || '';
     openModal('userModal');
 }
 
-function handleSaveUser(e) {
+async function handleSaveUser(e) {
     e.preventDefault();
+    if (!requirePermission('users.manage')) return;
     const userId = document.getElementById('userId').value;
     const name = document.getElementById('userNameInput').value.trim();
     const email = document.getElementById('userEmailInput').value.trim();
     const username = document.getElementById('userUsernameInput').value.trim();
     const password = document.getElementById('userPassInput').value.trim();
     const role = document.getElementById('userRoleInput').value;
-    const courseId = document.getElementById('userCourseInput').value;
     const notes = document.getElementById('userNotesInput').value.trim();
+    const enrollments = readEnrollmentRows();
+    if (!enrollments) return;
 
     if (!name || !email || !username) {
         showToast('Please fill all required fields', 'error');
         return;
     }
 
+    if (!getRole(role)) {
+        showToast('Please choose a valid role', 'error');
+        return;
+    }
+
     const emailExists = appData.users.some(u => u.email === email && String(u.id) !== String(userId));
     const usernameExists = appData.users.some(u => u.username === username && String(u.id) !== String(userId));
     if (emailExists || usernameExists) {
@@ -2028,25 +8026,35 @@ function handleSaveUser(e) {
         return;
     }
 
+    let credentials = null;
+    if (password) {
+        try {
+            credentials = await createPasswordRecord(password);
+        } catch (error) {
+            console.error("Failed to hash password:", error);
+            showToast('Unable to secure the password in this browser', 'error');
+            return;
+        }
+    }
+
     if (userId) {
         const userIndex = appData.users.findIndex(u => String(u.id) === String(userId));
         if (userIndex === -1) return;
         const existing = appData.users[userIndex];
-        const oldCourseId = existing.courseId;
         const updatedUser = {
             ...existing,
             name,
             email,
             username,
             role,
-            courseId: courseId ? Number(courseId) : null,
             notes,
-            password: password ? password : existing.password
+            ...(credentials || {})
         };
+        if (credentials) delete updatedUser.password;
         appData.users[userIndex] = updatedUser;
-        syncCourseMembership(existing.id, oldCourseId, courseId ? Number(courseId) : null);
+        setUserEnrollments(existing.id, enrollments);
         if (currentUser && currentUser.id === updatedUser.id) {
-            currentUser = { ...updatedUser };
+            currentUser = toSessionUser(updatedUser);
             sessionStorage.setItem('currentUser', JSON.stringify(currentUser));
             showDashboard();
         }
@@ -2056,11 +8064,10 @@ function handleSaveUser(e) {
         const newUser = {
             id: Date.now(),
             username,
-            password,
+            ...credentials,
             email,
             name,
             role,
-            courseId: courseId ? Number(courseId) : null,
             faceDescriptor: null,
             createdAt: new Date().toISOString(),
             lastLogin: null,
@@ -2070,31 +8077,39 @@ function handleSaveUser(e) {
             notes
         };
         appData.users.push(newUser);
-        syncCourseMembership(newUser.id, null, newUser.courseId);
+        setUserEnrollments(newUser.id, enrollments);
         showToast('User created successfully', 'success');
         logSystem('USER_CREATE', `Created user: ${name}`, currentUser.id);
     }
 
-    saveAppData();
+    saveAppData('users', 'enrollments');
     closeModal('userModal');
     loadAdminUsers();
     refreshDashboard();
 }
 
 function deleteUser(userId) {
+    if (!requirePermission('users.manage')) return;
     const user = appData.users.find(u => u.id === userId);
     if (!user) return;
     if (!confirm(`Delete user ${user.name}? This action cannot be undone.`)) return;
 
     appData.users = appData.users.filter(u => u.id !== userId);
     appData.attendance = appData.attendance.filter(a => a.userId !== userId);
+    const removedProjectIds = appData.projects.filter(p => p.userId === userId).map(p => p.id);
     appData.projects = appData.projects.filter(p => p.userId !== userId);
+    appData.projectVersions = appData.projectVersions.filter(v => !removedProjectIds.includes(v.projectId));
+    appData.drafts = appData.drafts.filter(d => d.userId !== userId);
+    appData.checkInFailures = appData.checkInFailures.filter(f => f.userId !== userId);
+    appData.submissions = appData.submissions.filter(s => s.userId !== userId);
+    appData.grades = appData.grades.filter(g => g.userId !== userId);
+    appData.quizAttempts = appData.quizAttempts.filter(a => a.userId !== userId);
     appData.groupMessages = appData.groupMessages.filter(m => m.userId !== userId);
     appData.groups = appData.groups.map(group => ({
         ...group,
         memberIds: group.memberIds.filter(id => id !== userId)
     }));
-    syncCourseMembership(userId, user.courseId, null);
+    appData.enrollments = appData.enrollments.filter(e => e.userId !== userId);
 
     saveAppData();
     showToast('User deleted successfully', 'success');
@@ -2103,16 +8118,30 @@ function deleteUser(userId) {
     refreshDashboard();
 }
 
+function unlockUser(userId) {
+    if (!requirePermission('users.manage')) return;
+    const user = appData.users.find(u => u.id === userId);
+    if (!user) return;
+
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    saveAppData('users');
+
+    showToast(`${user.name} has been unlocked`, 'success');
+    logSystem('ACCOUNT_UNLOCKED', `Unlocked account: ${user.username}`, currentUser.id);
+    loadAdminUsers();
+}
+
 function exportUsersCSV() {
+    if (!requirePermission('users.manage')) return;
     if (!appData.users.length) {
         showToast('No users to export', 'warning');
         return;
     }
-    let csv = 'Name,Username,Email,Role,Course,Status,Created At\n';
+    let csv = 'Name,Username,Email,Role,Courses,Status,Created At\n';
     appData.users.forEach(user => {
-        const course = appData.courses.find(c => c.id === user.courseId);
-        csv += `"${user.name}","${user.username}","${user.email || ''}","${user.role}",`;
-        csv += `"${course ? course.code : ''}","${user.status}","${user.createdAt}"\n`;
+        csv += `"${user.name}","${user.username}","${user.email || ''}","${getRoleName(user.role)}",`;
+        csv += `"${formatUserEnrollments(user.id)}","${user.status}","${user.createdAt}"\n`;
     });
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -2128,40 +8157,54 @@ function exportUsersCSV() {
 }
 
 function openCourseModal() {
+    if (!requirePermission('courses.manage')) return;
     const form = document.getElementById('courseForm');
     form.reset();
     document.getElementById('courseId').value = '';
+    document.getElementById('courseGeofencePolicy').value = ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_POLICY;
+    renderGeofenceRows([]);
+    renderSessionRows([]);
     openModal('courseModal');
 }
 
 function editCourse(courseId) {
+    if (!requirePermission('courses.manage')) return;
     const course = appData.courses.find(c => c.id === courseId);
     if (!course) return;
     document.getElementById('courseId').value = course.id;
     document.getElementById('courseCode').value = course.code;
     document.getElementById('courseName').value = course.name;
     document.getElementById('courseLecturer').value = course.lecturer;
-    document.getElementById('courseSchedule').value = course.schedule || '';
+    renderSessionRows(course.sessions || []);
     document.getElementById('courseDesc').value = course.description || '';
     document.getElementById('courseCredits').value = course.credits || '';
+    document.getElementById('courseGeofencePolicy').value = course.geofencePolicy || ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_POLICY;
+    renderGeofenceRows(course.geofences || []);
     openModal('courseModal');
 }
 
 function handleSaveCourse(e) {
     e.preventDefault();
+    if (!requirePermission('courses.manage')) return;
     const courseId = document.getElementById('courseId').value;
     const code = document.getElementById('courseCode').value.trim();
     const name = document.getElementById('courseName').value.trim();
     const lecturer = document.getElementById('courseLecturer').value.trim();
-    const schedule = document.getElementById('courseSchedule').value.trim();
     const description = document.getElementById('courseDesc').value.trim();
     const credits = Number(document.getElementById('courseCredits').value) || 0;
+    const geofencePolicy = document.getElementById('courseGeofencePolicy').value;
 
     if (!code || !name || !lecturer) {
         showToast('Please fill all required course fields', 'error');
         return;
     }
 
+    const geofences = readGeofenceRows();
+    if (!geofences) return;
+    const sessions = readSessionRows();
+    if (!sessions) return;
+    const schedule = formatCourseSchedule(sessions);
+
     const codeExists = appData.courses.some(c => c.code === code && String(c.id) !== String(courseId));
     if (codeExists) {
         showToast('Course code already exists', 'error');
@@ -2177,8 +8220,11 @@ function handleSaveCourse(e) {
             name,
             lecturer,
             schedule,
+            sessions,
             description,
             credits,
+            geofences,
+            geofencePolicy,
             updatedAt: new Date().toISOString()
         };
         showToast('Course updated successfully', 'success');
@@ -2190,9 +8236,12 @@ function handleSaveCourse(e) {
             name,
             lecturer,
             schedule,
+            sessions,
             credits,
             description,
-            students: [],
+            geofences,
+            geofencePolicy,
+            gradeCategories: ENTERPRISE_CONFIG.GRADES.DEFAULT_CATEGORIES.map(category => ({ ...category })),
             materials: [],
             createdAt: new Date().toISOString()
         });
@@ -2200,26 +8249,148 @@ function handleSaveCourse(e) {
         logSystem('COURSE_CREATE', `Created course: ${code}`, currentUser.id);
     }
 
-    saveAppData();
+    saveAppData('courses');
     closeModal('courseModal');
     loadAdminCourses();
     loadAdminUsers();
     loadStudentMaterials();
 }
 
+function renderSessionRows(sessions) {
+    const list = document.getElementById('courseSessionList');
+    list.innerHTML = '';
+    sessions.forEach(session => addSessionRow(session));
+}
+
+function addSessionRow(session = {}) {
+    const list = document.getElementById('courseSessionList');
+    const row = document.createElement('div');
+    row.className = 'session-row';
+    row.dataset.id = session.id || '';
+    row.innerHTML = `
+        <select class="form-select" data-field="weekday">
+            ${WEEKDAYS.map((day, index) => `<option value="${index}" ${index === (session.weekday ?? 1) ? 'selected' : ''}>${day}</option>`).join('')}
+        </select>
+        <input type="time" class="form-input" data-field="start" value="${session.start || '09:00'}">
+        <input type="time" class="form-input" data-field="end" value="${session.end || '10:30'}">
+        <input type="number" class="form-input" data-field="grace" min="0" max="120" title="Grace period (minutes)"
+               value="${session.graceMinutes ?? ENTERPRISE_CONFIG.ATTENDANCE.DEFAULT_GRACE_MINUTES}">
+        <button type="button" class="btn btn-sm btn-outline" onclick="this.parentElement.remove()" title="Remove session">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    list.appendChild(row);
+}
+
+// Returns the sessions from the course form, or null after reporting an invalid row
+function readSessionRows() {
+    const rows = document.querySelectorAll('#courseSessionList .session-row');
+    const sessions = [];
+    let nextId = Math.max(0, ...[...rows].map(row => Number(row.dataset.id) || 0)) + 1;
+    for (const row of rows) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+        const start = value('start');
+        const end = value('end');
+        const graceMinutes = Number(value('grace'));
+        if (!start || !end || parseTimeToMinutes(end) <= parseTimeToMinutes(start)) {
+            showToast('Each session needs a start time before its end time', 'error');
+            return null;
+        }
+        if (!(graceMinutes >= 0) || graceMinutes > parseTimeToMinutes(end) - parseTimeToMinutes(start)) {
+            showToast('The grace period must fit within the session', 'error');
+            return null;
+        }
+        sessions.push({
+            id: Number(row.dataset.id) || nextId++,
+            weekday: Number(value('weekday')),
+            start,
+            end,
+            graceMinutes
+        });
+    }
+    return sessions;
+}
+
+function renderGeofenceRows(geofences) {
+    const list = document.getElementById('courseGeofenceList');
+    list.innerHTML = '';
+    geofences.forEach(fence => addGeofenceRow(fence));
+}
+
+function addGeofenceRow(fence = {}) {
+    const list = document.getElementById('courseGeofenceList');
+    const row = document.createElement('div');
+    row.className = 'geofence-row';
+    row.dataset.id = fence.id || '';
+    row.innerHTML = `
+        <input type="text" class="form-input" data-field="name" placeholder="Room name" value="${escapeHtml(fence.name || '')}">
+        <input type="number" class="form-input" data-field="lat" placeholder="Latitude" step="any" value="${fence.lat ?? ''}">
+        <input type="number" class="form-input" data-field="lng" placeholder="Longitude" step="any" value="${fence.lng ?? ''}">
+        <input type="number" class="form-input" data-field="radius" placeholder="Radius (m)" min="10" value="${fence.radius || ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_RADIUS}">
+        <button type="button" class="btn btn-sm btn-outline" onclick="this.parentElement.remove()" title="Remove location">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    list.appendChild(row);
+}
+
+async function addGeofenceFromCurrentPosition() {
+    showToast('Getting your location...', 'info');
+    const coords = await getCurrentPosition();
+    if (!coords) {
+        showToast('Location is unavailable', 'error');
+        return;
+    }
+    addGeofenceRow({
+        lat: Math.round(coords.latitude * 1000000) / 1000000,
+        lng: Math.round(coords.longitude * 1000000) / 1000000,
+        radius: Math.max(ENTERPRISE_CONFIG.GEOFENCE.DEFAULT_RADIUS, Math.round(coords.accuracy))
+    });
+}
+
+// Returns the geofences from the course form, or null after reporting an invalid row
+function readGeofenceRows() {
+    const rows = document.querySelectorAll('#courseGeofenceList .geofence-row');
+    const geofences = [];
+    for (const row of rows) {
+        const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+        const name = value('name');
+        const lat = parseFloat(value('lat'));
+        const lng = parseFloat(value('lng'));
+        const radius = parseFloat(value('radius'));
+        if (!name && Number.isNaN(lat) && Number.isNaN(lng)) continue;
+        if (!name || !(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180) || !(radius >= 10)) {
+            showToast('Each classroom location needs a name, valid coordinates and a radius of at least 10m', 'error');
+            return null;
+        }
+        geofences.push({ id: Number(row.dataset.id) || Date.now() + geofences.length, name, lat, lng, radius });
+    }
+    return geofences;
+}
+
 function deleteCourse(courseId) {
+    if (!requirePermission('courses.manage')) return;
     const course = appData.courses.find(c => c.id === courseId);
     if (!course) return;
     if (!confirm(`Delete course ${course.name}?`)) return;
 
     appData.courses = appData.courses.filter(c => c.id !== courseId);
-    appData.users = appData.users.map(user => (
-        user.courseId === courseId ? { ...user, courseId: null } : user
+    // Course-linked groups keep the members they had
+    appData.groups = appData.groups.map(group => (
+        group.courseId === courseId ? { ...group, memberIds: getGroupMemberIds(group), courseId: null } : group
     ));
+    appData.enrollments = appData.enrollments.filter(enrollment => enrollment.courseId !== courseId);
     appData.materials = appData.materials.map(material => (
         material.courseId === courseId ? { ...material, courseId: null } : material
     ));
     appData.attendance = appData.attendance.filter(record => record.courseId !== courseId);
+    appData.checkInFailures = appData.checkInFailures.filter(failure => failure.courseId !== courseId);
+    appData.assignments = appData.assignments.filter(assignment => assignment.courseId !== courseId);
+    appData.submissions = appData.submissions.filter(submission => submission.courseId !== courseId);
+    appData.grades = appData.grades.filter(grade => grade.courseId !== courseId);
+    appData.questions = appData.questions.filter(question => question.courseId !== courseId);
+    appData.quizzes = appData.quizzes.filter(quiz => quiz.courseId !== courseId);
+    appData.quizAttempts = appData.quizAttempts.filter(attempt => attempt.courseId !== courseId);
 
     saveAppData();
     showToast('Course deleted', 'success');
@@ -2230,30 +8401,224 @@ function deleteCourse(courseId) {
     refreshDashboard();
 }
 
-function syncCourseMembership(userId, oldCourseId, newCourseId) {
-    if (oldCourseId) {
-        const oldCourse = appData.courses.find(c => c.id === oldCourseId);
-        if (oldCourse) {
-            oldCourse.students = oldCourse.students.filter(id => id !== userId);
+function formatUserEnrollments(userId) {
+    return getUserEnrollments(userId).map(enrollment => {
+        const course = appData.courses.find(c => c.id === enrollment.courseId);
+        return course ? `${course.code} (${COURSE_ROLES[enrollment.role].name})` : null;
+    }).filter(Boolean).join(', ');
+}
+
+function renderEnrollmentRows(enrollments) {
+    const list = document.getElementById('userEnrollmentList');
+    list.innerHTML = '';
+    enrollments.forEach(enrollment => addEnrollmentRow(enrollment));
+}
+
+function addEnrollmentRow(enrollment = {}) {
+    const list = document.getElementById('userEnrollmentList');
+    const row = document.createElement('div');
+    row.className = 'enrollment-row';
+    row.innerHTML = `
+        <select class="form-select" data-field="course">
+            ${appData.courses.map(c => `<option value="${c.id}" ${c.id === enrollment.courseId ? 'selected' : ''}>${c.code} - ${escapeHtml(c.name)}</option>`).join('')}
+        </select>
+        <select class="form-select" data-field="role">
+            ${Object.entries(COURSE_ROLES).map(([id, role]) => `<option value="${id}" ${id === (enrollment.role || 'student') ? 'selected' : ''}>${role.name}</option>`).join('')}
+        </select>
+        <button type="button" class="btn btn-sm btn-outline" onclick="this.parentElement.remove()" title="Remove enrollment">
+            <i class="fas fa-trash"></i>
+        </button>
+    `;
+    list.appendChild(row);
+}
+
+// Returns the enrollments from the user form, or null after reporting an invalid row
+function readEnrollmentRows() {
+    const enrollments = [];
+    for (const row of document.querySelectorAll('#userEnrollmentList .enrollment-row')) {
+        const courseId = Number(row.querySelector('[data-field="course"]').value);
+        const role = row.querySelector('[data-field="role"]').value;
+        if (!courseId || !COURSE_ROLES[role]) continue;
+        if (enrollments.some(e => e.courseId === courseId)) {
+            const course = appData.courses.find(c => c.id === courseId);
+            showToast(`${course ? course.code : 'A course'} is listed more than once`, 'error');
+            return null;
+        }
+        enrollments.push({ courseId, role });
+    }
+    return enrollments;
+}
+
+function setUserEnrollments(userId, enrollments) {
+    const now = new Date().toISOString();
+    let nextId = appData.enrollments.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    appData.enrollments = appData.enrollments.filter(e =>
+        e.userId !== userId || enrollments.some(wanted => wanted.courseId === e.courseId)
+    );
+    enrollments.forEach(({ courseId, role }) => {
+        const existing = getEnrollment(userId, courseId);
+        if (existing) {
+            existing.role = role;
+        } else {
+            appData.enrollments.push({ id: nextId++, userId, courseId, role, createdAt: now });
         }
+    });
+}
+
+function populateRoleSelect() {
+    const roleSelect = document.getElementById('userRoleInput');
+    if (!roleSelect) return;
+    const selected = roleSelect.value;
+    roleSelect.innerHTML = appData.roles.map(role =>
+        `<option value="${role.id}">${escapeHtml(role.name)}</option>`
+    ).join('');
+    if (getRole(selected)) roleSelect.value = selected;
+}
+
+function loadAdminRoles() {
+    const tbody = document.getElementById('adminRolesTable');
+    if (!tbody) return;
+
+    tbody.innerHTML = appData.roles.map(role => {
+        const userCount = appData.users.filter(u => u.role === role.id).length;
+        return `
+            <tr>
+                <td>
+                    <div class="font-bold text-sm">${escapeHtml(role.name)}</div>
+                    <div class="text-xs text-gray">${role.id}${role.system ? ' • built-in' : ''}</div>
+                </td>
+                <td>
+                    <div class="flex flex-wrap gap-2">
+                        ${role.permissions.length
+                            ? role.permissions.map(p => `<span class="badge badge-gray" title="${escapeHtml(PERMISSIONS[p] || '')}">${p}</span>`).join('')
+                            : '<span class="text-xs text-gray">No elevated permissions</span>'}
+                    </div>
+                </td>
+                <td class="text-center">${userCount}</td>
+                <td>
+                    <div class="flex gap-1">
+                        ${role.id !== 'admin' ? `
+                        <button class="btn btn-sm btn-outline" onclick="editRole('${role.id}')">
+                            <i class="fas fa-edit"></i>
+                        </button>` : '<span class="text-xs text-gray px-2">Locked</span>'}
+                        ${!role.system ? `
+                        <button class="btn btn-sm btn-danger" onclick="deleteRole('${role.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function populateRolePermissionSelect(selected) {
+    const container = document.getElementById('rolePermissionSelect');
+    if (!container) return;
+    container.innerHTML = Object.entries(PERMISSIONS).map(([permission, description]) => `
+        <label class="member-select-item" title="${escapeHtml(description)}">
+            <input type="checkbox" name="rolePermission" value="${permission}" ${selected.includes(permission) ? 'checked' : ''}>
+            <span>${permission}<br><span class="text-xs text-gray">${escapeHtml(description)}</span></span>
+        </label>
+    `).join('');
+}
+
+function openRoleModal() {
+    if (!requirePermission('roles.manage')) return;
+    document.getElementById('roleForm').reset();
+    document.getElementById('roleKey').value = '';
+    populateRolePermissionSelect([]);
+    openModal('roleModal');
+}
+
+function editRole(roleId) {
+    if (!requirePermission('roles.manage')) return;
+    const role = getRole(roleId);
+    if (!role || role.id === 'admin') return;
+    document.getElementById('roleForm').reset();
+    document.getElementById('roleKey').value = role.id;
+    document.getElementById('roleNameInput').value = role.name;
+    populateRolePermissionSelect(role.permissions);
+    openModal('roleModal');
+}
+
+function handleSaveRole(e) {
+    e.preventDefault();
+    if (!requirePermission('roles.manage')) return;
+
+    const roleKey = document.getElementById('roleKey').value;
+    const name = document.getElementById('roleNameInput').value.trim();
+    const permissions = Array.from(document.querySelectorAll('input[name="rolePermission"]:checked'))
+        .map(input => input.value)
+        .filter(permission => PERMISSIONS[permission]);
+
+    if (!name) {
+        showToast('Role name is required', 'error');
+        return;
     }
-    if (newCourseId) {
-        const newCourse = appData.courses.find(c => c.id === newCourseId);
-        if (newCourse && !newCourse.students.includes(userId)) {
-            newCourse.students.push(userId);
+
+    if (roleKey) {
+        const role = getRole(roleKey);
+        if (!role || role.id === 'admin') return;
+        role.name = name;
+        role.permissions = permissions;
+        role.updatedAt = new Date().toISOString();
+        showToast('Role updated', 'success');
+        logSystem('ROLE_UPDATE', `Updated role ${role.id}: ${permissions.join(', ') || 'no permissions'}`, currentUser.id);
+    } else {
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!id || getRole(id)) {
+            showToast('A role with this name already exists', 'error');
+            return;
         }
+        appData.roles.push({
+            id,
+            name,
+            permissions,
+            system: false,
+            createdAt: new Date().toISOString()
+        });
+        showToast('Role created', 'success');
+        logSystem('ROLE_CREATE', `Created role ${id}: ${permissions.join(', ') || 'no permissions'}`, currentUser.id);
+    }
+
+    saveAppData('roles');
+    closeModal('roleModal');
+    loadAdminRoles();
+    populateRoleSelect();
+}
+
+function deleteRole(roleId) {
+    if (!requirePermission('roles.manage')) return;
+    const role = getRole(roleId);
+    if (!role || role.system) return;
+
+    const assigned = appData.users.filter(u => u.role === roleId).length;
+    if (assigned > 0) {
+        showToast(`Reassign the ${assigned} user(s) with this role before deleting it`, 'warning');
+        return;
     }
+    if (!confirm(`Delete role ${role.name}?`)) return;
+
+    appData.roles = appData.roles.filter(r => r.id !== roleId);
+    saveAppData('roles');
+    showToast('Role deleted', 'info');
+    logSystem('ROLE_DELETE', `Deleted role: ${role.id}`, currentUser.id);
+    loadAdminRoles();
+    populateRoleSelect();
 }
 
 // =========================================
 // 12. BIOMETRIC REGISTRATION
 // =========================================
 function openFaceRegistration(userId) {
+    if (!requirePermission('users.manage')) return;
     const user = appData.users.find(u => u.id === userId);
     if (!user) return;
 
     registrationUserId = userId;
     registrationSamples = 0;
+    registrationDescriptors = [];
     updateRegistrationUI('Idle', 0);
 
     const nameEl = document.getElementById('regUserName');
@@ -2271,43 +8636,145 @@ function openFaceRegistration(userId) {
     openModal('faceRegistrationModal');
 }
 
-function startRegistrationProcess() {
+async function startRegistrationProcess() {
     if (!registrationUserId) {
         showToast('Select a user to register', 'warning');
         return;
     }
-    if (registrationInterval) return;
+    if (registrationInterval || registrationStream || registrationCancel) return;
 
+    const video = document.getElementById('regVideo');
+    const canvas = document.getElementById('regCanvas');
     const totalSamples = ENTERPRISE_CONFIG.FACE.REG_FRAMES;
-    updateRegistrationUI('Capturing', 0);
+    registrationSamples = 0;
+    registrationDescriptors = [];
+    updateRegistrationUI('Starting', 0);
     document.getElementById('btnStartReg').classList.add('hidden');
     document.getElementById('btnStopReg').classList.remove('hidden');
 
-    registrationInterval = setInterval(() => {
-        registrationSamples += 1;
-        const progress = Math.min(100, Math.round((registrationSamples / totalSamples) * 100));
-        updateRegistrationUI('Capturing', progress);
+    // Stop can be pressed while the models load or the camera prompt is open
+    let cancelled = false;
+    registrationCancel = () => { cancelled = true; };
+
+    let matcher;
+    try {
+        matcher = await getFaceMatcher();
+        if (cancelled) return;
+        const stream = await startCamera(video, matcher);
+        if (cancelled) {
+            stopCamera(stream, video);
+            return;
+        }
+        registrationStream = stream;
+        registrationCancel = null;
+    } catch (error) {
+        if (cancelled) return;
+        console.error('Face registration unavailable:', error);
+        releaseRegistrationCamera();
+        updateRegistrationUI('Idle', 0);
+        showToast(error.message, 'error');
+        return;
+    }
+
+    updateRegistrationUI('Capturing', 0);
+    let lastFrameAt = Date.now();
+
+    const capture = async () => {
+        if (!registrationStream) return;
+
+        let detection = null;
+        try {
+            detection = await matcher.detect(video);
+        } catch (error) {
+            console.error('Face detection failed:', error);
+        }
+        if (!registrationStream) return;
+
+        const now = Date.now();
+        const fpsHud = document.getElementById('regHudFps');
+        const alignHud = document.getElementById('regHudAlign');
+        if (fpsHud) fpsHud.textContent = `FPS: ${Math.round(1000 / Math.max(1, now - lastFrameAt))}`;
+        lastFrameAt = now;
+
+        if (detection) {
+            registrationDescriptors.push(Array.from(detection.descriptor));
+            registrationSamples = registrationDescriptors.length;
+            drawFaceBox(canvas, video, detection.box, true);
+            if (alignHud) alignHud.textContent = 'ALIGN: LOCKED';
+            if (registrationSamples === 1) showRegistrationPreview(video);
+        } else {
+            clearFaceOverlay(canvas);
+            if (alignHud) alignHud.textContent = 'ALIGN: NO FACE';
+        }
+
+        updateRegistrationUI('Capturing', Math.min(100, Math.round((registrationSamples / totalSamples) * 100)));
 
         if (registrationSamples >= totalSamples) {
-            finalizeFaceRegistration();
+            finalizeFaceRegistration(matcher);
+            return;
         }
-    }, 140);
+        registrationInterval = setTimeout(capture, ENTERPRISE_CONFIG.FACE.SAMPLE_INTERVAL);
+    };
+
+    registrationInterval = setTimeout(capture, ENTERPRISE_CONFIG.FACE.SAMPLE_INTERVAL);
 }
 
 function stopRegistrationProcess() {
-    if (registrationInterval) {
-        clearInterval(registrationInterval);
-        registrationInterval = null;
-    }
+    releaseRegistrationCamera();
     registrationSamples = 0;
+    registrationDescriptors = [];
     updateRegistrationUI('Cancelled', 0);
-    document.getElementById('btnStartReg').classList.remove('hidden');
-    document.getElementById('btnStopReg').classList.add('hidden');
     showToast('Face registration cancelled', 'warning');
 }
 
-function testRegistrationCamera() {
-    showToast('Camera diagnostics passed', 'success');
+function releaseRegistrationCamera() {
+    if (registrationCancel) {
+        registrationCancel();
+        registrationCancel = null;
+    }
+    if (registrationInterval) {
+        clearTimeout(registrationInterval);
+        registrationInterval = null;
+    }
+    stopCamera(registrationStream, document.getElementById('regVideo'));
+    registrationStream = null;
+    clearFaceOverlay(document.getElementById('regCanvas'));
+    document.getElementById('btnStartReg')?.classList.remove('hidden');
+    document.getElementById('btnStopReg')?.classList.add('hidden');
+}
+
+async function testRegistrationCamera() {
+    if (registrationStream) {
+        showToast('Camera is already running', 'info');
+        return;
+    }
+
+    const video = document.getElementById('regVideo');
+    try {
+        const matcher = await getFaceMatcher();
+        registrationStream = await startCamera(video, matcher);
+        const detection = await matcher.detect(video);
+        if (detection) {
+            drawFaceBox(document.getElementById('regCanvas'), video, detection.box, true);
+            showToast('Camera working, face detected', 'success');
+        } else {
+            showToast('Camera working, but no face was detected', 'warning');
+        }
+    } catch (error) {
+        console.error('Camera test failed:', error);
+        showToast(error.message, 'error');
+    }
+    setTimeout(releaseRegistrationCamera, 1500);
+}
+
+function showRegistrationPreview(video) {
+    const preview = document.getElementById('regFacePreview');
+    const icon = document.getElementById('regFaceIcon');
+    const snapshot = captureVideoFrame(video);
+    if (!preview || !snapshot) return;
+    preview.src = snapshot;
+    preview.classList.remove('hidden');
+    if (icon) icon.classList.add('hidden');
 }
 
 function updateRegistrationUI(status, progress) {
@@ -2324,26 +8791,191 @@ function updateRegistrationUI(status, progress) {
     if (regProgressBar) regProgressBar.style.width = `${progress}%`;
 }
 
-function finalizeFaceRegistration() {
-    if (registrationInterval) {
-        clearInterval(registrationInterval);
-        registrationInterval = null;
+function finalizeFaceRegistration(matcher) {
+    const samples = registrationDescriptors;
+    releaseRegistrationCamera();
+
+    const descriptor = averageDescriptors(samples);
+    // Every sample should resemble the average; a low score means the samples mix faces or are too noisy
+    const quality = samples.reduce((sum, sample) => sum + compareFaceDescriptors(sample, descriptor, matcher), 0) / samples.length;
+
+    if (quality < ENTERPRISE_CONFIG.FACE.THRESHOLD) {
+        registrationSamples = 0;
+        registrationDescriptors = [];
+        updateRegistrationUI('Failed', 0);
+        showToast('Face samples were inconsistent. Make sure only one person is in frame and try again.', 'error');
+        return;
     }
 
-    const userIndex = appData.users.findIndex(u => u.id === registrationUserId);
-    if (userIndex !== -1) {
-        appData.users[userIndex].faceDescriptor = `face_${registrationUserId}_${Date.now()}`;
-        appData.users[userIndex].updatedAt = new Date().toISOString();
+    const user = appData.users.find(u => u.id === registrationUserId);
+    if (user) {
+        user.faceDescriptor = {
+            values: descriptor.map(v => Math.round(v * 100000) / 100000),
+            model: matcher.id,
+            samples: samples.length,
+            quality: Math.round(quality * 1000) / 1000,
+            createdAt: new Date().toISOString()
+        };
+        user.updatedAt = new Date().toISOString();
+        logSystem('FACE_REGISTER', `Registered face data for ${user.username} (${samples.length} samples)`, currentUser.id);
     }
-    saveAppData();
+    registrationDescriptors = [];
+    saveAppData('users');
+    syncCurrentUser();
     updateRegistrationUI('Completed', 100);
-    document.getElementById('btnStartReg').classList.remove('hidden');
-    document.getElementById('btnStopReg').classList.add('hidden');
     showToast('Face registration completed', 'success');
     loadAdminUsers();
     updateAttendanceFaceStatus();
 }
 
+// Face matchers: { id, load(), detect(video) -> { descriptor, box, score } | null, compare?(a, b) }.
+// The default one wraps face-api.js from vendor/; setFaceMatcher() swaps in another implementation,
+// and a matcher with `camera: false` runs without getUserMedia so tests can feed synthetic frames.
+function setFaceMatcher(matcher) {
+    faceMatcher = matcher;
+}
+
+async function getFaceMatcher() {
+    if (!faceMatcher) {
+        faceMatcher = createFaceApiMatcher();
+    }
+    if (!faceMatcher.loaded) {
+        await faceMatcher.load();
+        faceMatcher.loaded = true;
+    }
+    return faceMatcher;
+}
+
+function createFaceApiMatcher() {
+    const { LIBRARY_PATH, MODEL_PATH } = ENTERPRISE_CONFIG.FACE;
+    let options = null;
+
+    return {
+        id: 'face-api/tiny-68-128',
+        async load() {
+            try {
+                if (typeof faceapi === 'undefined') {
+                    await loadScript(LIBRARY_PATH);
+                }
+                await Promise.all([
+                    faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_PATH),
+                    faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_PATH),
+                    faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_PATH)
+                ]);
+            } catch (error) {
+                console.error('Failed to load face model:', error);
+                throw new Error('Face recognition model is not installed. See README for setup.');
+            }
+            options = new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: 0.5 });
+        },
+        async detect(video) {
+            if (!video || video.readyState < 2) return null;
+            const result = await faceapi.detectSingleFace(video, options).withFaceLandmarks().withFaceDescriptor();
+            if (!result) return null;
+            const { x, y, width, height } = result.detection.box;
+            return {
+                descriptor: result.descriptor,
+                box: { x, y, width, height },
+                score: result.detection.score,
+                landmarks: result.landmarks.positions.map(p => ({ x: p.x, y: p.y }))
+            };
+        }
+    };
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+async function startCamera(video, matcher) {
+    if (matcher && matcher.camera === false) return { getTracks: () => [] };
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('Camera access is not supported in this browser');
+    }
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+            audio: false
+        });
+    } catch (error) {
+        throw new Error(error.name === 'NotAllowedError'
+            ? 'Camera permission was denied'
+            : 'Could not start the camera');
+    }
+
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+    return stream;
+}
+
+function stopCamera(stream, video) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+    if (video) {
+        video.srcObject = null;
+    }
+}
+
+// Cosine similarity clamped to 0..1, unless the matcher brings its own metric
+function compareFaceDescriptors(a, b, matcher = faceMatcher) {
+    if (matcher && typeof matcher.compare === 'function') {
+        return matcher.compare(a, b);
+    }
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (!normA || !normB) return 0;
+    return Math.max(0, dot / Math.sqrt(normA * normB));
+}
+
+function averageDescriptors(samples) {
+    const length = samples[0].length;
+    const mean = new Array(length).fill(0);
+    samples.forEach(sample => {
+        for (let i = 0; i < length; i++) mean[i] += sample[i] / samples.length;
+    });
+    return mean;
+}
+
+function drawFaceBox(canvas, video, box, matched) {
+    if (!canvas || !box) return;
+    canvas.width = video.videoWidth || canvas.clientWidth;
+    canvas.height = video.videoHeight || canvas.clientHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = matched ? '#10b981' : '#f59e0b';
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+}
+
+function clearFaceOverlay(canvas) {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
+
+function captureVideoFrame(video) {
+    if (!video || !video.videoWidth) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
 // =========================================
 // 13. GROUP CHAT
 // =========================================
@@ -2383,7 +9015,7 @@ function renderGroupList() {
 
     listEl.innerHTML = '';
     filtered.forEach(group => {
-        const memberCount = group.memberIds.length;
+        const memberCount = getGroupMemberIds(group).length;
         const isActive = group.id === currentGroupId;
         const item = document.createElement('div');
         item.className = `group-list-item ${isActive ? 'active' : ''}`;
@@ -2424,15 +9056,16 @@ function renderGroupMessages() {
     }
     if (input) input.disabled = false;
 
+    const groupCourse = group.courseId ? appData.courses.find(c => c.id === group.courseId) : null;
     headerEl.innerHTML = `
         <div>
             <h3>${group.name}</h3>
-            <p class="text-sm text-gray">${group.description || 'Collaboration group'}</p>
+            <p class="text-sm text-gray">${group.description || 'Collaboration group'}${groupCourse ? ` • ${groupCourse.code} class group` : ''}</p>
         </div>
     `;
 
     if (memberList) {
-        const members = group.memberIds.map(id => appData.users.find(u => u.id === id)).filter(Boolean);
+        const members = getGroupMemberIds(group).map(id => appData.users.find(u => u.id === id)).filter(Boolean);
         memberList.innerHTML = members.slice(0, 4).map(member => `
             <span class="member-chip">${member.name.split(' ')[0]}</span>
         `).join('');
@@ -2493,38 +9126,43 @@ function sendGroupMessage() {
         showToast('Select a group first', 'warning');
         return;
     }
-    if (!group.memberIds.includes(currentUser.id) && currentUser.role !== 'admin') {
+    if (!getGroupMemberIds(group).includes(currentUser.id) && !can('groups.moderate')) {
         showToast('You are not a member of this group', 'error');
         return;
     }
 
-    appData.groupMessages.push({
+    const groupMessage = {
         id: Date.now(),
         groupId: group.id,
         userId: currentUser.id,
         content: message,
         createdAt: new Date().toISOString()
-    });
-    saveAppData();
+    };
+    appData.groupMessages.push(groupMessage);
+    persistRecord('groupMessages', groupMessage);
     input.value = '';
     renderGroupMessages();
     logSystem('GROUP_CHAT', `Sent message in ${group.name}`, currentUser.id);
 }
 
 function openGroupModal() {
-    if (currentUser.role !== 'admin') return;
+    if (!requirePermission('groups.create')) return;
     const form = document.getElementById('groupForm');
     form.reset();
     document.getElementById('groupId').value = '';
+    document.getElementById('groupCourseInput').innerHTML = '<option value="">No linked course</option>' +
+        appData.courses.map(c => `<option value="${c.id}">${c.code} - ${escapeHtml(c.name)}</option>`).join('');
     populateGroupMemberSelect([]);
     openModal('groupModal');
 }
 
 function handleSaveGroup(e) {
     e.preventDefault();
+    if (!requirePermission('groups.create')) return;
     const groupId = document.getElementById('groupId').value;
     const name = document.getElementById('groupNameInput').value.trim();
     const description = document.getElementById('groupDescInput').value.trim();
+    const courseId = Number(document.getElementById('groupCourseInput').value) || null;
     const selectedMembers = Array.from(document.querySelectorAll('input[name="groupMember"]:checked'))
         .map(input => Number(input.value));
 
@@ -2541,6 +9179,7 @@ function handleSaveGroup(e) {
             ...appData.groups[index],
             name,
             description,
+            courseId,
             memberIds,
             updatedAt: new Date().toISOString()
         };
@@ -2551,6 +9190,7 @@ function handleSaveGroup(e) {
             id: Date.now(),
             name,
             description,
+            courseId,
             createdBy: currentUser.id,
             memberIds,
             createdAt: new Date().toISOString(),
@@ -2560,7 +9200,7 @@ function handleSaveGroup(e) {
         logSystem('GROUP_CREATE', `Created group: ${name}`, currentUser.id);
     }
 
-    saveAppData();
+    saveAppData('groups');
     closeModal('groupModal');
     renderGroupList();
 }
@@ -2572,7 +9212,7 @@ function populateGroupMemberSelect(selectedIds) {
     container.innerHTML = members.map(user => `
         <label class="member-select-item">
             <input type="checkbox" name="groupMember" value="${user.id}" ${selectedIds.includes(user.id) ? 'checked' : ''}>
-            <span>${user.name} <span class="text-xs text-gray">(${user.role})</span></span>
+            <span>${user.name} <span class="text-xs text-gray">(${getRoleName(user.role)})</span></span>
         </label>
     `).join('');
 }
@@ -2582,9 +9222,15 @@ function filterGroups(term) {
     renderGroupList();
 }
 
+// A group linked to a course also includes everyone enrolled in it, so it follows enrollment changes
+function getGroupMemberIds(group) {
+    const enrolled = group.courseId ? getCourseEnrollments(group.courseId).map(e => e.userId) : [];
+    return Array.from(new Set([...group.memberIds, ...enrolled]));
+}
+
 function getAccessibleGroups() {
-    if (currentUser.role === 'admin') return appData.groups;
-    return appData.groups.filter(group => group.memberIds.includes(currentUser.id));
+    if (can('groups.moderate')) return appData.groups;
+    return appData.groups.filter(group => getGroupMemberIds(group).includes(currentUser.id));
 }
 
 function formatChatMessage(content) {
@@ -2602,7 +9248,7 @@ function formatChatMessage(content) {
 // 14. LEADERBOARD & ADMIN DASHBOARD
 // =========================================
 function loadLeaderboard(type) {
-    const projects = [...appData.projects];
+    const projects = appData.projects.filter(project => project.visibility === 'public');
     let sorted = projects;
     if (type === 'most_liked') {
         sorted = projects.sort((a, b) => (b.likes || 0) - (a.likes || 0));
@@ -2661,8 +9307,9 @@ function renderLeaderboard(projects) {
 function searchProjects(query) {
     const term = query.toLowerCase();
     const filtered = appData.projects.filter(project =>
-        project.name.toLowerCase().includes(term) ||
-        (project.description || '').toLowerCase().includes(term)
+        project.visibility === 'public' &&
+        (project.name.toLowerCase().includes(term) ||
+        (project.description || '').toLowerCase().includes(term))
     );
     renderLeaderboard(filtered);
 }
@@ -2671,16 +9318,15 @@ function loadAdminDashboard() {
     const totalUsers = appData.users.length;
     const today = new Date().toISOString().split('T')[0];
     const activeToday = appData.users.filter(u => u.lastLogin && u.lastLogin.startsWith(today)).length;
-    const totalStudents = appData.users.filter(u => u.role === 'student').length;
-    const todayAttendance = appData.attendance.filter(a => a.date === today);
-    const attendanceRate = totalStudents ? Math.round((todayAttendance.length / totalStudents) * 100) : 0;
+    const todayStats = computeTodayAttendance();
 
     document.getElementById('adminTotalUsers').textContent = totalUsers;
     document.getElementById('adminUsersTrend').textContent = `Active today: ${activeToday}`;
     document.getElementById('adminActiveSessions').textContent = activeSessions.size;
-    document.getElementById('adminAttendanceRate').textContent = `${attendanceRate}%`;
-    document.getElementById('adminAttendanceTrend').textContent = `Today: ${todayAttendance.length}/${totalStudents}`;
+    document.getElementById('adminAttendanceRate').textContent = formatRate(todayStats.rate);
+    document.getElementById('adminAttendanceTrend').textContent = `Today: ${todayStats.attended}/${todayStats.expected} checked in`;
     document.getElementById('adminStorageUsage').textContent = `${calculateStorageUsage().toFixed(2)} MB`;
+    document.getElementById('adminStorageTrend').textContent = `of ${ENTERPRISE_CONFIG.MAX_STORAGE_MB} MB • Projects & Materials`;
 
     const table = document.getElementById('adminActivitiesTable');
     const logs = appData.systemLogs.slice(0, 8);
@@ -2712,6 +9358,7 @@ function refreshAdminStats() {
 }
 
 function generateSystemReport() {
+    if (!requirePermission('admin.dashboard')) return;
     const report = [
         `Ferretto Edu Pro System Report`,
         `Generated: ${new Date().toLocaleString()}`,
@@ -2738,15 +9385,24 @@ function viewAllActivities() {
 }
 
 function calculateStorageUsage() {
-    const projectSize = appData.projects.reduce((sum, project) => sum + (project.code?.length || 0), 0);
+    const projectSize = [...appData.projects, ...appData.projectVersions]
+        .reduce((sum, project) => sum + getProjectSize(project), 0);
     const materialSize = appData.materials.reduce((sum, material) => sum + (material.content?.length || 0), 0);
-    return Math.max(0, (projectSize + materialSize) / (1024 * 1024));
+    const fileSize = appData.materials.reduce((sum, material) => sum + (material.fileBytes || 0), 0);
+    return Math.max(0, (projectSize + materialSize + fileSize) / (1024 * 1024));
 }
 
 // =========================================
 // 15. UTILITY FUNCTIONS
 // =========================================
 function showSection(sectionId) {
+    const requiredPermission = SECTION_PERMISSIONS[sectionId];
+    if (requiredPermission && !requirePermission(requiredPermission)) return;
+    
+    if (sectionId !== 'attendance' && (attendanceStream || attendanceScanInterval)) {
+        stopAttendanceScanner();
+    }
+    
     // Update active menu item
     document.querySelectorAll('.menu-item').forEach(item => {
         item.classList.remove('active');
@@ -2780,6 +9436,18 @@ function loadSectionData(sectionId) {
         case 'projects':
             loadMyProjects();
             break;
+        case 'assignments':
+            loadAssignments();
+            break;
+        case 'grades':
+            loadTranscript();
+            break;
+        case 'gradebook':
+            loadGradebook();
+            break;
+        case 'quizzes':
+            loadQuizzes();
+            break;
         case 'attendance':
             loadAttendanceHistory();
             updateAttendanceFaceStatus();
@@ -2802,6 +9470,15 @@ function loadSectionData(sectionId) {
         case 'adminMaterials':
             loadAdminMaterials();
             break;
+        case 'adminRoles':
+            loadAdminRoles();
+            break;
+        case 'attendanceConsole':
+            loadAttendanceConsole();
+            break;
+        case 'attendanceReports':
+            loadAttendanceReports();
+            break;
     }
 }
 
@@ -2849,6 +9526,18 @@ function closeModal(id) {
         modal.classList.remove('open');
         document.body.style.overflow = '';
     }
+    if (id === 'materialPreviewModal') {
+        clearMaterialPreview();
+    }
+    if (id === 'faceRegistrationModal') {
+        releaseRegistrationCamera();
+    }
+    if (id === 'quizAttemptModal') {
+        stopQuizTimer();
+    }
+    if (id === 'codeRunnerModal') {
+        stopCodeRun('codeRunnerFrame');
+    }
 }
 
 function showToast(message, type = 'success') {
@@ -2908,9 +9597,211 @@ function copyToClipboard(text) {
     });
 }
 
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// RFC 4180 style: quoted fields may contain commas, newlines and doubled quotes
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Fisher-Yates shuffle into a new array
+function shuffleArray(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function sanitizeFileName(name) {
+    const cleaned = String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/\s+/g, ' ').trim();
+    return cleaned.slice(0, 120) || 'untitled';
+}
+
+// ZIP archive writer (stored entries, no compression)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// entries: [{ name, data: string | Uint8Array, date? }] -> Blob
+function createZipArchive(entries, mimeType = 'application/zip') {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    entries.forEach(entry => {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+        const stamp = toDosDateTime(entry.date || new Date());
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);            // version needed
+        local.setUint16(6, 0x0800, true);        // UTF-8 file names
+        local.setUint16(8, 0, true);             // stored
+        local.setUint16(10, stamp.time, true);
+        local.setUint16(12, stamp.date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+        
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);           // version made by
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, stamp.time, true);
+        header.setUint16(14, stamp.date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);      // local header offset
+        central.push(header, name);
+        
+        offset += 30 + name.length + data.length;
+    });
+    
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+// Minimal XLSX writer: sheets = [{ name, rows: [[cell, ...], ...] }], numbers stay numeric
+function createXlsxWorkbook(sheets) {
+    const xmlEscape = (value) => String(value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const columnName = (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    };
+    const sheetXml = (rows) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.map((row, r) =>
+        `<row r="${r + 1}">${row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            if (value === '' || value === null || value === undefined) return '';
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+        }).join('')}</row>`).join('')}</sheetData></worksheet>`;
+    
+    const entries = [
+        {
+            name: '[Content_Types].xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((_, i) =>
+                `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((sheet, i) =>
+                `<sheet name="${xmlEscape(sheet.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) =>
+                `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet.rows) }))
+    ];
+    
+    return createZipArchive(entries, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
 function logSystem(action, details, userId = null) {
+    // Ids double as the IndexedDB key, so keep them unique and increasing
+    const lastId = appData.systemLogs[0]?.id || 0;
     const log = {
-        id: Date.now(),
+        id: Math.max(Date.now(), lastId + 1),
         timestamp: new Date().toISOString(),
         action,
         details,
@@ -2921,11 +9812,13 @@ function logSystem(action, details, userId = null) {
     
     appData.systemLogs.unshift(log);
     
+    let removedIds = [];
     if (appData.systemLogs.length > 1000) {
+        removedIds = appData.systemLogs.slice(1000).map(entry => entry.id);
         appData.systemLogs = appData.systemLogs.slice(0, 1000);
     }
     
-    saveAppData();
+    persistRecord('systemLogs', log, removedIds);
     return log;
 }
 
@@ -2949,10 +9842,55 @@ function setupEventListeners() {
     
     document.getElementById('materialForm').addEventListener('submit', handleSaveMaterial);
     document.getElementById('projectForm').addEventListener('submit', handleSaveProject);
+    document.getElementById('historyBaseSelect').addEventListener('change', renderProjectDiff);
+    document.getElementById('historyTargetSelect').addEventListener('change', renderProjectDiff);
+    const projectFileForm = document.getElementById('projectFileForm');
+    if (projectFileForm) {
+        projectFileForm.addEventListener('submit', handleSaveProjectFile);
+    }
     const groupForm = document.getElementById('groupForm');
     if (groupForm) {
         groupForm.addEventListener('submit', handleSaveGroup);
     }
+    const assignmentForm = document.getElementById('assignmentForm');
+    if (assignmentForm) {
+        assignmentForm.addEventListener('submit', handleSaveAssignment);
+    }
+    
+    const submissionForm = document.getElementById('submissionForm');
+    if (submissionForm) {
+        submissionForm.addEventListener('submit', handleSubmitAssignment);
+    }
+    
+    const gradeCategoriesForm = document.getElementById('gradeCategoriesForm');
+    if (gradeCategoriesForm) {
+        gradeCategoriesForm.addEventListener('submit', handleSaveGradeCategories);
+    }
+    
+    const gradeEntryForm = document.getElementById('gradeEntryForm');
+    if (gradeEntryForm) {
+        gradeEntryForm.addEventListener('submit', handleSaveGradeEntry);
+    }
+    
+    const questionForm = document.getElementById('questionForm');
+    if (questionForm) {
+        questionForm.addEventListener('submit', handleSaveQuestion);
+    }
+    
+    const quizForm = document.getElementById('quizForm');
+    if (quizForm) {
+        quizForm.addEventListener('submit', handleSaveQuiz);
+    }
+    
+    const attendanceEditForm = document.getElementById('attendanceEditForm');
+    if (attendanceEditForm) {
+        attendanceEditForm.addEventListener('submit', handleSaveAttendanceEdit);
+    }
+    
+    const roleForm = document.getElementById('roleForm');
+    if (roleForm) {
+        roleForm.addEventListener('submit', handleSaveRole);
+    }
 
     const groupMessageInput = document.getElementById('groupMessageInput');
     if (groupMessageInput) {
@@ -2967,7 +9905,7 @@ function setupEventListeners() {
     document.querySelectorAll('.modal-overlay').forEach(overlay => {
         overlay.addEventListener('click', function(e) {
             if (e.target === this) {
-                this.classList.remove('open');
+                closeModal(this.id);
             }
         });
     });
@@ -2976,11 +9914,20 @@ function setupEventListeners() {
     document.addEventListener('keydown', function(e) {
         if (e.key === 'Escape') {
             document.querySelectorAll('.modal-overlay.open').forEach(modal => {
-                modal.classList.remove('open');
+                closeModal(modal.id);
             });
         }
     });
     
+    // Write out pending changes before the page goes away
+    window.addEventListener('pagehide', flushChanges);
+    
+    // Warn before leaving with unsaved playground changes
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    
+    // Console output and errors from the playground preview
+    window.addEventListener('message', handlePreviewMessage);
+    
     // Activity monitoring
     document.addEventListener('mousemove', updateActivity);
     document.addEventListener('keypress', updateActivity);